@@ -2,11 +2,12 @@
 /* eslint-env browser */
 
 /**
- * @fileoverview Client-side UI logic for Yoto Homebridge plugin OAuth authentication
+ * @fileoverview Client-side UI logic for Yoto Homebridge plugin OAuth authentication and device settings
  */
 
 /** @import {IHomebridgePluginUi} from '@homebridge/plugin-ui-utils/ui.interface' */
-/** @import { AuthConfigResponse, AuthStartResponse, AuthPollResponse, AuthPollSlowDownResponse } from '../server.js' */
+/** @import { AuthConfigResponse, AuthStartResponse, AuthPollResponse, AuthPollSlowDownResponse, DevicesResponse, DeviceSummary, DeviceSettingsResponse, UpdatedTokens } from '../server.js' */
+/** @import { YotoAlarm } from '../../lib/utils/alarms.js' */
 
 /**
  * @global
@@ -14,12 +15,20 @@
  */
 const homebridge = window.homebridge
 
+/**
+ * @typedef {Object} YotoDeviceOverride
+ * @property {string} deviceId - Yoto device ID
+ * @property {string} [name] - HomeKit name override
+ * @property {Record<string, unknown>} [services] - Service toggle overrides
+ */
+
 /**
  * @typedef {Object} YotoConfig
  * @property {string} [clientId] - OAuth client ID
  * @property {string} [refreshToken] - Stored refresh token
  * @property {string} [accessToken] - Stored access token
  * @property {number} [tokenExpiresAt] - Token expiration timestamp
+ * @property {YotoDeviceOverride[]} [devices] - Per-device overrides
  */
 
 // State variables
@@ -36,6 +45,14 @@ let pollIntervalSeconds = 5
 let pluginConfig = []
 /** @type {string | null} */
 let defaultClientId = null
+/** @type {DeviceSummary | null} */
+let settingsDevice = null
+/** @type {YotoAlarm[]} */
+let settingsAlarms = []
+/** Clock face the device reported when the editor was loaded */
+let settingsClockFace = ''
+
+const ALARM_DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
 
 /**
  * Initialize UI when ready
@@ -46,11 +63,19 @@ async function initializeUI () {
   const openUrlBtn = document.getElementById('openUrlButton')
   const retryBtn = document.getElementById('retryButton')
   const logoutBtn = document.getElementById('logoutButton')
+  const loadDevicesBtn = document.getElementById('loadDevicesButton')
+  const addAlarmBtn = document.getElementById('addAlarmButton')
+  const saveDeviceSettingsBtn = document.getElementById('saveDeviceSettingsButton')
+  const closeDeviceSettingsBtn = document.getElementById('closeDeviceSettingsButton')
 
   if (startAuthBtn) startAuthBtn.addEventListener('click', startDeviceFlow)
   if (openUrlBtn) openUrlBtn.addEventListener('click', openVerificationUrl)
   if (retryBtn) retryBtn.addEventListener('click', retryAuth)
   if (logoutBtn) logoutBtn.addEventListener('click', logout)
+  if (loadDevicesBtn) loadDevicesBtn.addEventListener('click', loadDevices)
+  if (addAlarmBtn) addAlarmBtn.addEventListener('click', addAlarm)
+  if (saveDeviceSettingsBtn) saveDeviceSettingsBtn.addEventListener('click', saveDeviceSettings)
+  if (closeDeviceSettingsBtn) closeDeviceSettingsBtn.addEventListener('click', closeDeviceSettings)
 
   homebridge.hideSchemaForm()
 
@@ -432,3 +457,359 @@ async function checkAuthStatus () {
     showAuthRequired()
   }
 }
+
+/**
+ * Extract a displayable message from a request error
+ * @param {unknown} error
+ * @param {string} fallback
+ * @returns {string}
+ */
+function getErrorMessage (error, fallback) {
+  if (error && typeof error === 'object') {
+    if ('message' in error && error.message) return String(error.message)
+    if ('error' in error && error.error) return String(error.error)
+  } else if (error) {
+    return String(error)
+  }
+  return fallback
+}
+
+/**
+ * Build the token payload for account requests
+ * @returns {{ clientId: string | undefined, accessToken: string, refreshToken: string }}
+ */
+function getAccountRequestPayload () {
+  const config = pluginConfig[0] || {}
+  return {
+    clientId: config.clientId || defaultClientId || undefined,
+    accessToken: config.accessToken || '',
+    refreshToken: config.refreshToken || ''
+  }
+}
+
+/**
+ * Save tokens that were refreshed by the server while handling a request
+ * @param {UpdatedTokens | null} updatedTokens
+ * @returns {Promise<void>}
+ */
+async function saveUpdatedTokens (updatedTokens) {
+  if (!updatedTokens) return
+  if (!pluginConfig[0]) pluginConfig[0] = {}
+  pluginConfig[0].accessToken = updatedTokens.accessToken
+  pluginConfig[0].refreshToken = updatedTokens.refreshToken
+  pluginConfig[0].tokenExpiresAt = updatedTokens.tokenExpiresAt
+  await homebridge.updatePluginConfig(pluginConfig)
+  await homebridge.savePluginConfig()
+}
+
+/**
+ * Load devices from the account and render the device list
+ * @returns {Promise<void>}
+ */
+async function loadDevices () {
+  try {
+    homebridge.showSpinner()
+
+    /** @type {DevicesResponse} */
+    const response = await homebridge.request('/devices', getAccountRequestPayload())
+    await saveUpdatedTokens(response.updatedTokens)
+
+    renderDeviceList(response.devices)
+    homebridge.hideSpinner()
+  } catch (error) {
+    homebridge.hideSpinner()
+    console.error('Load devices error:', error)
+    homebridge.toast.error('Failed to load devices', getErrorMessage(error, 'Unknown error'))
+  }
+}
+
+/**
+ * Render the account device list with override buttons
+ * @param {DeviceSummary[]} devices
+ */
+function renderDeviceList (devices) {
+  const listEl = document.getElementById('deviceList')
+  if (!listEl) return
+
+  listEl.replaceChildren()
+
+  if (!devices.length) {
+    const emptyEl = document.createElement('li')
+    emptyEl.className = 'list-group-item'
+    emptyEl.textContent = 'No devices found on this account.'
+    listEl.appendChild(emptyEl)
+    return
+  }
+
+  const overrides = pluginConfig[0]?.devices || []
+
+  for (const device of devices) {
+    const itemEl = document.createElement('li')
+    itemEl.className = 'list-group-item d-flex justify-content-between align-items-center'
+
+    const labelEl = document.createElement('span')
+    const details = [device.model, device.online ? 'online' : 'offline'].filter(Boolean).join(', ')
+    labelEl.textContent = `${device.name} (${details})`
+    labelEl.title = device.deviceId
+
+    const buttonEl = document.createElement('button')
+    buttonEl.type = 'button'
+    const hasOverride = overrides.some(override => override.deviceId === device.deviceId)
+    buttonEl.className = hasOverride ? 'btn btn-outline-secondary btn-sm' : 'btn btn-outline-primary btn-sm'
+    buttonEl.textContent = hasOverride ? 'Override Added' : 'Add Device Override'
+    buttonEl.disabled = hasOverride
+    buttonEl.addEventListener('click', async () => {
+      await addDeviceOverride(device)
+      buttonEl.className = 'btn btn-outline-secondary btn-sm'
+      buttonEl.textContent = 'Override Added'
+      buttonEl.disabled = true
+    })
+
+    const settingsButtonEl = document.createElement('button')
+    settingsButtonEl.type = 'button'
+    settingsButtonEl.className = 'btn btn-outline-primary btn-sm ml-2'
+    settingsButtonEl.textContent = 'Device Settings'
+    settingsButtonEl.addEventListener('click', () => openDeviceSettings(device))
+
+    const buttonsEl = document.createElement('span')
+    buttonsEl.appendChild(buttonEl)
+    buttonsEl.appendChild(settingsButtonEl)
+
+    itemEl.appendChild(labelEl)
+    itemEl.appendChild(buttonsEl)
+    listEl.appendChild(itemEl)
+  }
+}
+
+/**
+ * Add a per-device override entry for a device
+ * @param {DeviceSummary} device
+ * @returns {Promise<void>}
+ */
+async function addDeviceOverride (device) {
+  if (!pluginConfig[0]) pluginConfig[0] = {}
+  const overrides = pluginConfig[0].devices || []
+
+  if (!overrides.some(override => override.deviceId === device.deviceId)) {
+    overrides.push({
+      deviceId: device.deviceId,
+      name: device.name,
+      services: {}
+    })
+  }
+
+  pluginConfig[0].devices = overrides
+  await homebridge.updatePluginConfig(pluginConfig)
+  homebridge.toast.success(`Added override for ${device.name}. Save to apply.`)
+}
+
+/**
+ * Load settings stored on a device and show the device settings editor
+ * @param {DeviceSummary} device
+ * @returns {Promise<void>}
+ */
+async function openDeviceSettings (device) {
+  try {
+    homebridge.showSpinner()
+
+    /** @type {DeviceSettingsResponse} */
+    const response = await homebridge.request('/device-settings', {
+      ...getAccountRequestPayload(),
+      deviceId: device.deviceId
+    })
+    await saveUpdatedTokens(response.updatedTokens)
+
+    settingsDevice = device
+    applyDeviceSettings(response)
+
+    const sectionEl = document.getElementById('deviceSettingsSection')
+    if (sectionEl) sectionEl.style.display = 'block'
+    const titleEl = document.getElementById('deviceSettingsTitle')
+    if (titleEl) titleEl.textContent = `${device.name} Settings`
+
+    homebridge.hideSpinner()
+  } catch (error) {
+    homebridge.hideSpinner()
+    console.error('Load device settings error:', error)
+    homebridge.toast.error('Failed to load device settings', getErrorMessage(error, 'Unknown error'))
+  }
+}
+
+/**
+ * Hide the device settings editor
+ */
+function closeDeviceSettings () {
+  settingsDevice = null
+  settingsAlarms = []
+  settingsClockFace = ''
+  const sectionEl = document.getElementById('deviceSettingsSection')
+  if (sectionEl) sectionEl.style.display = 'none'
+}
+
+/**
+ * Populate the editor from a device settings response
+ * @param {DeviceSettingsResponse} response
+ */
+function applyDeviceSettings (response) {
+  settingsAlarms = response.settings.alarms
+  renderAlarmList()
+
+  const dayTimeInput = /** @type {HTMLInputElement | null} */ (document.getElementById('dayTimeInput'))
+  const nightTimeInput = /** @type {HTMLInputElement | null} */ (document.getElementById('nightTimeInput'))
+  if (dayTimeInput) dayTimeInput.value = response.settings.dayTime
+  if (nightTimeInput) nightTimeInput.value = response.settings.nightTime
+
+  const clockFaceInput = /** @type {HTMLSelectElement | null} */ (document.getElementById('clockFaceInput'))
+  const dimBrightnessInput = /** @type {HTMLInputElement | null} */ (document.getElementById('displayDimBrightnessInput'))
+  const dimTimeoutInput = /** @type {HTMLInputElement | null} */ (document.getElementById('displayDimTimeoutInput'))
+  settingsClockFace = response.settings.clockFace
+  if (clockFaceInput) {
+    // Keep a face the list does not know about selectable so saving other settings leaves it alone
+    clockFaceInput.querySelector('option[data-current]')?.remove()
+    const isListed = Array.from(clockFaceInput.options).some((option) => option.value === settingsClockFace)
+    if (settingsClockFace && !isListed) {
+      const option = document.createElement('option')
+      option.value = settingsClockFace
+      option.textContent = settingsClockFace
+      option.dataset['current'] = 'true'
+      clockFaceInput.add(option)
+    }
+    clockFaceInput.value = settingsClockFace
+  }
+  if (dimBrightnessInput) dimBrightnessInput.value = String(response.settings.displayDimBrightness ?? '')
+  if (dimTimeoutInput) dimTimeoutInput.value = String(response.settings.displayDimTimeout ?? '')
+}
+
+/**
+ * Save the edited settings to the device
+ * @returns {Promise<void>}
+ */
+async function saveDeviceSettings () {
+  if (!settingsDevice) return
+
+  const dayTimeInput = /** @type {HTMLInputElement | null} */ (document.getElementById('dayTimeInput'))
+  const nightTimeInput = /** @type {HTMLInputElement | null} */ (document.getElementById('nightTimeInput'))
+  const clockFaceInput = /** @type {HTMLSelectElement | null} */ (document.getElementById('clockFaceInput'))
+  const dimBrightnessInput = /** @type {HTMLInputElement | null} */ (document.getElementById('displayDimBrightnessInput'))
+  const dimTimeoutInput = /** @type {HTMLInputElement | null} */ (document.getElementById('displayDimTimeoutInput'))
+  const clockFace = clockFaceInput?.value
+
+  try {
+    homebridge.showSpinner()
+
+    /** @type {DeviceSettingsResponse} */
+    const response = await homebridge.request('/device-settings/update', {
+      ...getAccountRequestPayload(),
+      deviceId: settingsDevice.deviceId,
+      settings: {
+        alarms: settingsAlarms,
+        dayTime: dayTimeInput?.value || undefined,
+        nightTime: nightTimeInput?.value || undefined,
+        clockFace: clockFace && clockFace !== settingsClockFace ? clockFace : undefined,
+        displayDimBrightness: dimBrightnessInput?.value || undefined,
+        displayDimTimeout: dimTimeoutInput?.value || undefined
+      }
+    })
+    await saveUpdatedTokens(response.updatedTokens)
+
+    applyDeviceSettings(response)
+    homebridge.hideSpinner()
+    homebridge.toast.success(`Saved settings to ${settingsDevice.name}`)
+  } catch (error) {
+    homebridge.hideSpinner()
+    console.error('Save device settings error:', error)
+    homebridge.toast.error('Failed to save device settings', getErrorMessage(error, 'Unknown error'))
+  }
+}
+
+/**
+ * Add a new weekday alarm to the editor
+ */
+function addAlarm () {
+  settingsAlarms.push({
+    days: '1111100',
+    time: '07:00',
+    soundId: '',
+    enabled: true,
+    fields: []
+  })
+  renderAlarmList()
+}
+
+/**
+ * Render the alarm editor rows
+ */
+function renderAlarmList () {
+  const listEl = document.getElementById('alarmList')
+  if (!listEl) return
+
+  listEl.replaceChildren()
+
+  if (!settingsAlarms.length) {
+    const emptyEl = document.createElement('p')
+    emptyEl.className = 'small text-muted'
+    emptyEl.textContent = 'No alarms set on this device.'
+    listEl.appendChild(emptyEl)
+    return
+  }
+
+  settingsAlarms.forEach((alarm, index) => {
+    const rowEl = document.createElement('div')
+    rowEl.className = 'form-inline mb-2'
+
+    const enabledEl = document.createElement('input')
+    enabledEl.type = 'checkbox'
+    enabledEl.className = 'mr-2'
+    enabledEl.title = 'Enabled'
+    enabledEl.checked = alarm.enabled
+    enabledEl.addEventListener('change', () => { alarm.enabled = enabledEl.checked })
+
+    const timeEl = document.createElement('input')
+    timeEl.type = 'time'
+    timeEl.className = 'form-control form-control-sm mr-2'
+    timeEl.value = alarm.time
+    timeEl.addEventListener('change', () => { alarm.time = timeEl.value })
+
+    rowEl.appendChild(enabledEl)
+    rowEl.appendChild(timeEl)
+
+    ALARM_DAY_NAMES.forEach((dayName, dayIndex) => {
+      const labelEl = document.createElement('label')
+      labelEl.className = 'mr-2 small'
+
+      const dayEl = document.createElement('input')
+      dayEl.type = 'checkbox'
+      dayEl.className = 'mr-1'
+      dayEl.checked = alarm.days[dayIndex] === '1'
+      dayEl.addEventListener('change', () => {
+        const days = alarm.days.split('')
+        days[dayIndex] = dayEl.checked ? '1' : '0'
+        alarm.days = days.join('')
+      })
+
+      labelEl.appendChild(dayEl)
+      labelEl.appendChild(document.createTextNode(dayName))
+      rowEl.appendChild(labelEl)
+    })
+
+    const soundEl = document.createElement('input')
+    soundEl.type = 'text'
+    soundEl.className = 'form-control form-control-sm mr-2'
+    soundEl.placeholder = 'Sound ID'
+    soundEl.value = alarm.soundId
+    soundEl.addEventListener('change', () => { alarm.soundId = soundEl.value.trim() })
+
+    const removeEl = document.createElement('button')
+    removeEl.type = 'button'
+    removeEl.className = 'btn btn-outline-danger btn-sm'
+    removeEl.textContent = 'Remove'
+    removeEl.addEventListener('click', () => {
+      settingsAlarms.splice(index, 1)
+      renderAlarmList()
+    })
+
+    rowEl.appendChild(soundEl)
+    rowEl.appendChild(removeEl)
+    listEl.appendChild(rowEl)
+  })
+}
@@ -1,10 +1,14 @@
 /**
- * @fileoverview Custom UI server for Yoto Homebridge plugin OAuth authentication
+ * @fileoverview Custom UI server for Yoto Homebridge plugin OAuth authentication and device settings
  */
 
+/** @import { YotoAlarm } from '../lib/utils/alarms.js' */
+
 import { HomebridgePluginUiServer, RequestError } from '@homebridge/plugin-ui-utils'
 import { YotoClient } from 'yoto-nodejs-client'
 import { DEFAULT_CLIENT_ID } from '../lib/settings.js'
+import { formatAlarm, parseAlarm } from '../lib/utils/alarms.js'
+import { isScheduleTime } from '../lib/utils/schedule.js'
 
 /**
  * Custom UI server for Yoto plugin OAuth authentication
@@ -20,6 +24,11 @@ class YotoUiServer extends HomebridgePluginUiServer {
     this.onRequest('/auth/start', startDeviceFlow)
     this.onRequest('/auth/poll', pollForToken)
 
+    // Account endpoints (use the saved tokens)
+    this.onRequest('/devices', listDevices)
+    this.onRequest('/device-settings', getDeviceSettings)
+    this.onRequest('/device-settings/update', updateDeviceSettings)
+
     // this MUST be called when you are ready to accept requests
     this.ready()
   }
@@ -259,6 +268,379 @@ async function pollForToken (payload) {
   }
 }
 
+/**
+ * Request payload for account endpoints that use the saved tokens
+ * @typedef {Object} AccountRequest
+ * @property {string} [clientId] - OAuth client ID from config (optional, falls back to DEFAULT_CLIENT_ID)
+ * @property {string} accessToken - Saved access token
+ * @property {string} refreshToken - Saved refresh token
+ */
+
+/**
+ * Tokens refreshed while handling an account request. The client must save these.
+ * @typedef {Object} UpdatedTokens
+ * @property {string} accessToken - OAuth access token
+ * @property {string} refreshToken - OAuth refresh token
+ * @property {number} tokenExpiresAt - Unix timestamp (ms) when access token expires
+ */
+
+/**
+ * Device summary returned by /devices
+ * @typedef {Object} DeviceSummary
+ * @property {string} deviceId - Yoto device ID
+ * @property {string} name - Device name from the Yoto app
+ * @property {string} model - Device family or type (e.g. 'v3', 'mini')
+ * @property {boolean} online - Whether the device was online when listed
+ */
+
+/**
+ * Response from /devices endpoint
+ * @typedef {Object} DevicesResponse
+ * @property {DeviceSummary[]} devices - Devices on the account
+ * @property {UpdatedTokens | null} updatedTokens - Refreshed tokens, if a refresh happened
+ */
+
+/**
+ * Create a Yoto API client from the saved tokens.
+ * Refreshed tokens are captured so they can be handed back to the client for saving.
+ * @param {AccountRequest} payload - Request with saved tokens
+ * @returns {{ client: YotoClient, getUpdatedTokens: () => UpdatedTokens | null }}
+ */
+function createAccountClient (payload) {
+  const { accessToken, refreshToken } = payload || {}
+  if (!accessToken || !refreshToken) {
+    throw new RequestError('Not authenticated', {
+      message: 'Authenticate with your Yoto account first.'
+    })
+  }
+
+  /** @type {UpdatedTokens | null} */
+  let updatedTokens = null
+
+  const client = new YotoClient({
+    clientId: payload.clientId || DEFAULT_CLIENT_ID,
+    accessToken,
+    refreshToken,
+    onTokenRefresh: async ({ updatedAccessToken, updatedRefreshToken, updatedExpiresAt }) => {
+      console.log('[Server] Access token refreshed while handling account request')
+      updatedTokens = {
+        accessToken: updatedAccessToken,
+        refreshToken: updatedRefreshToken || refreshToken,
+        tokenExpiresAt: updatedExpiresAt * 1000
+      }
+    }
+  })
+
+  return {
+    client,
+    getUpdatedTokens: () => updatedTokens
+  }
+}
+
+/**
+ * Convert an API error into a RequestError for the UI
+ * @param {string} title - Error title shown to the user
+ * @param {unknown} error - Original error
+ * @returns {RequestError}
+ */
+function toRequestError (title, error) {
+  const err = /** @type {any} */ (error)
+  const errorDescription = err?.jsonBody?.error_description || err?.jsonBody?.message
+  const errorMessage = errorDescription ||
+    (error instanceof Error ? error.message : String(error))
+  return new RequestError(title, {
+    message: errorMessage || 'Unknown error occurred'
+  })
+}
+
+/**
+ * List devices on the authenticated account
+ * @param {AccountRequest} payload - Request with saved tokens
+ * @returns {Promise<DevicesResponse>}
+ */
+async function listDevices (payload) {
+  console.log('[Server] listDevices called')
+  const { client, getUpdatedTokens } = createAccountClient(payload)
+
+  try {
+    const { devices } = await client.getDevices()
+    const result = devices.map(device => ({
+      deviceId: device.deviceId,
+      name: device.name,
+      model: device.deviceFamily || device.deviceType || '',
+      online: Boolean(device.online)
+    }))
+    console.log('[Server] listDevices found', result.length, 'device(s)')
+    return {
+      devices: result,
+      updatedTokens: getUpdatedTokens()
+    }
+  } catch (error) {
+    console.error('[Server] listDevices error:', error)
+    throw toRequestError('Failed to load devices', error)
+  }
+}
+
+/**
+ * Request payload for device settings endpoints
+ * @typedef {AccountRequest & { deviceId: string }} DeviceRequest
+ */
+
+/**
+ * Device settings editable from the UI
+ * @typedef {Object} DeviceSettings
+ * @property {YotoAlarm[]} alarms - Parsed alarms (unrecognized alarm strings are omitted)
+ * @property {string} dayTime - Day mode start time (HH:MM)
+ * @property {string} nightTime - Night mode start time (HH:MM)
+ * @property {string} clockFace - Clock face shown on the display
+ * @property {number | null} displayDimBrightness - Brightness the display dims to (0-100)
+ * @property {number | null} displayDimTimeout - Seconds before the display dims
+ */
+
+/**
+ * Raw device config fields used by the settings endpoints
+ * @typedef {Object} RawDeviceConfig
+ * @property {string[]} [alarms]
+ * @property {string} [dayTime]
+ * @property {string} [nightTime]
+ * @property {string} [clockFace]
+ * @property {string} [displayDimBrightness]
+ * @property {string} [displayDimTimeout]
+ */
+
+/**
+ * Request payload for /device-settings/update
+ * @typedef {DeviceRequest & { settings: Partial<DeviceSettings> }} DeviceSettingsUpdateRequest
+ */
+
+/**
+ * Response from /device-settings endpoints
+ * @typedef {Object} DeviceSettingsResponse
+ * @property {string} deviceId - Yoto device ID
+ * @property {DeviceSettings} settings - Current device settings
+ * @property {UpdatedTokens | null} updatedTokens - Refreshed tokens, if a refresh happened
+ */
+
+/**
+ * @param {DeviceRequest} payload
+ * @returns {string}
+ */
+function getRequestDeviceId (payload) {
+  const deviceId = typeof payload?.deviceId === 'string' ? payload.deviceId.trim() : ''
+  if (!deviceId) {
+    throw new RequestError('Missing required parameters', {
+      message: 'deviceId is required'
+    })
+  }
+  return deviceId
+}
+
+/**
+ * Fetch the raw device config
+ * @param {YotoClient} client
+ * @param {string} deviceId
+ * @returns {Promise<RawDeviceConfig>}
+ */
+async function fetchDeviceConfig (client, deviceId) {
+  const { device } = await client.getDeviceConfig({ deviceId })
+  return device?.config ?? {}
+}
+
+/**
+ * Convert a raw device config into UI settings
+ * @param {RawDeviceConfig} config
+ * @returns {DeviceSettings}
+ */
+function toDeviceSettings (config) {
+  /** @type {YotoAlarm[]} */
+  const alarms = []
+  for (const rawAlarm of config.alarms ?? []) {
+    const alarm = parseAlarm(rawAlarm)
+    if (alarm) alarms.push(alarm)
+  }
+  return {
+    alarms,
+    dayTime: config.dayTime ?? '',
+    nightTime: config.nightTime ?? '',
+    clockFace: config.clockFace ?? '',
+    displayDimBrightness: toNullableInteger(config.displayDimBrightness),
+    displayDimTimeout: toNullableInteger(config.displayDimTimeout)
+  }
+}
+
+/**
+ * Parse a numeric device config value
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+function toNullableInteger (value) {
+  if (value === undefined || value === null || value === '') return null
+  const number = Number(value)
+  return Number.isInteger(number) ? number : null
+}
+
+/**
+ * Validate a whole-number setting from the UI
+ * The device config stores numbers as strings.
+ * @param {unknown} value
+ * @param {string} label
+ * @param {{ min: number, max: number }} range
+ * @returns {string}
+ */
+function getRequestInteger (value, label, { min, max }) {
+  const number = Number(value)
+  if (value === null || value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new RequestError('Invalid setting', {
+      message: `${label} must be a whole number from ${min} to ${max}`
+    })
+  }
+  return String(number)
+}
+
+/**
+ * Clock faces the settings editor offers
+ */
+const CLOCK_FACES = ['digital-sun', 'analogue-sun']
+
+/**
+ * Validate a clock face from the UI
+ * @param {unknown} value
+ * @returns {string}
+ */
+function getRequestClockFace (value) {
+  const clockFace = typeof value === 'string' ? value.trim() : ''
+  if (!CLOCK_FACES.includes(clockFace)) {
+    throw new RequestError('Invalid setting', {
+      message: `Clock face must be one of: ${CLOCK_FACES.join(', ')}`
+    })
+  }
+  return clockFace
+}
+
+/**
+ * Validate a schedule time from the UI
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {string}
+ */
+function getRequestScheduleTime (value, label) {
+  if (!isScheduleTime(value)) {
+    throw new RequestError('Invalid schedule', {
+      message: `${label} must be a time (HH:MM)`
+    })
+  }
+  return value
+}
+
+/**
+ * Validate and format alarms from the UI
+ * @param {unknown} alarms
+ * @returns {string[]}
+ */
+function formatRequestAlarms (alarms) {
+  if (!Array.isArray(alarms)) {
+    throw new RequestError('Invalid alarms', { message: 'alarms must be a list' })
+  }
+
+  return alarms.map((alarm, index) => {
+    const formatted = formatAlarm({
+      days: String(alarm?.days ?? ''),
+      time: String(alarm?.time ?? ''),
+      soundId: String(alarm?.soundId ?? '').trim(),
+      enabled: Boolean(alarm?.enabled),
+      fields: Array.isArray(alarm?.fields) ? alarm.fields.map(String) : undefined
+    })
+    if (!parseAlarm(formatted)) {
+      throw new RequestError('Invalid alarm', {
+        message: `Alarm ${index + 1} needs a time (HH:MM) and seven day flags`
+      })
+    }
+    return formatted
+  })
+}
+
+/**
+ * Get editable settings for a device
+ * @param {DeviceRequest} payload - Request with saved tokens and device ID
+ * @returns {Promise<DeviceSettingsResponse>}
+ */
+async function getDeviceSettings (payload) {
+  const deviceId = getRequestDeviceId(payload)
+  console.log('[Server] getDeviceSettings called for', deviceId)
+  const { client, getUpdatedTokens } = createAccountClient(payload)
+
+  try {
+    const config = await fetchDeviceConfig(client, deviceId)
+    return {
+      deviceId,
+      settings: toDeviceSettings(config),
+      updatedTokens: getUpdatedTokens()
+    }
+  } catch (error) {
+    console.error('[Server] getDeviceSettings error:', error)
+    throw toRequestError('Failed to load device settings', error)
+  }
+}
+
+/**
+ * Update editable settings for a device
+ * @param {DeviceSettingsUpdateRequest} payload - Request with saved tokens, device ID and settings
+ * @returns {Promise<DeviceSettingsResponse>}
+ */
+async function updateDeviceSettings (payload) {
+  const deviceId = getRequestDeviceId(payload)
+  console.log('[Server] updateDeviceSettings called for', deviceId)
+  const settings = payload.settings || {}
+
+  /** @type {RawDeviceConfig} */
+  const configUpdate = {}
+  if (settings.alarms !== undefined) {
+    configUpdate.alarms = formatRequestAlarms(settings.alarms)
+  }
+  if (settings.dayTime !== undefined) {
+    configUpdate.dayTime = getRequestScheduleTime(settings.dayTime, 'Day start')
+  }
+  if (settings.nightTime !== undefined) {
+    configUpdate.nightTime = getRequestScheduleTime(settings.nightTime, 'Night start')
+  }
+  if (settings.clockFace !== undefined) {
+    configUpdate.clockFace = getRequestClockFace(settings.clockFace)
+  }
+  if (settings.displayDimBrightness !== undefined) {
+    configUpdate.displayDimBrightness = getRequestInteger(settings.displayDimBrightness, 'Dim brightness', { min: 0, max: 100 })
+  }
+  if (settings.displayDimTimeout !== undefined) {
+    configUpdate.displayDimTimeout = getRequestInteger(settings.displayDimTimeout, 'Dim after', { min: 0, max: 86400 })
+  }
+
+  const { client, getUpdatedTokens } = createAccountClient(payload)
+
+  try {
+    const current = await fetchDeviceConfig(client, deviceId)
+
+    if (configUpdate.alarms) {
+      // Keep alarms the UI could not parse so they are not silently deleted
+      const unrecognized = (current.alarms ?? []).filter(rawAlarm => !parseAlarm(rawAlarm))
+      configUpdate.alarms = [...configUpdate.alarms, ...unrecognized]
+    }
+
+    await client.updateDeviceConfig({
+      deviceId,
+      configUpdate: { config: configUpdate }
+    })
+    console.log('[Server] updateDeviceSettings saved', Object.keys(configUpdate).join(', ') || 'nothing')
+
+    return {
+      deviceId,
+      settings: toDeviceSettings({ ...current, ...configUpdate }),
+      updatedTokens: getUpdatedTokens()
+    }
+  } catch (error) {
+    console.error('[Server] updateDeviceSettings error:', error)
+    throw toRequestError('Failed to save device settings', error)
+  }
+}
+
 /**
  * Redact sensitive data from objects for logging
  * @param {any} obj - Object to redact
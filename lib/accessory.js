@@ -2,13 +2,15 @@
  * @fileoverview Yoto Player Accessory implementation - handles HomeKit services for a single player
  */
 
-/** @import { PlatformAccessory, CharacteristicValue, Service, Logger } from 'homebridge' */
+/** @import { PlatformAccessory, CharacteristicValue, Service, Logger, AdaptiveLightingController } from 'homebridge' */
 /** @import { YotoPlatform } from './platform.js' */
 /** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
 /** @import { YotoDevice } from 'yoto-nodejs-client/lib/api-endpoints/devices.js' */
-/** @import { YotoAccessoryContext } from './platform.js' */
+/** @import { YotoAccessoryContext, NightlightFadeOut } from './platform.js' */
 /** @import { ServiceSchemaKey } from '../config.schema.cjs' */
 /** @import { CardControlConfig } from './card-controls.js' */
+/** @import { NightlightPresetConfig } from './nightlight-presets.js' */
+/** @import { NightlightWrite } from './utils/nightlight-color.js' */
 
 /**
  * Device capabilities detected from metadata
@@ -25,12 +27,33 @@
  * @property {boolean} volume
  * @property {boolean} battery
  * @property {boolean} temperature
+ * @property {boolean} ambientLight
  * @property {boolean} nightlight
+ * @property {boolean} adaptiveLighting
+ * @property {boolean} warmShift
+ * @property {boolean} fadeOut
+ * @property {boolean} sunrise
  * @property {boolean} cardSlot
  * @property {boolean} dayMode
+ * @property {boolean} dayModeControl
  * @property {boolean} sleepTimer
  * @property {boolean} bluetooth
  * @property {boolean} volumeLimits
+ * @property {boolean} alarms
+ * @property {boolean} diagnostics
+ * @property {boolean} display
+ * @property {boolean} headphones
+ * @property {boolean} charger
+ * @property {boolean} chargeReminder
+ * @property {boolean} repeat
+ * @property {boolean} yotoContent
+ * @property {boolean} quietMode
+ * @property {boolean} powerButtons
+ */
+
+/**
+ * Day or night mode
+ * @typedef {'day' | 'night'} DayNightMode
  */
 
 import convert from 'color-convert'
@@ -44,15 +67,107 @@ import { sanitizeName } from './utils/sanitize-name.js'
 import { syncServiceNames } from './sync-service-names.js'
 import { serviceSchema } from '../config.schema.cjs'
 import { getPlaybackAccessoryConfig } from './service-config.js'
-import { getCardControlConfigs } from './card-controls.js'
+import { getCardControlConfigs, playCardControl } from './card-controls.js'
+import { getNightlightPresetConfigs, getNightlightPresetUpdate, parsePresetColor } from './nightlight-presets.js'
+import {
+  DEFAULT_FADE_OUT_MINUTES,
+  DEFAULT_WARM_SHIFT_MINUTES,
+  DEFAULT_WARM_SHIFT_TIME,
+  getFadeOutWrite,
+  getNightlightColorWrite,
+  getNightlightWriteColor,
+  getWarmShiftProgress,
+  isNightlightColorOff,
+  isSameNightlightColor,
+  MAX_COLOR_TEMPERATURE_MIRED,
+  MIN_COLOR_TEMPERATURE_MIRED,
+  miredToNightlightColor,
+  mixNightlightColors,
+  nightlightColorToMired,
+  WARM_SHIFT_COLOR,
+} from './utils/nightlight-color.js'
+import { WriteCoalescer } from './utils/write-coalescer.js'
+import {
+  DEFAULT_SUNRISE_BRIGHTNESS,
+  DEFAULT_SUNRISE_COLOR,
+  DEFAULT_SUNRISE_MINUTES,
+  DEFAULT_SUNRISE_TIME,
+  getSunriseProgress,
+  isSunriseHolding,
+} from './utils/sunrise.js'
+import { getTrimmedString } from './utils/get-trimmed-string.js'
+import { getDeviceDisplayName, getServiceConfig } from './device-config.js'
+import { resolveServiceName } from './service-names.js'
 import { formatError } from './utils/error-format.js'
 import { getBooleanSetting } from './utils/get-boolean-setting.js'
+import { getNumberSetting } from './utils/get-number-setting.js'
 import {
   clampPercent,
   clampSteps,
   percentToSteps,
   stepsToPercent,
 } from './utils/volume.js'
+import {
+  DEFAULT_SLEEP_TIMER_MAX_MINUTES,
+  DEFAULT_SLEEP_TIMER_MINUTES,
+  percentToSleepMinutes,
+  sleepSecondsToPercent,
+} from './utils/sleep-timer.js'
+import { describeAlarmDays, getAlarmKeys, parseAlarm, withAlarmEnabled } from './utils/alarms.js'
+import {
+  getForcedScheduleUpdate,
+  getMinutesToNextScheduleChange,
+  getScheduleMode,
+  getScheduleRestoreUpdate,
+  getScheduleTime,
+  isScheduleTime,
+} from './utils/schedule.js'
+import {
+  DEFAULT_CHARGE_REMINDER_END_TIME,
+  DEFAULT_CHARGE_REMINDER_PERCENT,
+  DEFAULT_CHARGE_REMINDER_TIME,
+  isOnExternalPower,
+  needsOvernightCharge,
+} from './utils/power.js'
+import {
+  ambientReadingToLux,
+  DEFAULT_AMBIENT_LIGHT_OFFSET,
+  DEFAULT_AMBIENT_LIGHT_SCALE,
+  MIN_AMBIENT_LIGHT_LUX,
+} from './utils/ambient-light.js'
+import {
+  DEFAULT_STORAGE_ALMOST_FULL_PERCENT,
+  DEFAULT_WEAK_WIFI_THRESHOLD,
+  didReboot,
+  getFreeStoragePercent,
+  isStorageAlmostFull,
+  isWeakWifi,
+} from './utils/diagnostics.js'
+
+/** Minutes represented by 100% brightness on the Auto Shutdown dimmer */
+const DEFAULT_AUTO_SHUTDOWN_MAX_MINUTES = 60
+
+/** How long the Restarted motion sensor stays triggered after a reboot */
+const REBOOT_MOTION_DURATION_MS = 60 * 1000
+
+/** How long to wait before retrying a failed schedule restore */
+const FORCED_SCHEDULE_RETRY_MS = 60 * 1000
+
+/** How often the charge reminder re-checks the clock */
+const CHARGE_REMINDER_INTERVAL_MS = 60 * 1000
+
+/** How often the warm shift re-checks the clock */
+const WARM_SHIFT_INTERVAL_MS = 60 * 1000
+/** Colour steps between the night colour and amber, so an evening costs a handful of config writes */
+const WARM_SHIFT_STEPS = 12
+
+/** How often a nightlight fade out steps the light down */
+const FADE_OUT_STEP_MS = 30 * 1000
+
+/** How often the sunrise re-checks the clock */
+const SUNRISE_INTERVAL_MS = 60 * 1000
+/** A finished sunrise does not run again until the next morning */
+const SUNRISE_REPEAT_GUARD_MS = 12 * 60 * 60 * 1000
 
 /**
  * @param {ServiceSchemaKey} key
@@ -76,27 +191,68 @@ export class YotoPlayerAccessory {
   /** @type {YotoDeviceModel} */ #deviceModel
   /** @type {Logger} */ #log
   /** @type {YotoDevice} */ #device
+  /** @type {string} */ #deviceName
   /** @type {Service | undefined} */ playbackService
   /** @type {Service | undefined} */ volumeService
   /** @type {Service | undefined} */ batteryService
   /** @type {Service | undefined} */ onlineStatusService
   /** @type {Service | undefined} */ temperatureSensorService
+  /** @type {Service | undefined} */ lightSensorService
   /** @type {Service | undefined} */ dayNightlightService
   /** @type {Service | undefined} */ nightNightlightService
   /** @type {Service | undefined} */ nightlightActiveService
   /** @type {Service | undefined} */ dayNightlightActiveService
   /** @type {Service | undefined} */ nightNightlightActiveService
+  /** @type {Service | undefined} */ fadeOutService
+  /** @type {ReturnType<typeof setTimeout> | null} */ #fadeOutTimer = null
+  /** @type {Service | undefined} */ sunriseService
+  /** @type {ReturnType<typeof setInterval> | null} */ #sunriseInterval = null
   /** @type {Service | undefined} */ cardSlotService
   /** @type {Service | undefined} */ dayModeService
+  /** @type {Service | undefined} */ nightModeService
   /** @type {Service | undefined} */ sleepTimerService
   /** @type {Service | undefined} */ bluetoothService
+  /** @type {Service | undefined} */ repeatService
+  /** @type {Service | undefined} */ dayQuietModeService
+  /** @type {Service | undefined} */ nightQuietModeService
+  /** @type {Service | undefined} */ nightYotoRadioService
   /** @type {Service | undefined} */ dayMaxVolumeService
   /** @type {Service | undefined} */ nightMaxVolumeService
+  /** @type {Service | undefined} */ dayAutoBrightnessService
+  /** @type {Service | undefined} */ nightAutoBrightnessService
+  /** @type {Service | undefined} */ headphonesService
+  /** @type {Service | undefined} */ bluetoothAudioService
+  /** @type {Service | undefined} */ bluetoothHeadphonesService
+  /** @type {Service | undefined} */ headphonesVolumeLimitService
+  /** @type {Service | undefined} */ pausePowerButtonService
+  /** @type {Service | undefined} */ pauseVolumeDownService
+  /** @type {Service | undefined} */ autoShutdownService
+  /** @type {Service | undefined} */ chargerService
+  /** @type {Service | undefined} */ chargeReminderService
+  /** @type {ReturnType<typeof setInterval> | null} */ #chargeReminderInterval = null
+  // One Switch per alarm; undefined when alarm services are disabled
+  /** @type {Service[] | undefined} */ alarmServices
+  /** @type {Service | undefined} */ weakWifiService
+  /** @type {Service | undefined} */ storageAlmostFullService
+  /** @type {Service | undefined} */ restartedService
+  // Last uptime reading, used to detect reboots
+  /** @type {number | null} */ #lastUptime = null
+  /** @type {ReturnType<typeof setTimeout> | null} */ #restartedResetTimer = null
+  // Puts the day/night schedule back after the Night Mode switch forced a mode
+  /** @type {ReturnType<typeof setTimeout> | null} */ #forcedScheduleTimer = null
   // Volume state for mute/unmute (0-100 percent)
   /** @type {number} */ #lastNonZeroVolume = 50
+  // Auto shutdown state for restore-on-ON (seconds)
+  /** @type {number} */ #lastShutdownTimeout = DEFAULT_AUTO_SHUTDOWN_MAX_MINUTES * 60
   // Nightlight color state for restore-on-ON
   /** @type {string} */ #lastDayColor = '0xffffff'
   /** @type {string} */ #lastNightColor = '0xffffff'
+  // Per-mode nightlight write coalescers, so a colour wheel drag becomes one config write
+  /** @type {Map<DayNightMode, WriteCoalescer<NightlightWrite>>} */ #nightlightWriters = new Map()
+  /** @type {Map<DayNightMode, AdaptiveLightingController>} */ #adaptiveLightingControllers = new Map()
+  /** @type {ReturnType<typeof setInterval> | null} */ #warmShiftInterval = null
+  // Manual night colour change during tonight's warm shift; cleared once the shift ends
+  /** @type {boolean} */ #warmShiftOverridden = false
   /** @type {Set<Service>} */ #currentServices = new Set()
 
   /**
@@ -113,33 +269,198 @@ export class YotoPlayerAccessory {
 
     // Extract device info from context
     this.#device = accessory.context.device
+    this.#deviceName = getDeviceDisplayName(platform.config, this.#device)
 
     // Track all services we add during setup
     this.#currentServices = new Set()
   }
 
   /**
+   * Resolve service toggles for this device (global settings plus per-device overrides).
    * @returns {YotoServiceToggles}
    */
   getServiceToggles () {
-    const config = this.#platform.config
-    const services = config && typeof config === 'object' ? config['services'] : undefined
-    const serviceConfig = typeof services === 'object' && services !== null
-      ? /** @type {Record<string, unknown>} */ (services)
-      : {}
-    const playbackConfig = getPlaybackAccessoryConfig(this.#platform.config)
+    const { deviceId } = this.#device
+    const serviceConfig = getServiceConfig(this.#platform.config, deviceId)
+    const playbackConfig = getPlaybackAccessoryConfig(this.#platform.config, deviceId)
 
     return {
       playback: playbackConfig.playbackEnabled,
       volume: playbackConfig.volumeEnabled,
       battery: getBooleanSetting(serviceConfig['battery'], getServiceDefault('battery')),
       temperature: getBooleanSetting(serviceConfig['temperature'], getServiceDefault('temperature')),
+      ambientLight: getBooleanSetting(serviceConfig['ambientLight'], getServiceDefault('ambientLight')),
       nightlight: getBooleanSetting(serviceConfig['nightlight'], getServiceDefault('nightlight')),
+      adaptiveLighting: getBooleanSetting(serviceConfig['adaptiveLighting'], getServiceDefault('adaptiveLighting')),
+      warmShift: getBooleanSetting(serviceConfig['warmShift'], getServiceDefault('warmShift')),
+      fadeOut: getBooleanSetting(serviceConfig['fadeOut'], getServiceDefault('fadeOut')),
+      sunrise: getBooleanSetting(serviceConfig['sunrise'], getServiceDefault('sunrise')),
       cardSlot: getBooleanSetting(serviceConfig['cardSlot'], getServiceDefault('cardSlot')),
       dayMode: getBooleanSetting(serviceConfig['dayMode'], getServiceDefault('dayMode')),
+      dayModeControl: getBooleanSetting(serviceConfig['dayModeControl'], getServiceDefault('dayModeControl')),
       sleepTimer: getBooleanSetting(serviceConfig['sleepTimer'], getServiceDefault('sleepTimer')),
       bluetooth: getBooleanSetting(serviceConfig['bluetooth'], getServiceDefault('bluetooth')),
       volumeLimits: getBooleanSetting(serviceConfig['volumeLimits'], getServiceDefault('volumeLimits')),
+      alarms: getBooleanSetting(serviceConfig['alarms'], getServiceDefault('alarms')),
+      diagnostics: getBooleanSetting(serviceConfig['diagnostics'], getServiceDefault('diagnostics')),
+      display: getBooleanSetting(serviceConfig['display'], getServiceDefault('display')),
+      headphones: getBooleanSetting(serviceConfig['headphones'], getServiceDefault('headphones')),
+      charger: getBooleanSetting(serviceConfig['charger'], getServiceDefault('charger')),
+      chargeReminder: getBooleanSetting(serviceConfig['chargeReminder'], getServiceDefault('chargeReminder')),
+      repeat: getBooleanSetting(serviceConfig['repeat'], getServiceDefault('repeat')),
+      yotoContent: getBooleanSetting(serviceConfig['yotoContent'], getServiceDefault('yotoContent')),
+      quietMode: getBooleanSetting(serviceConfig['quietMode'], getServiceDefault('quietMode')),
+      powerButtons: getBooleanSetting(serviceConfig['powerButtons'], getServiceDefault('powerButtons')),
+    }
+  }
+
+  /**
+   * Resolve sleep timer durations for this device.
+   * @returns {{ minutes: number, maxMinutes: number }}
+   */
+  getSleepTimerSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    const maxMinutes = Math.round(getNumberSetting(
+      serviceConfig['sleepTimerMaxMinutes'],
+      DEFAULT_SLEEP_TIMER_MAX_MINUTES,
+      { min: 1, max: 180 }
+    ))
+    const minutes = Math.round(getNumberSetting(
+      serviceConfig['sleepTimerMinutes'],
+      DEFAULT_SLEEP_TIMER_MINUTES,
+      { min: 1, max: maxMinutes }
+    ))
+    return { minutes, maxMinutes }
+  }
+
+  /**
+   * Resolve the auto shutdown dimmer range for this device.
+   * @returns {{ maxMinutes: number }}
+   */
+  getAutoShutdownSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    const maxMinutes = Math.round(getNumberSetting(
+      serviceConfig['autoShutdownMaxMinutes'],
+      DEFAULT_AUTO_SHUTDOWN_MAX_MINUTES,
+      { min: 1, max: 240 }
+    ))
+    return { maxMinutes }
+  }
+
+  /**
+   * Whether the device has an ambient light sensor.
+   * The device metadata has no ambient light capability, so this assumes the sensor
+   * ships on the same v3 hardware as the temperature sensor.
+   * @returns {boolean}
+   */
+  hasAmbientLightSensor () {
+    return Boolean(this.#deviceModel.capabilities.hasTemperatureSensor)
+  }
+
+  /**
+   * Resolve ambient light calibration for this device.
+   * @returns {{ scale: number, offset: number }}
+   */
+  getAmbientLightSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    return {
+      scale: getNumberSetting(serviceConfig['ambientLightScale'], DEFAULT_AMBIENT_LIGHT_SCALE, { min: 0 }),
+      offset: getNumberSetting(serviceConfig['ambientLightOffset'], DEFAULT_AMBIENT_LIGHT_OFFSET),
+    }
+  }
+
+  /**
+   * Resolve "not charged overnight" reminder settings for this device.
+   * @returns {{ bedtime: string, minPercent: number }}
+   */
+  getChargeReminderSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    const bedtime = serviceConfig['chargeReminderTime']
+    return {
+      bedtime: isScheduleTime(bedtime) ? bedtime : DEFAULT_CHARGE_REMINDER_TIME,
+      minPercent: getNumberSetting(
+        serviceConfig['chargeReminderPercent'],
+        DEFAULT_CHARGE_REMINDER_PERCENT,
+        { min: 1, max: 100 }
+      ),
+    }
+  }
+
+  /**
+   * Resolve nightlight warm shift settings for this device.
+   * @returns {{ bedtime: string, minutes: number }}
+   */
+  getWarmShiftSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    const bedtime = serviceConfig['warmShiftTime']
+    return {
+      bedtime: isScheduleTime(bedtime) ? bedtime : DEFAULT_WARM_SHIFT_TIME,
+      minutes: Math.round(getNumberSetting(
+        serviceConfig['warmShiftMinutes'],
+        DEFAULT_WARM_SHIFT_MINUTES,
+        { min: 5, max: 240 }
+      )),
+    }
+  }
+
+  /**
+   * Resolve the nightlight fade out duration for this device.
+   * @returns {{ minutes: number }}
+   */
+  getFadeOutSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    return {
+      minutes: Math.round(getNumberSetting(
+        serviceConfig['fadeOutMinutes'],
+        DEFAULT_FADE_OUT_MINUTES,
+        { min: 1, max: 120 }
+      )),
+    }
+  }
+
+  /**
+   * Resolve wake-up light settings for this device.
+   * @returns {{ wakeTime: string, minutes: number, color: string, brightness: number, cardId: string, volume: number | null }}
+   */
+  getSunriseSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    const wakeTime = serviceConfig['sunriseTime']
+    const volume = serviceConfig['sunriseVolume']
+    return {
+      wakeTime: isScheduleTime(wakeTime) ? wakeTime : DEFAULT_SUNRISE_TIME,
+      minutes: Math.round(getNumberSetting(
+        serviceConfig['sunriseMinutes'],
+        DEFAULT_SUNRISE_MINUTES,
+        { min: 5, max: 120 }
+      )),
+      color: parsePresetColor(serviceConfig['sunriseColor']) ?? DEFAULT_SUNRISE_COLOR,
+      brightness: Math.round(getNumberSetting(
+        serviceConfig['sunriseBrightness'],
+        DEFAULT_SUNRISE_BRIGHTNESS,
+        { min: 1, max: 100 }
+      )),
+      cardId: getTrimmedString(serviceConfig['sunriseCardId']),
+      volume: typeof volume === 'number' && Number.isFinite(volume) ? clampPercent(volume) : null,
+    }
+  }
+
+  /**
+   * Resolve diagnostics thresholds for this device.
+   * @returns {{ weakWifiThreshold: number, storageAlmostFullPercent: number }}
+   */
+  getDiagnosticsSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    return {
+      weakWifiThreshold: getNumberSetting(
+        serviceConfig['weakWifiThreshold'],
+        DEFAULT_WEAK_WIFI_THRESHOLD,
+        { min: -100, max: -1 }
+      ),
+      storageAlmostFullPercent: getNumberSetting(
+        serviceConfig['storageAlmostFullPercent'],
+        DEFAULT_STORAGE_ALMOST_FULL_PERCENT,
+        { min: 0, max: 100 }
+      ),
     }
   }
 
@@ -178,14 +499,37 @@ export class YotoPlayerAccessory {
     if (serviceToggles.battery) {
       this.setupBatteryService()
     }
+    if (serviceToggles.charger) {
+      this.setupChargerService()
+    }
+    if (serviceToggles.chargeReminder) {
+      this.setupChargeReminderService()
+    }
 
     // Setup optional services based on device capabilities
     if (serviceToggles.temperature && this.#deviceModel.capabilities.hasTemperatureSensor) {
       this.setupTemperatureSensorService()
     }
 
+    if (serviceToggles.ambientLight && this.hasAmbientLightSensor()) {
+      this.setupLightSensorService()
+    }
+
     if (serviceToggles.nightlight && this.#deviceModel.capabilities.hasColoredNightlight) {
       this.setupNightlightServices()
+      this.setupNightlightPresetServices()
+      if (serviceToggles.adaptiveLighting) {
+        this.setupAdaptiveLighting()
+      }
+      if (serviceToggles.warmShift) {
+        this.setupWarmShift()
+      }
+      if (serviceToggles.fadeOut) {
+        this.setupFadeOutService()
+      }
+      if (serviceToggles.sunrise) {
+        this.setupSunriseService()
+      }
     }
 
     // Setup universal services (available on all devices)
@@ -195,17 +539,51 @@ export class YotoPlayerAccessory {
     if (serviceToggles.dayMode) {
       this.setupDayModeService()
     }
+    if (serviceToggles.dayModeControl) {
+      this.setupNightModeService()
+    }
     if (serviceToggles.sleepTimer) {
       this.setupSleepTimerService()
     }
     if (serviceToggles.bluetooth) {
       this.setupBluetoothService()
     }
+    if (serviceToggles.repeat) {
+      this.setupRepeatService()
+    }
+    if (serviceToggles.quietMode) {
+      this.setupQuietModeServices()
+    }
+    if (serviceToggles.powerButtons) {
+      this.setupPowerButtonServices()
+    }
+    if (serviceToggles.yotoContent) {
+      this.setupNightYotoRadioService()
+    } else {
+      this.nightYotoRadioService = undefined
+    }
+    if (serviceToggles.display) {
+      this.setupDisplayServices()
+    }
+    if (serviceToggles.headphones) {
+      this.setupHeadphonesServices()
+    }
     if (serviceToggles.volumeLimits) {
       this.setupVolumeLimitServices()
     }
+    if (serviceToggles.alarms) {
+      this.setupAlarmServices()
+    } else {
+      this.alarmServices = undefined
+    }
+    if (serviceToggles.diagnostics) {
+      this.setupDiagnosticsServices()
+    }
     this.setupCardControlServices()
 
+    // A forced mode from before a restart still needs its schedule put back, even if the switch is gone
+    this.scheduleForcedScheduleRestore()
+
     // Remove any services that aren't in our current set
     // (except AccessoryInformation which should always be preserved)
     for (const service of this.#accessory.services) {
@@ -223,12 +601,16 @@ export class YotoPlayerAccessory {
   }
 
   /**
-   * Generate service name with device name prefix
+   * Generate service name from the configured name overrides and templates
+   * (device name prefix by default)
    * @param {string} serviceName - Base service name
-   * @returns {string} Full service name with device prefix
+   * @returns {string} Full service name
    */
   generateServiceName (serviceName) {
-    const rawName = `${this.#device.name} ${serviceName}`
+    const rawName = resolveServiceName(this.#platform.config, this.#device.deviceId, {
+      device: this.#deviceName,
+      service: serviceName,
+    })
     return sanitizeName(rawName)
   }
 
@@ -378,6 +760,137 @@ export class YotoPlayerAccessory {
     this.#currentServices.add(service)
   }
 
+  /**
+   * Setup On Charger ContactSensor service
+   * Contact Detected = on a dock or charger
+   */
+  setupChargerService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('On Charger')
+    const service = this.#accessory.getServiceById(Service.ContactSensor, 'OnCharger') ||
+      this.#accessory.addService(Service.ContactSensor, serviceName, 'OnCharger')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.ContactSensorState)
+      .onGet(this.getOnChargerState.bind(this))
+
+    service.getCharacteristic(Characteristic.StatusActive)
+      .onGet(this.getStatusActive.bind(this))
+
+    this.chargerService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup Not Charging ContactSensor service
+   * Contact Not Detected = off the charger below the configured battery level after bedtime.
+   * The state depends on the clock, so it is re-checked every minute.
+   */
+  setupChargeReminderService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Not Charging')
+    const service = this.#accessory.getServiceById(Service.ContactSensor, 'ChargeReminder') ||
+      this.#accessory.addService(Service.ContactSensor, serviceName, 'ChargeReminder')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.ContactSensorState)
+      .onGet(this.getChargeReminderState.bind(this))
+
+    this.chargeReminderService = service
+    this.#currentServices.add(service)
+
+    if (!this.#chargeReminderInterval) {
+      this.#chargeReminderInterval = setInterval(() => {
+        this.updateChargeReminderCharacteristic()
+      }, CHARGE_REMINDER_INTERVAL_MS)
+    }
+  }
+
+  /**
+   * Attach HomeKit Adaptive Lighting to the nightlight Lightbulbs, so the Home app can drive
+   * their colour temperature through the day.
+   */
+  setupAdaptiveLighting () {
+    const services = /** @type {const} */ ([
+      ['day', this.dayNightlightService],
+      ['night', this.nightNightlightService],
+    ])
+    for (const [mode, service] of services) {
+      if (!service || this.#adaptiveLightingControllers.has(mode)) continue
+      const controller = new this.#platform.api.hap.AdaptiveLightingController(service)
+      this.#accessory.configureController(controller)
+      this.#adaptiveLightingControllers.set(mode, controller)
+    }
+  }
+
+  /**
+   * Start the night nightlight warm shift.
+   * The shift depends on the clock, so it is re-checked every minute.
+   */
+  setupWarmShift () {
+    if (!this.#warmShiftInterval) {
+      this.#warmShiftInterval = setInterval(() => {
+        this.applyWarmShift().catch(() => {
+          // Already logged by queueNightlightWrite
+        })
+      }, WARM_SHIFT_INTERVAL_MS)
+    }
+  }
+
+  /**
+   * Setup Fade Out Lightbulb service
+   * On = night nightlight fading out, Brightness = time left as a percent of the configured duration.
+   */
+  setupFadeOutService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Fade Out')
+
+    const service = this.#accessory.getServiceById(Service.Lightbulb, 'FadeOut') ||
+      this.#accessory.addService(Service.Lightbulb, serviceName, 'FadeOut')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getFadeOutOn.bind(this))
+      .onSet(this.setFadeOutOn.bind(this))
+
+    service.getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getFadeOutBrightness.bind(this))
+      .onSet(this.setFadeOutBrightness.bind(this))
+
+    this.fadeOutService = service
+    this.#currentServices.add(service)
+
+    // A fade cut short by a restart carries on, or finishes if its time is already up
+    if (this.#accessory.context.fadeOut && !this.#fadeOutTimer) {
+      this.#fadeOutTimer = setTimeout(() => { this.stepFadeOut() }, FADE_OUT_STEP_MS)
+    }
+  }
+
+  /**
+   * Setup Sunrise Switch service
+   * On = wake-up light armed. The armed state lives in the accessory context so it survives restarts.
+   */
+  setupSunriseService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Sunrise')
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'Sunrise') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'Sunrise')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getSunriseArmed.bind(this))
+      .onSet(this.setSunriseArmed.bind(this))
+
+    this.sunriseService = service
+    this.#currentServices.add(service)
+
+    if (this.#accessory.context.sunrise?.armed) {
+      this.startSunrise()
+    }
+  }
+
   /**
    * Setup TemperatureSensor service (optional - only for devices with temperature sensor)
    */
@@ -404,6 +917,32 @@ export class YotoPlayerAccessory {
     this.#currentServices.add(service)
   }
 
+  /**
+   * Setup LightSensor service (optional - only for devices with an ambient light sensor)
+   */
+  setupLightSensorService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Ambient Light')
+    const service = this.#accessory.getService(Service.LightSensor) ||
+      this.#accessory.addService(Service.LightSensor, serviceName)
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    // CurrentAmbientLightLevel (GET only)
+    service.getCharacteristic(Characteristic.CurrentAmbientLightLevel)
+      .onGet(this.getCurrentAmbientLightLevel.bind(this))
+
+    // StatusFault (GET only) - indicates if sensor is working
+    service.getCharacteristic(Characteristic.StatusFault)
+      .onGet(this.getLightSensorFault.bind(this))
+
+    // StatusActive (online/offline indicator)
+    service.getCharacteristic(Characteristic.StatusActive)
+      .onGet(this.getStatusActive.bind(this))
+
+    this.lightSensorService = service
+    this.#currentServices.add(service)
+  }
+
   /**
    * Setup Nightlight services (optional - only for devices with colored nightlight)
    * Creates two Lightbulb services for day and night nightlight color control
@@ -437,6 +976,12 @@ export class YotoPlayerAccessory {
       .onGet(this.getDayNightlightSaturation.bind(this))
       .onSet(this.setDayNightlightSaturation.bind(this))
 
+    // ColorTemperature (READ/WRITE) - Closest white to ambientColour
+    dayService.getCharacteristic(Characteristic.ColorTemperature)
+      .setProps({ minValue: MIN_COLOR_TEMPERATURE_MIRED, maxValue: MAX_COLOR_TEMPERATURE_MIRED })
+      .onGet(() => this.getNightlightColorTemperature('day'))
+      .onSet((value) => this.setNightlightColorTemperature('day', value))
+
     this.dayNightlightService = dayService
 
     // Night Nightlight
@@ -465,6 +1010,12 @@ export class YotoPlayerAccessory {
       .onGet(this.getNightNightlightSaturation.bind(this))
       .onSet(this.setNightNightlightSaturation.bind(this))
 
+    // ColorTemperature (READ/WRITE) - Closest white to nightAmbientColour
+    nightService.getCharacteristic(Characteristic.ColorTemperature)
+      .setProps({ minValue: MIN_COLOR_TEMPERATURE_MIRED, maxValue: MAX_COLOR_TEMPERATURE_MIRED })
+      .onGet(() => this.getNightlightColorTemperature('night'))
+      .onSet((value) => this.setNightlightColorTemperature('night', value))
+
     this.nightNightlightService = nightService
 
     // Setup nightlight status ContactSensors
@@ -549,21 +1100,47 @@ export class YotoPlayerAccessory {
   }
 
   /**
-   * Setup sleep timer Switch service
-   * Toggle sleep timer on/off
+   * Setup night mode Switch service
+   * On forces night mode, Off forces day mode (by moving the schedule start time to now
+   * until the next scheduled change)
+   */
+  setupNightModeService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Night Mode')
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'NightMode') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'NightMode')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getNightModeOn.bind(this))
+      .onSet(this.setNightModeOn.bind(this))
+
+    this.nightModeService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup sleep timer Lightbulb service
+   * On starts/cancels the timer, Brightness is the time remaining as a percent of the configured maximum
    */
   setupSleepTimerService () {
     const { Service, Characteristic } = this.#platform
     const serviceName = this.generateServiceName('Sleep Timer')
 
-    const service = this.#accessory.getServiceById(Service.Switch, 'SleepTimer') ||
-      this.#accessory.addService(Service.Switch, serviceName, 'SleepTimer')
+    const service = this.#accessory.getServiceById(Service.Lightbulb, 'SleepTimer') ||
+      this.#accessory.addService(Service.Lightbulb, serviceName, 'SleepTimer')
     syncServiceNames({ Characteristic, service, name: serviceName })
 
     service.getCharacteristic(Characteristic.On)
       .onGet(this.getSleepTimerState.bind(this))
       .onSet(this.setSleepTimerState.bind(this))
 
+    service.getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getSleepTimerBrightness.bind(this))
+      .onSet(this.setSleepTimerBrightness.bind(this))
+
     this.sleepTimerService = service
     this.#currentServices.add(service)
   }
@@ -589,89 +1166,441 @@ export class YotoPlayerAccessory {
   }
 
   /**
-   * Setup volume limit Lightbulb services
-   * Control day and night mode max volume limits
+   * Setup Repeat Switch service
+   * Toggle repeat-all playback
    */
-  setupVolumeLimitServices () {
+  setupRepeatService () {
     const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Repeat')
 
-    // Day Max Volume
-    const dayName = this.generateServiceName('Day Max Volume')
-    const dayService = this.#accessory.getServiceById(Service.Lightbulb, 'DayMaxVolume') ||
-      this.#accessory.addService(Service.Lightbulb, dayName, 'DayMaxVolume')
-    syncServiceNames({ Characteristic, service: dayService, name: dayName })
-
-    dayService
-      .getCharacteristic(Characteristic.On)
-      .onGet(() => true)
-      .onSet((value) => {
-        if (!value) {
-          dayService.updateCharacteristic(Characteristic.On, true)
-        }
-      })
-    dayService.setCharacteristic(Characteristic.On, true)
-
-    dayService
-      .getCharacteristic(Characteristic.Brightness)
-      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
-      .onGet(this.getDayMaxVolume.bind(this))
-      .onSet(this.setDayMaxVolume.bind(this))
+    const service = this.#accessory.getServiceById(Service.Switch, 'Repeat') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'Repeat')
+    syncServiceNames({ Characteristic, service, name: serviceName })
 
-    this.dayMaxVolumeService = dayService
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getRepeatState.bind(this))
+      .onSet(this.setRepeatState.bind(this))
 
-    // Night Max Volume
-    const nightName = this.generateServiceName('Night Max Volume')
-    const nightService = this.#accessory.getServiceById(Service.Lightbulb, 'NightMaxVolume') ||
-      this.#accessory.addService(Service.Lightbulb, nightName, 'NightMaxVolume')
-    syncServiceNames({ Characteristic, service: nightService, name: nightName })
+    this.repeatService = service
+    this.#currentServices.add(service)
+  }
 
-    nightService
-      .getCharacteristic(Characteristic.On)
-      .onGet(() => true)
-      .onSet((value) => {
-        if (!value) {
-          nightService.updateCharacteristic(Characteristic.On, true)
-        }
-      })
-    nightService.setCharacteristic(Characteristic.On, true)
+  /**
+   * Setup Quiet Mode Switch services
+   * Turn device sounds off for day and night mode
+   */
+  setupQuietModeServices () {
+    const { Service, Characteristic } = this.#platform
 
-    nightService
-      .getCharacteristic(Characteristic.Brightness)
-      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
-      .onGet(this.getNightMaxVolume.bind(this))
-      .onSet(this.setNightMaxVolume.bind(this))
+    /** @type {DayNightMode[]} */
+    const modes = ['day', 'night']
+    for (const mode of modes) {
+      const label = mode === 'day' ? 'Day' : 'Night'
+      const serviceName = this.generateServiceName(`${label} Quiet Mode`)
+      const service = this.#accessory.getServiceById(Service.Switch, `${label}QuietMode`) ||
+        this.#accessory.addService(Service.Switch, serviceName, `${label}QuietMode`)
+      syncServiceNames({ Characteristic, service, name: serviceName })
 
-    this.nightMaxVolumeService = nightService
+      service.getCharacteristic(Characteristic.On)
+        .onGet(() => this.getQuietMode(mode))
+        .onSet((value) => this.setQuietMode(mode, value))
 
-    this.#currentServices.add(dayService)
-    this.#currentServices.add(nightService)
+      if (mode === 'day') {
+        this.dayQuietModeService = service
+      } else {
+        this.nightQuietModeService = service
+      }
+      this.#currentServices.add(service)
+    }
   }
 
   /**
-   * Setup card control Switch services
+   * Setup pause button Switch services and the Auto Shutdown Lightbulb service
+   * The switches choose whether the power button and volume down button pause playback;
+   * the dimmer's Brightness is the auto shutdown timeout as a percent of the configured maximum
    */
-  setupCardControlServices () {
-    const cardControls = getCardControlConfigs(this.#platform.config)
-    if (cardControls.length === 0) {
-      return
-    }
-
+  setupPowerButtonServices () {
     const { Service, Characteristic } = this.#platform
 
-    for (const control of cardControls) {
-      const serviceName = this.generateServiceName(control.label)
-      const subtype = `CardControl:${control.id}`
+    const powerButtonName = this.generateServiceName('Pause With Power Button')
+    const powerButtonService = this.#accessory.getServiceById(Service.Switch, 'PausePowerButton') ||
+      this.#accessory.addService(Service.Switch, powerButtonName, 'PausePowerButton')
+    syncServiceNames({ Characteristic, service: powerButtonService, name: powerButtonName })
 
-      const service = this.#accessory.getServiceById(Service.Switch, subtype) ||
-        this.#accessory.addService(Service.Switch, serviceName, subtype)
+    powerButtonService.getCharacteristic(Characteristic.On)
+      .onGet(() => this.getPauseButton('pausePowerButton'))
+      .onSet((value) => this.setPauseButton('pausePowerButton', value))
 
-      syncServiceNames({ Characteristic, service, name: serviceName })
+    this.pausePowerButtonService = powerButtonService
 
-      service
-        .getCharacteristic(Characteristic.On)
-        .onGet(() => false)
-        .onSet(async (value) => {
-          await this.setCardControl(service, control, value)
+    const volumeDownName = this.generateServiceName('Pause With Volume Down')
+    const volumeDownService = this.#accessory.getServiceById(Service.Switch, 'PauseVolumeDown') ||
+      this.#accessory.addService(Service.Switch, volumeDownName, 'PauseVolumeDown')
+    syncServiceNames({ Characteristic, service: volumeDownService, name: volumeDownName })
+
+    volumeDownService.getCharacteristic(Characteristic.On)
+      .onGet(() => this.getPauseButton('pauseVolumeDown'))
+      .onSet((value) => this.setPauseButton('pauseVolumeDown', value))
+
+    this.pauseVolumeDownService = volumeDownService
+
+    const shutdownName = this.generateServiceName('Auto Shutdown')
+    const shutdownService = this.#accessory.getServiceById(Service.Lightbulb, 'AutoShutdown') ||
+      this.#accessory.addService(Service.Lightbulb, shutdownName, 'AutoShutdown')
+    syncServiceNames({ Characteristic, service: shutdownService, name: shutdownName })
+
+    shutdownService.getCharacteristic(Characteristic.On)
+      .onGet(this.getAutoShutdownOn.bind(this))
+      .onSet(this.setAutoShutdownOn.bind(this))
+
+    shutdownService.getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getAutoShutdownBrightness.bind(this))
+      .onSet(this.setAutoShutdownBrightness.bind(this))
+
+    this.autoShutdownService = shutdownService
+
+    this.#currentServices.add(powerButtonService)
+    this.#currentServices.add(volumeDownService)
+    this.#currentServices.add(shutdownService)
+  }
+
+  /**
+   * Setup night Yoto Radio Switch service
+   */
+  setupNightYotoRadioService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Night Yoto Radio')
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'NightYotoRadio') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'NightYotoRadio')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getNightYotoRadio.bind(this))
+      .onSet(this.setNightYotoRadio.bind(this))
+
+    this.nightYotoRadioService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup display services
+   * An auto-brightness Switch for each of day and night mode. Manual screen brightness
+   * belongs to the Day/Night Nightlight Brightness, which writes the same device fields.
+   */
+  setupDisplayServices () {
+    const { Service, Characteristic } = this.#platform
+
+    /** @type {DayNightMode[]} */
+    const modes = ['day', 'night']
+    for (const mode of modes) {
+      const label = mode === 'day' ? 'Day' : 'Night'
+
+      const autoName = this.generateServiceName(`${label} Auto Brightness`)
+      const autoService = this.#accessory.getServiceById(Service.Switch, `${label}AutoBrightness`) ||
+        this.#accessory.addService(Service.Switch, autoName, `${label}AutoBrightness`)
+      syncServiceNames({ Characteristic, service: autoService, name: autoName })
+
+      autoService
+        .getCharacteristic(Characteristic.On)
+        .onGet(() => this.getAutoBrightness(mode))
+        .onSet((value) => this.setAutoBrightness(mode, value))
+
+      if (mode === 'day') {
+        this.dayAutoBrightnessService = autoService
+      } else {
+        this.nightAutoBrightnessService = autoService
+      }
+
+      this.#currentServices.add(autoService)
+    }
+  }
+
+  /**
+   * Setup headphone services
+   * Occupancy sensors for wired and Bluetooth audio connections, plus switches
+   * for Bluetooth headphones and the headphone volume limit
+   */
+  setupHeadphonesServices () {
+    const { Service, Characteristic } = this.#platform
+
+    const headphonesName = this.generateServiceName('Headphones')
+    const headphonesService = this.#accessory.getServiceById(Service.OccupancySensor, 'Headphones') ||
+      this.#accessory.addService(Service.OccupancySensor, headphonesName, 'Headphones')
+    syncServiceNames({ Characteristic, service: headphonesService, name: headphonesName })
+
+    headphonesService.getCharacteristic(Characteristic.OccupancyDetected)
+      .onGet(this.getHeadphonesConnected.bind(this))
+    headphonesService.getCharacteristic(Characteristic.StatusActive)
+      .onGet(this.getStatusActive.bind(this))
+
+    this.headphonesService = headphonesService
+
+    const bluetoothAudioName = this.generateServiceName('Bluetooth Audio')
+    const bluetoothAudioService = this.#accessory.getServiceById(Service.OccupancySensor, 'BluetoothAudio') ||
+      this.#accessory.addService(Service.OccupancySensor, bluetoothAudioName, 'BluetoothAudio')
+    syncServiceNames({ Characteristic, service: bluetoothAudioService, name: bluetoothAudioName })
+
+    bluetoothAudioService.getCharacteristic(Characteristic.OccupancyDetected)
+      .onGet(this.getBluetoothAudioConnected.bind(this))
+    bluetoothAudioService.getCharacteristic(Characteristic.StatusActive)
+      .onGet(this.getStatusActive.bind(this))
+
+    this.bluetoothAudioService = bluetoothAudioService
+
+    const bluetoothHeadphonesName = this.generateServiceName('Bluetooth Headphones')
+    const bluetoothHeadphonesService = this.#accessory.getServiceById(Service.Switch, 'BluetoothHeadphones') ||
+      this.#accessory.addService(Service.Switch, bluetoothHeadphonesName, 'BluetoothHeadphones')
+    syncServiceNames({ Characteristic, service: bluetoothHeadphonesService, name: bluetoothHeadphonesName })
+
+    bluetoothHeadphonesService.getCharacteristic(Characteristic.On)
+      .onGet(this.getBluetoothHeadphonesEnabled.bind(this))
+      .onSet(this.setBluetoothHeadphonesEnabled.bind(this))
+
+    this.bluetoothHeadphonesService = bluetoothHeadphonesService
+
+    const volumeLimitName = this.generateServiceName('Headphone Volume Limit')
+    const volumeLimitService = this.#accessory.getServiceById(Service.Switch, 'HeadphonesVolumeLimit') ||
+      this.#accessory.addService(Service.Switch, volumeLimitName, 'HeadphonesVolumeLimit')
+    syncServiceNames({ Characteristic, service: volumeLimitService, name: volumeLimitName })
+
+    volumeLimitService.getCharacteristic(Characteristic.On)
+      .onGet(this.getHeadphonesVolumeLimited.bind(this))
+      .onSet(this.setHeadphonesVolumeLimited.bind(this))
+
+    this.headphonesVolumeLimitService = volumeLimitService
+
+    this.#currentServices.add(headphonesService)
+    this.#currentServices.add(bluetoothAudioService)
+    this.#currentServices.add(bluetoothHeadphonesService)
+    this.#currentServices.add(volumeLimitService)
+  }
+
+  /**
+   * Setup volume limit Lightbulb services
+   * Control day and night mode max volume limits
+   */
+  setupVolumeLimitServices () {
+    const { Service, Characteristic } = this.#platform
+
+    // Day Max Volume
+    const dayName = this.generateServiceName('Day Max Volume')
+    const dayService = this.#accessory.getServiceById(Service.Lightbulb, 'DayMaxVolume') ||
+      this.#accessory.addService(Service.Lightbulb, dayName, 'DayMaxVolume')
+    syncServiceNames({ Characteristic, service: dayService, name: dayName })
+
+    dayService
+      .getCharacteristic(Characteristic.On)
+      .onGet(() => true)
+      .onSet((value) => {
+        if (!value) {
+          dayService.updateCharacteristic(Characteristic.On, true)
+        }
+      })
+    dayService.setCharacteristic(Characteristic.On, true)
+
+    dayService
+      .getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getDayMaxVolume.bind(this))
+      .onSet(this.setDayMaxVolume.bind(this))
+
+    this.dayMaxVolumeService = dayService
+
+    // Night Max Volume
+    const nightName = this.generateServiceName('Night Max Volume')
+    const nightService = this.#accessory.getServiceById(Service.Lightbulb, 'NightMaxVolume') ||
+      this.#accessory.addService(Service.Lightbulb, nightName, 'NightMaxVolume')
+    syncServiceNames({ Characteristic, service: nightService, name: nightName })
+
+    nightService
+      .getCharacteristic(Characteristic.On)
+      .onGet(() => true)
+      .onSet((value) => {
+        if (!value) {
+          nightService.updateCharacteristic(Characteristic.On, true)
+        }
+      })
+    nightService.setCharacteristic(Characteristic.On, true)
+
+    nightService
+      .getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getNightMaxVolume.bind(this))
+      .onSet(this.setNightMaxVolume.bind(this))
+
+    this.nightMaxVolumeService = nightService
+
+    this.#currentServices.add(dayService)
+    this.#currentServices.add(nightService)
+  }
+
+  /**
+   * Setup diagnostics services
+   * Weak Wi-Fi and Storage Almost Full ContactSensors (Contact Not Detected = problem)
+   * and a Restarted MotionSensor that triggers briefly when the player reboots
+   */
+  setupDiagnosticsServices () {
+    const { Service, Characteristic } = this.#platform
+
+    const weakWifiName = this.generateServiceName('Weak Wi-Fi')
+    const weakWifiService = this.#accessory.getServiceById(Service.ContactSensor, 'WeakWifi') ||
+      this.#accessory.addService(Service.ContactSensor, weakWifiName, 'WeakWifi')
+    syncServiceNames({ Characteristic, service: weakWifiService, name: weakWifiName })
+
+    weakWifiService.getCharacteristic(Characteristic.ContactSensorState)
+      .onGet(this.getWeakWifiState.bind(this))
+
+    this.weakWifiService = weakWifiService
+
+    const storageName = this.generateServiceName('Storage Almost Full')
+    const storageService = this.#accessory.getServiceById(Service.ContactSensor, 'StorageAlmostFull') ||
+      this.#accessory.addService(Service.ContactSensor, storageName, 'StorageAlmostFull')
+    syncServiceNames({ Characteristic, service: storageService, name: storageName })
+
+    storageService.getCharacteristic(Characteristic.ContactSensorState)
+      .onGet(this.getStorageAlmostFullState.bind(this))
+
+    this.storageAlmostFullService = storageService
+
+    const restartedName = this.generateServiceName('Restarted')
+    const restartedService = this.#accessory.getServiceById(Service.MotionSensor, 'Restarted') ||
+      this.#accessory.addService(Service.MotionSensor, restartedName, 'Restarted')
+    syncServiceNames({ Characteristic, service: restartedService, name: restartedName })
+
+    restartedService.getCharacteristic(Characteristic.MotionDetected)
+      .onGet(() => this.#restartedResetTimer !== null)
+
+    this.restartedService = restartedService
+    this.#lastUptime = this.#deviceModel.status.uptime ?? null
+
+    this.#currentServices.add(weakWifiService)
+    this.#currentServices.add(storageService)
+    this.#currentServices.add(restartedService)
+  }
+
+  /**
+   * Setup alarm Switch services
+   * One switch per alarm in the device config; On = alarm enabled.
+   * Switches are keyed by the alarm's identity (see getAlarmKeys), not its position, so
+   * deleting or reordering alarms never rebinds a switch to a different alarm.
+   * Called again on alarm config changes to add or remove switches.
+   */
+  setupAlarmServices () {
+    const { Service, Characteristic } = this.#platform
+    /** @type {string[]} */
+    const rawAlarms = this.#deviceModel.config.alarms ?? []
+    const alarmKeys = getAlarmKeys(rawAlarms)
+    const isUpdate = this.alarmServices !== undefined
+
+    /** @type {Service[]} */
+    const services = []
+
+    rawAlarms.forEach((rawAlarm, index) => {
+      const alarm = parseAlarm(rawAlarm)
+      const alarmKey = alarmKeys[index]
+      if (!alarm || !alarmKey) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Skipping unrecognized alarm: ${rawAlarm}`)
+        return
+      }
+
+      const serviceName = this.generateServiceName(
+        `Alarm ${alarm.time.replace(':', '.')} ${describeAlarmDays(alarm.days)}`
+      )
+      const subtype = `Alarm:${alarmKey}`
+
+      let service = this.#accessory.getServiceById(Service.Switch, subtype)
+      if (!service) {
+        service = this.#accessory.addService(Service.Switch, serviceName, subtype)
+        if (isUpdate) {
+          this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Added alarm switch: ${serviceName}`)
+        }
+      }
+      syncServiceNames({ Characteristic, service, name: serviceName })
+
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(() => this.getAlarmEnabled(alarmKey))
+        .onSet((value) => this.setAlarmEnabled(alarmKey, value))
+
+      service.updateCharacteristic(Characteristic.On, alarm.enabled)
+
+      services.push(service)
+      this.#currentServices.add(service)
+    })
+
+    // Remove switches for alarms that were deleted since the last setup
+    for (const service of this.alarmServices ?? []) {
+      if (!services.includes(service)) {
+        this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Removed alarm switch: ${service.displayName}`)
+        this.#accessory.removeService(service)
+        this.#currentServices.delete(service)
+      }
+    }
+
+    this.alarmServices = services
+  }
+
+  /**
+   * Setup card control Switch services
+   */
+  setupCardControlServices () {
+    const cardControls = getCardControlConfigs(this.#platform.config, this.#device.deviceId)
+    if (cardControls.length === 0) {
+      return
+    }
+
+    const { Service, Characteristic } = this.#platform
+
+    for (const control of cardControls) {
+      const serviceName = this.generateServiceName(control.label)
+      const subtype = `CardControl:${control.id}`
+
+      const service = this.#accessory.getServiceById(Service.Switch, subtype) ||
+        this.#accessory.addService(Service.Switch, serviceName, subtype)
+
+      syncServiceNames({ Characteristic, service, name: serviceName })
+
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(() => false)
+        .onSet(async (value) => {
+          await this.setCardControl(service, control, value)
+        })
+
+      service.updateCharacteristic(Characteristic.On, false)
+
+      this.#currentServices.add(service)
+    }
+  }
+
+  /**
+   * Setup nightlight preset Switch services
+   * Momentary switches that apply a configured colour and brightness in one config write
+   */
+  setupNightlightPresetServices () {
+    const presets = getNightlightPresetConfigs(this.#platform.config, this.#device.deviceId)
+    if (presets.length === 0) {
+      return
+    }
+
+    const { Service, Characteristic } = this.#platform
+
+    for (const preset of presets) {
+      const serviceName = this.generateServiceName(preset.name)
+      const subtype = `NightlightPreset:${preset.id}`
+
+      const service = this.#accessory.getServiceById(Service.Switch, subtype) ||
+        this.#accessory.addService(Service.Switch, serviceName, subtype)
+
+      syncServiceNames({ Characteristic, service, name: serviceName })
+
+      service
+        .getCharacteristic(Characteristic.On)
+        .onGet(() => false)
+        .onSet(async (value) => {
+          await this.setNightlightPreset(service, preset, value)
         })
 
       service.updateCharacteristic(Characteristic.On, false)
@@ -697,10 +1626,12 @@ export class YotoPlayerAccessory {
           case 'batteryLevelPercentage':
             this.updateBatteryLevelCharacteristic(status.batteryLevelPercentage)
             this.updateLowBatteryCharacteristic(status.batteryLevelPercentage)
+            this.updateChargeReminderCharacteristic()
             break
 
           case 'isCharging':
             this.updateChargingStateCharacteristic(status.isCharging)
+            this.updateChargerCharacteristics()
             break
 
           case 'isOnline':
@@ -725,8 +1656,9 @@ export class YotoPlayerAccessory {
             break
 
           case 'dayMode':
-            // Update day mode ContactSensor
+            // Update day mode ContactSensor and night mode Switch
             this.updateDayModeCharacteristic()
+            this.updateNightModeCharacteristic()
             // Update nightlight status ContactSensors (depends on dayMode)
             if (this.#deviceModel.capabilities.hasColoredNightlight) {
               this.updateNightlightStatusCharacteristics()
@@ -737,19 +1669,37 @@ export class YotoPlayerAccessory {
             this.updateCardSlotCharacteristic()
             break
 
-          // Available but not yet mapped to characteristics
-          case 'activeCardId':
-          case 'maxVolume':
+          case 'ambientLightSensorReading':
+            this.updateAmbientLightCharacteristic()
+            break
+
+          case 'isAudioDeviceConnected':
+          case 'isBluetoothAudioConnected':
+            this.updateHeadphonesCharacteristics()
+            break
+
           case 'powerSource':
+            this.updateChargerCharacteristics()
+            break
+
           case 'wifiStrength':
+            this.updateWeakWifiCharacteristic()
+            break
+
           case 'freeDiskSpaceBytes':
           case 'totalDiskSpaceBytes':
-          case 'isAudioDeviceConnected':
-          case 'isBluetoothAudioConnected':
-          case 'ambientLightSensorReading':
+            this.updateStorageAlmostFullCharacteristic()
+            break
+
+          case 'uptime':
+            this.updateRestartedCharacteristic(status.uptime)
+            break
+
+          // Available but not yet mapped to characteristics
+          case 'activeCardId':
+          case 'maxVolume':
           case 'displayBrightness':
           case 'timeFormat':
-          case 'uptime':
           case 'updatedAt':
           case 'source':
             // Not implemented - empty case documents availability
@@ -779,6 +1729,7 @@ export class YotoPlayerAccessory {
               const brightness = Math.max(0, Math.min(Math.round(raw), 100))
               this.dayNightlightService.updateCharacteristic(Characteristic.Brightness, brightness)
             }
+            this.updateDisplayCharacteristics('day')
             break
           }
 
@@ -789,6 +1740,7 @@ export class YotoPlayerAccessory {
               const brightness = Math.max(0, Math.min(Math.round(raw), 100))
               this.nightNightlightService.updateCharacteristic(Characteristic.Brightness, brightness)
             }
+            this.updateDisplayCharacteristics('night')
             break
           }
 
@@ -802,6 +1754,10 @@ export class YotoPlayerAccessory {
                 const [h, s] = convert.hex.hsv(hex)
                 this.dayNightlightService.updateCharacteristic(Characteristic.Hue, h)
                 this.dayNightlightService.updateCharacteristic(Characteristic.Saturation, s)
+                this.dayNightlightService.updateCharacteristic(
+                  Characteristic.ColorTemperature,
+                  nightlightColorToMired(config.ambientColour)
+                )
               }
             }
             break
@@ -817,6 +1773,10 @@ export class YotoPlayerAccessory {
                 const [h, s] = convert.hex.hsv(hex)
                 this.nightNightlightService.updateCharacteristic(Characteristic.Hue, h)
                 this.nightNightlightService.updateCharacteristic(Characteristic.Saturation, s)
+                this.nightNightlightService.updateCharacteristic(
+                  Characteristic.ColorTemperature,
+                  nightlightColorToMired(config.nightAmbientColour)
+                )
               }
             }
             break
@@ -834,9 +1794,41 @@ export class YotoPlayerAccessory {
             this.updateBluetoothCharacteristic()
             break
 
-          // Config fields available but not exposed as characteristics yet
           case 'alarms':
+            this.updateAlarmServices()
+            break
+
+          case 'repeatAll':
+            this.updateRepeatCharacteristic()
+            break
+
+          case 'nightYotoRadioEnabled':
+            this.updateNightYotoRadioCharacteristic()
+            break
+
+          case 'daySoundsOff':
+            this.updateQuietModeCharacteristic('day')
+            break
+
+          case 'nightSoundsOff':
+            this.updateQuietModeCharacteristic('night')
+            break
+
           case 'btHeadphonesEnabled':
+          case 'headphonesVolumeLimited':
+            this.updateHeadphonesSwitchCharacteristics()
+            break
+
+          case 'pausePowerButton':
+          case 'pauseVolumeDown':
+            this.updatePauseButtonCharacteristics()
+            break
+
+          case 'shutdownTimeout':
+            this.updateAutoShutdownCharacteristics()
+            break
+
+          // Config fields available but not exposed as characteristics yet
           case 'clockFace':
           case 'dayTime':
           case 'nightTime':
@@ -844,20 +1836,12 @@ export class YotoPlayerAccessory {
           case 'nightYotoDaily':
           case 'dayYotoRadio':
           case 'nightYotoRadio':
-          case 'nightYotoRadioEnabled':
-          case 'daySoundsOff':
-          case 'nightSoundsOff':
           case 'displayDimBrightness':
           case 'displayDimTimeout':
-          case 'headphonesVolumeLimited':
           case 'hourFormat':
           case 'locale':
           case 'logLevel':
-          case 'pausePowerButton':
-          case 'pauseVolumeDown':
-          case 'repeatAll':
           case 'showDiagnostics':
-          case 'shutdownTimeout':
           case 'systemVolume':
           case 'timezone':
           case 'volumeLevel': {
@@ -888,6 +1872,7 @@ export class YotoPlayerAccessory {
             break
 
           case 'sleepTimerActive':
+          case 'sleepTimerSeconds':
             this.updateSleepTimerCharacteristic()
             break
 
@@ -904,7 +1889,6 @@ export class YotoPlayerAccessory {
           case 'trackKey':
           case 'chapterTitle':
           case 'chapterKey':
-          case 'sleepTimerSeconds':
           case 'streaming':
           case 'updatedAt': {
             // Not exposed as characteristics
@@ -1173,6 +2157,38 @@ export class YotoPlayerAccessory {
     return fault
   }
 
+  // ==================== LightSensor Characteristic Handlers ====================
+
+  /**
+   * Get calibrated ambient light level from live status
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getCurrentAmbientLightLevel () {
+    const reading = this.#deviceModel.status.ambientLightSensorReading
+    const { scale, offset } = this.getAmbientLightSettings()
+    const lux = ambientReadingToLux(reading, scale, offset)
+
+    if (lux === null) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ambient light -> unavailable`)
+      return MIN_AMBIENT_LIGHT_LUX
+    }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ambient light -> ${lux} lux (reading=${reading})`)
+    return lux
+  }
+
+  /**
+   * Get light sensor fault status
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getLightSensorFault () {
+    const isOffline = !this.#deviceModel.status.isOnline
+    const isUnavailable = ambientReadingToLux(this.#deviceModel.status.ambientLightSensorReading) === null
+    return isOffline || isUnavailable
+      ? this.#platform.Characteristic.StatusFault.GENERAL_FAULT
+      : this.#platform.Characteristic.StatusFault.NO_FAULT
+  }
+
   // ==================== Nightlight Characteristic Handlers ====================
 
   /**
@@ -1186,15 +2202,6 @@ export class YotoPlayerAccessory {
     return hexColor.replace(/^(0x|#)/, '')
   }
 
-  /**
-   * Helper: Format hex color to Yoto format (0xRRGGBB)
-   * @param {string} hex - Hex color without prefix (RRGGBB)
-   * @returns {string} - Formatted as '0xRRGGBB'
-   */
-  formatHexColor (hex) {
-    return `0x${hex}`
-  }
-
   /**
    * Helper: Check if color is "off" (black or 'off' string)
    * @param {string} color - Color value
@@ -1204,41 +2211,26 @@ export class YotoPlayerAccessory {
     return !color || color === 'off' || color === '0x000000' || color === '#000000' || color === '000000'
   }
 
-  // ---------- Day Nightlight Handlers ----------
-
   /**
-   * Get day nightlight on/off state
-   * @returns {Promise<CharacteristicValue>}
+   * Queue a nightlight On/Hue/Saturation/Brightness change. Changes arriving close together
+   * are merged into one config write.
+   * @param {DayNightMode} mode
+   * @param {NightlightWrite} write
+   * @returns {Promise<void>}
    */
-  async getDayNightlightOn () {
-    const color = this.#deviceModel.config.ambientColour
-    const isOn = !this.isColorOff(color)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight on -> ${isOn} (${color})`)
-    return isOn
-  }
+  async queueNightlightWrite (mode, write) {
+    let writer = this.#nightlightWriters.get(mode)
+    if (!writer) {
+      writer = new WriteCoalescer({
+        flush: (pending) => this.writeNightlight(mode, pending),
+      })
+      this.#nightlightWriters.set(mode, writer)
+    }
 
-  /**
-   * Set day nightlight on/off state
-   * @param {CharacteristicValue} value
-   */
-  async setDayNightlightOn (value) {
     try {
-      if (value) {
-        // Turn ON - restore previous color or default to white
-        const colorToSet = this.#lastDayColor || '0xffffff'
-        this.#log.debug(LOG_PREFIX.ACCESSORY, `Turning day nightlight ON with color: ${colorToSet}`)
-        await this.#deviceModel.updateConfig({ ambientColour: colorToSet })
-      } else {
-        // Turn OFF - save current color and set to black
-        const currentColor = this.#deviceModel.config.ambientColour
-        if (!this.isColorOff(currentColor)) {
-          this.#lastDayColor = currentColor
-        }
-        this.#log.debug(LOG_PREFIX.ACCESSORY, 'Turning day nightlight OFF')
-        await this.#deviceModel.updateConfig({ ambientColour: '0x000000' })
-      }
+      await writer.queue(write)
     } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set day nightlight:`, formatError(error))
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set ${mode} nightlight:`, formatError(error))
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
       )
@@ -1246,489 +2238,1501 @@ export class YotoPlayerAccessory {
   }
 
   /**
-   * Get day nightlight brightness (screen brightness)
-   * @returns {Promise<CharacteristicValue>}
+   * Write merged nightlight changes in a single config update
+   * @param {DayNightMode} mode
+   * @param {NightlightWrite} write
+   * @returns {Promise<void>}
    */
-  async getDayNightlightBrightness () {
-    const config = this.#deviceModel.config
-    const isAuto = config.dayDisplayBrightnessAuto
-    const raw = config.dayDisplayBrightness
-    const brightness = isAuto || raw === null
-      ? 100
-      : Math.max(0, Math.min(Math.round(raw), 100))
-    this.#log.debug(
-      LOG_PREFIX.ACCESSORY,
-      `[${this.#device.name}] Get day nightlight brightness -> ${brightness} (raw=${raw} auto=${isAuto})`
-    )
-    return brightness
-  }
+  async writeNightlight (mode, write) {
+    const { config } = this.#deviceModel
+    const currentColor = mode === 'day' ? config.ambientColour : config.nightAmbientColour
+
+    // Remember the colour while it is on, so turning the light back on restores it
+    if (!isNightlightColorOff(currentColor)) {
+      if (mode === 'day') {
+        this.#lastDayColor = currentColor
+      } else {
+        this.#lastNightColor = currentColor
+      }
+    }
 
-  /**
-   * Set day nightlight brightness (screen brightness)
-   * @param {CharacteristicValue} value
-   */
-  async setDayNightlightBrightness (value) {
-    const rawBrightness = Number(value)
-    if (!Number.isFinite(rawBrightness)) {
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
-      )
+    const color = getNightlightWriteColor({
+      currentColor,
+      restoreColor: mode === 'day' ? this.#lastDayColor : this.#lastNightColor,
+      write,
+    })
+
+    /** @type {{ ambientColour?: string, nightAmbientColour?: string, dayDisplayBrightness?: number, dayDisplayBrightnessAuto?: boolean, nightDisplayBrightness?: number, nightDisplayBrightnessAuto?: boolean }} */
+    const configUpdate = {}
+    if (color !== null) {
+      if (mode === 'day') {
+        configUpdate.ambientColour = color
+      } else {
+        configUpdate.nightAmbientColour = color
+      }
+    }
+    if (write.brightness !== undefined) {
+      if (mode === 'day') {
+        configUpdate.dayDisplayBrightness = write.brightness
+        configUpdate.dayDisplayBrightnessAuto = false
+      } else {
+        configUpdate.nightDisplayBrightness = write.brightness
+        configUpdate.nightDisplayBrightnessAuto = false
+      }
     }
 
-    const brightnessValue = Math.max(0, Math.min(Math.round(rawBrightness), 100))
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting day display brightness: ${brightnessValue}`)
-    try {
-      await this.#deviceModel.updateConfig({
-        dayDisplayBrightness: brightnessValue,
-        dayDisplayBrightnessAuto: false
-      })
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set day brightness:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+    if (Object.keys(configUpdate).length === 0) {
+      return
     }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Writing ${mode} nightlight:`, configUpdate)
+    await this.#deviceModel.updateConfig(configUpdate)
   }
 
   /**
-   * Get day nightlight hue
+   * Get nightlight colour temperature (closest white to the current or last colour)
+   * @param {DayNightMode} mode
    * @returns {Promise<CharacteristicValue>}
    */
-  async getDayNightlightHue () {
-    const color = this.#deviceModel.config.ambientColour
-    if (this.isColorOff(color)) {
-      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight hue -> 0 (off)`)
-      return 0
-    }
-    const hex = this.parseHexColor(color)
-    const [h] = convert.hex.hsv(hex)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight hue -> ${h} (${color})`)
-    return h
+  async getNightlightColorTemperature (mode) {
+    const { config } = this.#deviceModel
+    const currentColor = mode === 'day' ? config.ambientColour : config.nightAmbientColour
+    const color = this.isColorOff(currentColor)
+      ? (mode === 'day' ? this.#lastDayColor : this.#lastNightColor)
+      : currentColor
+    const mired = nightlightColorToMired(color)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ${mode} nightlight colour temperature -> ${mired} (${color})`)
+    return mired
   }
 
   /**
-   * Set day nightlight hue
-   * @param {CharacteristicValue} value
+   * Set nightlight colour temperature
+   * @param {DayNightMode} mode
+   * @param {CharacteristicValue} value - Mireds
    */
-  async setDayNightlightHue (value) {
-    const rawHue = Number(value)
-    if (!Number.isFinite(rawHue)) {
+  async setNightlightColorTemperature (mode, value) {
+    const mired = Number(value)
+    if (!Number.isFinite(mired)) {
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
       )
     }
-    const hue = Math.max(0, Math.min(rawHue, 360))
+    if (mode === 'night') {
+      this.stopFadeOut()
+    }
+    await this.queueNightlightWrite(mode, getNightlightColorWrite(miredToNightlightColor(mired)))
+  }
 
-    // Get current saturation to maintain it
-    const currentColor = this.#deviceModel.config.ambientColour
-    let saturation = 100
-    if (!this.isColorOff(currentColor)) {
-      const hex = this.parseHexColor(currentColor)
-      const [, s] = convert.hex.hsv(hex)
-      saturation = s
+  /**
+   * Move the night nightlight towards amber as bedtime approaches, and back to the colour it
+   * started from once day time begins. A manual colour change pauses the shift until the next evening.
+   * The colour it started from is kept in the accessory context so a restart mid-evening can still restore it.
+   * @returns {Promise<void>}
+   */
+  async applyWarmShift () {
+    if (!this.#deviceModel.status.isOnline) return
+    if (this.#adaptiveLightingControllers.get('night')?.isAdaptiveLightingActive()) return
+
+    const { config } = this.#deviceModel
+    const { bedtime, minutes } = this.getWarmShiftSettings()
+    const progress = getWarmShiftProgress({
+      time: getScheduleTime(new Date(), config.timezone),
+      bedtime,
+      wakeTime: this.getScheduledDayTime(),
+      minutes,
+    })
+    const step = Math.round(progress * WARM_SHIFT_STEPS) / WARM_SHIFT_STEPS
+    const currentColor = config.nightAmbientColour
+    const context = this.#accessory.context
+    const state = context.warmShift
+    const isShiftedColor = Boolean(state) && isSameNightlightColor(currentColor, state?.color)
+
+    if (step === 0) {
+      this.#warmShiftOverridden = false
+      if (!state) return
+      this.setWarmShiftState(undefined)
+      if (isShiftedColor) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Warm shift over, restoring night nightlight ${state.baseColor}`)
+        await this.queueNightlightWrite('night', getNightlightColorWrite(state.baseColor))
+      }
+      return
     }
 
-    // Convert HSV to hex (use full value/brightness for color)
-    const newHex = convert.hsv.hex([hue, saturation, 100])
-    const formattedColor = this.formatHexColor(newHex)
+    if (this.#warmShiftOverridden || this.isColorOff(currentColor)) return
+    if (state && !isShiftedColor) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Night nightlight changed by hand, pausing warm shift until tomorrow`)
+      this.#warmShiftOverridden = true
+      this.setWarmShiftState(undefined)
+      return
+    }
 
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting day nightlight hue: ${hue}° → ${formattedColor}`)
-    try {
-      await this.#deviceModel.updateConfig({ ambientColour: formattedColor })
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set day nightlight hue:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+    const baseColor = state?.baseColor ?? currentColor
+    const write = getNightlightColorWrite(mixNightlightColors(baseColor, WARM_SHIFT_COLOR, step))
+    const color = getNightlightWriteColor({ currentColor, restoreColor: null, write })
+    if (!color || isSameNightlightColor(color, currentColor)) {
+      if (!state) this.setWarmShiftState({ baseColor, color: currentColor })
+      return
     }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Warm shift ${Math.round(step * 100)}% -> ${color}`)
+    this.setWarmShiftState({ baseColor, color })
+    await this.queueNightlightWrite('night', write)
   }
 
   /**
-   * Get day nightlight saturation
-   * @returns {Promise<CharacteristicValue>}
+   * Persist warm shift state in the accessory context
+   * @param {YotoAccessoryContext['warmShift']} state - undefined clears it
    */
-  async getDayNightlightSaturation () {
-    const color = this.#deviceModel.config.ambientColour
-    if (this.isColorOff(color)) {
-      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight saturation -> 0 (off)`)
-      return 0
+  setWarmShiftState (state) {
+    if (state) {
+      this.#accessory.context.warmShift = state
+    } else {
+      delete this.#accessory.context.warmShift
     }
-    const hex = this.parseHexColor(color)
-    const [, s] = convert.hex.hsv(hex)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight saturation -> ${s} (${color})`)
-    return s
+    this.#platform.api.updatePlatformAccessories([this.#accessory])
   }
 
+  // ---------- Nightlight Fade Out ----------
+
   /**
-   * Set day nightlight saturation
-   * @param {CharacteristicValue} value
+   * Nightlight brightness as shown in HomeKit (auto brightness counts as 100)
+   * @param {DayNightMode} mode
+   * @returns {number}
    */
-  async setDayNightlightSaturation (value) {
-    const rawSaturation = Number(value)
-    if (!Number.isFinite(rawSaturation)) {
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
-      )
-    }
-    const saturation = Math.max(0, Math.min(rawSaturation, 100))
-
-    // Get current hue to maintain it
-    const currentColor = this.#deviceModel.config.ambientColour
-    let hue = 0
-    if (!this.isColorOff(currentColor)) {
-      const hex = this.parseHexColor(currentColor)
-      const [h] = convert.hex.hsv(hex)
-      hue = h
-    }
-
-    // Convert HSV to hex (use full value/brightness for color)
-    const newHex = convert.hsv.hex([hue, saturation, 100])
-    const formattedColor = this.formatHexColor(newHex)
-
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting day nightlight saturation: ${saturation}% → ${formattedColor}`)
-    try {
-      await this.#deviceModel.updateConfig({ ambientColour: formattedColor })
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set day nightlight saturation:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
-    }
+  getNightlightLevel (mode) {
+    const { config } = this.#deviceModel
+    const isAuto = mode === 'day' ? config.dayDisplayBrightnessAuto : config.nightDisplayBrightnessAuto
+    const raw = mode === 'day' ? config.dayDisplayBrightness : config.nightDisplayBrightness
+    return isAuto || raw === null
+      ? 100
+      : Math.max(0, Math.min(Math.round(raw), 100))
   }
 
-  // ---------- Night Nightlight Handlers ----------
+  /**
+   * Seconds left in the running fade out
+   * @returns {number}
+   */
+  getFadeOutRemainingSeconds () {
+    const fade = this.#accessory.context.fadeOut
+    if (!fade) return 0
+    return Math.max(0, Math.round((fade.startedAt + fade.durationMs - Date.now()) / 1000))
+  }
 
   /**
-   * Get night nightlight on/off state
+   * Get fade out state
    * @returns {Promise<CharacteristicValue>}
    */
-  async getNightNightlightOn () {
-    const color = this.#deviceModel.config.nightAmbientColour
-    const isOn = !this.isColorOff(color)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight on -> ${isOn} (${color})`)
-    return isOn
+  async getFadeOutOn () {
+    const isFading = Boolean(this.#accessory.context.fadeOut)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get fade out -> ${isFading}`)
+    return isFading
   }
 
   /**
-   * Set night nightlight on/off state
+   * Start a fade out over the configured duration, or stop the running one
    * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
    */
-  async setNightNightlightOn (value) {
-    try {
-      if (value) {
-        // Turn ON - restore previous color or default to white
-        const colorToSet = this.#lastNightColor || '0xffffff'
-        this.#log.debug(LOG_PREFIX.ACCESSORY, `Turning night nightlight ON with color: ${colorToSet}`)
-        await this.#deviceModel.updateConfig({ nightAmbientColour: colorToSet })
-      } else {
-        // Turn OFF - save current color and set to black
-        const currentColor = this.#deviceModel.config.nightAmbientColour
-        if (!this.isColorOff(currentColor)) {
-          this.#lastNightColor = currentColor
-        }
-        this.#log.debug(LOG_PREFIX.ACCESSORY, 'Turning night nightlight OFF')
-        await this.#deviceModel.updateConfig({ nightAmbientColour: '0x000000' })
-      }
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set night nightlight:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+  async setFadeOutOn (value) {
+    if (!value) {
+      this.stopFadeOut()
+      return
     }
+    if (this.#accessory.context.fadeOut) return
+    this.startFadeOut(this.getFadeOutSettings().minutes)
   }
 
   /**
-   * Get night nightlight brightness (screen brightness)
+   * Get fade out time left as a percent of the configured duration
    * @returns {Promise<CharacteristicValue>}
    */
-  async getNightNightlightBrightness () {
-    const config = this.#deviceModel.config
-    const isAuto = config.nightDisplayBrightnessAuto
-    const raw = config.nightDisplayBrightness
-    const brightness = isAuto || raw === null
-      ? 100
-      : Math.max(0, Math.min(Math.round(raw), 100))
-    this.#log.debug(
-      LOG_PREFIX.ACCESSORY,
-      `[${this.#device.name}] Get night nightlight brightness -> ${brightness} (raw=${raw} auto=${isAuto})`
-    )
-    return brightness
+  async getFadeOutBrightness () {
+    const { minutes } = this.getFadeOutSettings()
+    const seconds = this.getFadeOutRemainingSeconds()
+    const percent = sleepSecondsToPercent(seconds, minutes)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get fade out -> ${percent} (seconds=${seconds})`)
+    return percent
   }
 
   /**
-   * Set night nightlight brightness (screen brightness)
+   * Start or retime a fade out from a percent of the configured duration
    * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
    */
-  async setNightNightlightBrightness (value) {
-    const rawBrightness = Number(value)
-    if (!Number.isFinite(rawBrightness)) {
+  async setFadeOutBrightness (value) {
+    const requestedPercent = typeof value === 'number' ? value : Number(value)
+    if (!Number.isFinite(requestedPercent)) {
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
       )
     }
 
-    const brightnessValue = Math.max(0, Math.min(Math.round(rawBrightness), 100))
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting night display brightness: ${brightnessValue}`)
-    try {
-      await this.#deviceModel.updateConfig({
-        nightDisplayBrightness: brightnessValue,
-        nightDisplayBrightnessAuto: false
-      })
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set night brightness:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+    const minutes = percentToSleepMinutes(requestedPercent, this.getFadeOutSettings().minutes)
+    if (minutes === 0) {
+      this.stopFadeOut()
+      return
     }
+    this.startFadeOut(minutes)
   }
 
   /**
-   * Get night nightlight hue
-   * @returns {Promise<CharacteristicValue>}
+   * Start fading the night nightlight out from where it is now. Retiming a running fade
+   * carries on from its current level and still restores the original colour and brightness.
+   * @param {number} minutes
    */
-  async getNightNightlightHue () {
+  startFadeOut (minutes) {
     const color = this.#deviceModel.config.nightAmbientColour
     if (this.isColorOff(color)) {
-      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight hue -> 0 (off)`)
-      return 0
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Night nightlight is off, nothing to fade out`)
+      this.stopFadeOut()
+      return
     }
-    const hex = this.parseHexColor(color)
-    const [h] = convert.hex.hsv(hex)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight hue -> ${h} (${color})`)
-    return h
+
+    const brightness = this.getNightlightLevel('night')
+    const previous = this.#accessory.context.fadeOut
+    if (this.#fadeOutTimer) {
+      clearTimeout(this.#fadeOutTimer)
+    }
+
+    this.setFadeOutState({
+      startedAt: Date.now(),
+      durationMs: minutes * 60 * 1000,
+      startColor: color,
+      startBrightness: Math.max(1, brightness),
+      restoreColor: previous?.restoreColor ?? color,
+      restoreBrightness: previous?.restoreBrightness ?? Math.max(1, brightness),
+      color,
+      brightness,
+    })
+    this.#fadeOutTimer = setTimeout(() => { this.stepFadeOut() }, FADE_OUT_STEP_MS)
+
+    this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Fading night nightlight out over ${minutes} minute(s)`)
+    this.updateFadeOutCharacteristics()
   }
 
   /**
-   * Set night nightlight hue
-   * @param {CharacteristicValue} value
+   * Step the running fade out down, or turn the light off once the time is up.
+   * Stops instead if the light was changed by anything other than the fade.
+   * @returns {Promise<void>}
    */
-  async setNightNightlightHue (value) {
-    const rawHue = Number(value)
-    if (!Number.isFinite(rawHue)) {
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
-      )
+  async stepFadeOut () {
+    this.#fadeOutTimer = null
+    const fade = this.#accessory.context.fadeOut
+    if (!fade) return
+
+    const { nightAmbientColour } = this.#deviceModel.config
+    const isUntouched = isSameNightlightColor(fade.color, nightAmbientColour) &&
+      fade.brightness === this.getNightlightLevel('night')
+    if (!isUntouched) {
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Night nightlight changed, stopping fade out`)
+      this.stopFadeOut()
+      return
     }
-    const hue = Math.max(0, Math.min(rawHue, 360))
 
-    // Get current saturation to maintain it
-    const currentColor = this.#deviceModel.config.nightAmbientColour
-    let saturation = 100
-    if (!this.isColorOff(currentColor)) {
-      const hex = this.parseHexColor(currentColor)
-      const [, s] = convert.hex.hsv(hex)
-      saturation = s
+    const progress = (Date.now() - fade.startedAt) / fade.durationMs
+    try {
+      if (progress >= 1) {
+        this.setFadeOutState(undefined)
+        await this.queueNightlightWrite('night', { on: false, brightness: fade.restoreBrightness })
+        // Turning the light back on should bring back the colour from before the fade
+        this.#lastNightColor = fade.restoreColor
+        this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Night nightlight faded out`)
+      } else {
+        const write = getFadeOutWrite({ color: fade.startColor, brightness: fade.startBrightness, progress })
+        await this.queueNightlightWrite('night', write)
+        fade.color = write.color
+        fade.brightness = write.brightness
+        if (this.#accessory.context.fadeOut === fade) {
+          this.setFadeOutState(fade)
+        }
+      }
+    } catch {
+      // Already logged by queueNightlightWrite; try again on the next step
     }
 
-    // Convert HSV to hex (use full value/brightness for color)
-    const newHex = convert.hsv.hex([hue, saturation, 100])
-    const formattedColor = this.formatHexColor(newHex)
-
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting night nightlight hue: ${hue}° → ${formattedColor}`)
-    try {
-      await this.#deviceModel.updateConfig({ nightAmbientColour: formattedColor })
-    } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set night nightlight hue:`, formatError(error))
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+    if (this.#accessory.context.fadeOut === fade && !this.#fadeOutTimer) {
+      this.#fadeOutTimer = setTimeout(() => { this.stepFadeOut() }, FADE_OUT_STEP_MS)
     }
+    this.updateFadeOutCharacteristics()
   }
 
   /**
-   * Get night nightlight saturation
-   * @returns {Promise<CharacteristicValue>}
+   * Stop the running fade out, leaving the light where it is
    */
-  async getNightNightlightSaturation () {
-    const color = this.#deviceModel.config.nightAmbientColour
-    if (this.isColorOff(color)) {
-      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight saturation -> 0 (off)`)
-      return 0
+  stopFadeOut () {
+    if (this.#fadeOutTimer) {
+      clearTimeout(this.#fadeOutTimer)
+      this.#fadeOutTimer = null
     }
-    const hex = this.parseHexColor(color)
-    const [, s] = convert.hex.hsv(hex)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight saturation -> ${s} (${color})`)
+    if (this.#accessory.context.fadeOut) {
+      this.setFadeOutState(undefined)
+    }
+    this.updateFadeOutCharacteristics()
+  }
+
+  /**
+   * Persist the running fade out in the accessory context so a restart can resume it
+   * @param {NightlightFadeOut | undefined} fadeOut - undefined clears it
+   */
+  setFadeOutState (fadeOut) {
+    if (fadeOut) {
+      this.#accessory.context.fadeOut = fadeOut
+    } else {
+      delete this.#accessory.context.fadeOut
+    }
+    this.#platform.api.updatePlatformAccessories([this.#accessory])
+  }
+
+  // ---------- Sunrise ----------
+
+  /**
+   * Get sunrise armed state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getSunriseArmed () {
+    const armed = Boolean(this.#accessory.context.sunrise?.armed)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get sunrise armed -> ${armed}`)
+    return armed
+  }
+
+  /**
+   * Arm or disarm the sunrise
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setSunriseArmed (value) {
+    const armed = Boolean(value)
+    this.setSunriseState({ ...this.#accessory.context.sunrise, armed })
+
+    if (armed) {
+      const { wakeTime, minutes } = this.getSunriseSettings()
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Sunrise armed: ${minutes} minute(s) before ${wakeTime}`)
+      this.startSunrise()
+    } else {
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Sunrise disarmed`)
+      this.stopSunrise()
+      await this.restoreSunriseBase()
+    }
+  }
+
+  /**
+   * Start checking the clock for the sunrise
+   */
+  startSunrise () {
+    if (!this.#sunriseInterval) {
+      this.#sunriseInterval = setInterval(() => {
+        this.applySunrise().catch(() => {
+          // Already logged by queueNightlightWrite; try again on the next check
+        })
+      }, SUNRISE_INTERVAL_MS)
+    }
+  }
+
+  /**
+   * Stop checking the clock for the sunrise
+   */
+  stopSunrise () {
+    if (this.#sunriseInterval) {
+      clearInterval(this.#sunriseInterval)
+      this.#sunriseInterval = null
+    }
+  }
+
+  /**
+   * Ramp the day nightlight up from off to the sunrise colour and brightness before the wake time,
+   * then play the sunrise card (if any) at the sunrise volume. The day nightlight settings from before
+   * the sunrise are kept in the accessory context and put back an hour after the wake time.
+   * A manual change to the light during the ramp stops the ramp for that morning.
+   * @returns {Promise<void>}
+   */
+  async applySunrise () {
+    const state = this.#accessory.context.sunrise
+    if (!state?.armed || !this.#deviceModel.status.isOnline) return
+
+    const { wakeTime, minutes, color, brightness, cardId, volume } = this.getSunriseSettings()
+    const time = getScheduleTime(new Date(), this.#deviceModel.config.timezone)
+    const progress = getSunriseProgress({ time, wakeTime, minutes })
+    if (progress === null || (state.lastWakeAt !== undefined && Date.now() - state.lastWakeAt < SUNRISE_REPEAT_GUARD_MS)) {
+      if (state.base && !isSunriseHolding({ time, wakeTime })) {
+        await this.restoreSunriseBase()
+      }
+      return
+    }
+
+    if (!state.lightOverridden) {
+      await this.rampSunriseLight({ color, brightness, progress })
+    }
+    if (progress < 1) return
+
+    const { lightOverridden, ...finished } = this.#accessory.context.sunrise ?? state
+    this.setSunriseState({ ...finished, lastWakeAt: Date.now() })
+    this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Sunrise finished`)
+    if (!cardId) return
+
+    try {
+      if (volume !== null) {
+        await this.#deviceModel.setVolume(percentToSteps(volume))
+      }
+      await this.#deviceModel.startCard({ cardId })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to play sunrise card:`, formatError(error))
+    }
+  }
+
+  /**
+   * Write one step of the sunrise to the day nightlight, unless someone changed the light since the last step
+   * @param {Object} params
+   * @param {string} params.color - Sunrise colour at the wake time
+   * @param {number} params.brightness - Sunrise brightness at the wake time
+   * @param {number} params.progress - 0-1
+   * @returns {Promise<void>}
+   */
+  async rampSunriseLight ({ color, brightness, progress }) {
+    const state = this.#accessory.context.sunrise
+    if (!state) return
+
+    const currentColor = this.#deviceModel.config.ambientColour
+    const currentBrightness = this.getNightlightLevel('day')
+    if (state.written && (!isSameNightlightColor(state.written.color, currentColor) ||
+        state.written.brightness !== currentBrightness)) {
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Day nightlight changed, stopping this morning's sunrise`)
+      const { base, written, ...rest } = state
+      this.setSunriseState({ ...rest, lightOverridden: true })
+      return
+    }
+
+    // A sunrise is a fade out run backwards
+    const write = getFadeOutWrite({ color, brightness, progress: 1 - progress })
+    if (isSameNightlightColor(write.color, currentColor) && currentBrightness === write.brightness) return
+
+    const base = state.base ?? {
+      color: currentColor,
+      brightness: currentBrightness,
+      onColor: this.isColorOff(currentColor) ? this.#lastDayColor : currentColor,
+    }
+    this.setSunriseState({ ...state, base, written: write })
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Sunrise ${Math.round(progress * 100)}% -> ${write.color}`)
+    await this.queueNightlightWrite('day', write)
+  }
+
+  /**
+   * Give the day nightlight back the colour and brightness it had before the sunrise,
+   * unless someone has changed it since
+   * @returns {Promise<void>}
+   */
+  async restoreSunriseBase () {
+    const state = this.#accessory.context.sunrise
+    if (!state?.base) return
+
+    const { base, written, ...rest } = state
+    this.setSunriseState(rest)
+
+    const isSunriseLight = written !== undefined &&
+      isSameNightlightColor(written.color, this.#deviceModel.config.ambientColour) &&
+      written.brightness === this.getNightlightLevel('day')
+    if (!isSunriseLight) return
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Restoring day nightlight after sunrise: ${base.color}`)
+    await this.queueNightlightWrite('day', this.isColorOff(base.color)
+      ? { on: false, brightness: base.brightness }
+      : { color: base.color, brightness: base.brightness })
+    // Turning the light on later should bring back the user's colour, not the sunrise
+    this.#lastDayColor = base.onColor
+  }
+
+  /**
+   * Persist sunrise state in the accessory context
+   * @param {NonNullable<YotoAccessoryContext['sunrise']>} state
+   */
+  setSunriseState (state) {
+    this.#accessory.context.sunrise = state
+    this.#platform.api.updatePlatformAccessories([this.#accessory])
+  }
+
+  // ---------- Day Nightlight Handlers ----------
+
+  /**
+   * Get day nightlight on/off state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayNightlightOn () {
+    const color = this.#deviceModel.config.ambientColour
+    const isOn = !this.isColorOff(color)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight on -> ${isOn} (${color})`)
+    return isOn
+  }
+
+  /**
+   * Set day nightlight on/off state
+   * @param {CharacteristicValue} value
+   */
+  async setDayNightlightOn (value) {
+    await this.queueNightlightWrite('day', { on: Boolean(value) })
+  }
+
+  /**
+   * Get day nightlight brightness (screen brightness)
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayNightlightBrightness () {
+    const config = this.#deviceModel.config
+    const isAuto = config.dayDisplayBrightnessAuto
+    const raw = config.dayDisplayBrightness
+    const brightness = isAuto || raw === null
+      ? 100
+      : Math.max(0, Math.min(Math.round(raw), 100))
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get day nightlight brightness -> ${brightness} (raw=${raw} auto=${isAuto})`
+    )
+    return brightness
+  }
+
+  /**
+   * Set day nightlight brightness (screen brightness)
+   * @param {CharacteristicValue} value
+   */
+  async setDayNightlightBrightness (value) {
+    const rawBrightness = Number(value)
+    if (!Number.isFinite(rawBrightness)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    const brightness = Math.max(0, Math.min(Math.round(rawBrightness), 100))
+    await this.queueNightlightWrite('day', { brightness })
+  }
+
+  /**
+   * Get day nightlight hue
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayNightlightHue () {
+    const color = this.#deviceModel.config.ambientColour
+    if (this.isColorOff(color)) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight hue -> 0 (off)`)
+      return 0
+    }
+    const hex = this.parseHexColor(color)
+    const [h] = convert.hex.hsv(hex)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight hue -> ${h} (${color})`)
+    return h
+  }
+
+  /**
+   * Set day nightlight hue
+   * @param {CharacteristicValue} value
+   */
+  async setDayNightlightHue (value) {
+    const rawHue = Number(value)
+    if (!Number.isFinite(rawHue)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    await this.queueNightlightWrite('day', { hue: Math.max(0, Math.min(rawHue, 360)) })
+  }
+
+  /**
+   * Get day nightlight saturation
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayNightlightSaturation () {
+    const color = this.#deviceModel.config.ambientColour
+    if (this.isColorOff(color)) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight saturation -> 0 (off)`)
+      return 0
+    }
+    const hex = this.parseHexColor(color)
+    const [, s] = convert.hex.hsv(hex)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day nightlight saturation -> ${s} (${color})`)
     return s
   }
 
   /**
-   * Set night nightlight saturation
+   * Set day nightlight saturation
+   * @param {CharacteristicValue} value
+   */
+  async setDayNightlightSaturation (value) {
+    const rawSaturation = Number(value)
+    if (!Number.isFinite(rawSaturation)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    await this.queueNightlightWrite('day', { saturation: Math.max(0, Math.min(rawSaturation, 100)) })
+  }
+
+  // ---------- Night Nightlight Handlers ----------
+
+  /**
+   * Get night nightlight on/off state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightNightlightOn () {
+    const color = this.#deviceModel.config.nightAmbientColour
+    const isOn = !this.isColorOff(color)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight on -> ${isOn} (${color})`)
+    return isOn
+  }
+
+  /**
+   * Set night nightlight on/off state
+   * @param {CharacteristicValue} value
+   */
+  async setNightNightlightOn (value) {
+    this.stopFadeOut()
+    await this.queueNightlightWrite('night', { on: Boolean(value) })
+  }
+
+  /**
+   * Get night nightlight brightness (screen brightness)
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightNightlightBrightness () {
+    const config = this.#deviceModel.config
+    const isAuto = config.nightDisplayBrightnessAuto
+    const raw = config.nightDisplayBrightness
+    const brightness = isAuto || raw === null
+      ? 100
+      : Math.max(0, Math.min(Math.round(raw), 100))
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get night nightlight brightness -> ${brightness} (raw=${raw} auto=${isAuto})`
+    )
+    return brightness
+  }
+
+  /**
+   * Set night nightlight brightness (screen brightness)
+   * @param {CharacteristicValue} value
+   */
+  async setNightNightlightBrightness (value) {
+    const rawBrightness = Number(value)
+    if (!Number.isFinite(rawBrightness)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    const brightness = Math.max(0, Math.min(Math.round(rawBrightness), 100))
+    this.stopFadeOut()
+    await this.queueNightlightWrite('night', { brightness })
+  }
+
+  /**
+   * Get night nightlight hue
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightNightlightHue () {
+    const color = this.#deviceModel.config.nightAmbientColour
+    if (this.isColorOff(color)) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight hue -> 0 (off)`)
+      return 0
+    }
+    const hex = this.parseHexColor(color)
+    const [h] = convert.hex.hsv(hex)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight hue -> ${h} (${color})`)
+    return h
+  }
+
+  /**
+   * Set night nightlight hue
+   * @param {CharacteristicValue} value
+   */
+  async setNightNightlightHue (value) {
+    const rawHue = Number(value)
+    if (!Number.isFinite(rawHue)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    this.stopFadeOut()
+    await this.queueNightlightWrite('night', { hue: Math.max(0, Math.min(rawHue, 360)) })
+  }
+
+  /**
+   * Get night nightlight saturation
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightNightlightSaturation () {
+    const color = this.#deviceModel.config.nightAmbientColour
+    if (this.isColorOff(color)) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight saturation -> 0 (off)`)
+      return 0
+    }
+    const hex = this.parseHexColor(color)
+    const [, s] = convert.hex.hsv(hex)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night nightlight saturation -> ${s} (${color})`)
+    return s
+  }
+
+  /**
+   * Set night nightlight saturation
+   * @param {CharacteristicValue} value
+   */
+  async setNightNightlightSaturation (value) {
+    const rawSaturation = Number(value)
+    if (!Number.isFinite(rawSaturation)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    this.stopFadeOut()
+    await this.queueNightlightWrite('night', { saturation: Math.max(0, Math.min(rawSaturation, 100)) })
+  }
+
+  // ==================== Nightlight Status ContactSensor Getters ====================
+
+  /**
+   * Get nightlight active state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightlightActive () {
+    const { Characteristic } = this.#platform
+    const status = this.#deviceModel.status
+    const isActive = status.nightlightMode !== 'off'
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get nightlight active -> ${isActive}`)
+    return isActive ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  /**
+   * Get day nightlight active state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayNightlightActive () {
+    const { Characteristic } = this.#platform
+    const status = this.#deviceModel.status
+    const isDay = status.dayMode === 'day'
+    const isActive = status.nightlightMode !== 'off'
+    const isShowing = isDay && isActive
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get day nightlight active -> ${isShowing} (day=${isDay} active=${isActive})`
+    )
+    return isShowing ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  /**
+   * Get night nightlight active state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightNightlightActive () {
+    const { Characteristic } = this.#platform
+    const status = this.#deviceModel.status
+    const isNight = status.dayMode === 'night'
+    const isActive = status.nightlightMode !== 'off'
+    const isShowing = isNight && isActive
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get night nightlight active -> ${isShowing} (night=${isNight} active=${isActive})`
+    )
+    return isShowing ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  // ==================== Card Slot ContactSensor Getter ====================
+
+  /**
+   * Get card slot state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getCardSlotState () {
+    const { Characteristic } = this.#platform
+    const status = this.#deviceModel.status
+    const hasCard = status.cardInsertionState !== 'none'
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get card slot -> ${hasCard} (${status.cardInsertionState})`)
+    return hasCard ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  // ==================== Day Mode ContactSensor Getter ====================
+
+  /**
+   * Get day mode status
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getDayModeStatus () {
+    const { Characteristic } = this.#platform
+    const status = this.#deviceModel.status
+    const isDayMode = status.dayMode === 'day'
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day mode -> ${isDayMode}`)
+    return isDayMode
+      ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  // ==================== Night Mode Switch Getter/Setter ====================
+
+  /**
+   * Get night mode state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightModeOn () {
+    const isNight = this.#deviceModel.status.dayMode === 'night'
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night mode -> ${isNight}`)
+    return isNight
+  }
+
+  /**
+   * Force night (On) or day (Off) mode now.
+   * The user's schedule is kept in the accessory context and written back at its next day or night start.
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightModeOn (value) {
+    const mode = value ? 'night' : 'day'
+    if (this.#deviceModel.status.dayMode === mode) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Already in ${mode} mode`)
+      return
+    }
+
+    const config = this.#deviceModel.config
+    const now = getScheduleTime(new Date(), config.timezone)
+    const forcedSchedule = this.#accessory.context.forcedSchedule
+    /** @type {{ dayTime?: string, nightTime?: string }} */
+    const original = forcedSchedule?.original ?? {
+      ...(isScheduleTime(config.dayTime) ? { dayTime: config.dayTime } : {}),
+      ...(isScheduleTime(config.nightTime) ? { nightTime: config.nightTime } : {}),
+    }
+
+    try {
+      // Asking for the mode the user's own schedule is in right now just ends the override
+      if (forcedSchedule && getScheduleMode(original, now) === mode) {
+        await this.restoreForcedSchedule()
+        return
+      }
+
+      const update = getForcedScheduleUpdate(mode, now)
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Force ${mode} mode:`, update)
+      await this.#deviceModel.updateConfig(update)
+
+      const minutes = getMinutesToNextScheduleChange(original, now) ?? 24 * 60
+      this.setForcedSchedule({
+        original,
+        forced: { ...forcedSchedule?.forced, ...update },
+        restoreAt: Date.now() + minutes * 60 * 1000,
+      })
+      this.scheduleForcedScheduleRestore()
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to force ${mode} mode:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  /**
+   * Day start from the user's own schedule, ignoring a forced mode (used as the wake time)
+   * @returns {string}
+   */
+  getScheduledDayTime () {
+    const forcedDayTime = this.#accessory.context.forcedSchedule?.original.dayTime
+    const dayTime = forcedDayTime ?? this.#deviceModel.config.dayTime
+    return isScheduleTime(dayTime) ? dayTime : DEFAULT_CHARGE_REMINDER_END_TIME
+  }
+
+  /**
+   * Persist the schedule a forced mode replaced in the accessory context
+   * @param {YotoAccessoryContext['forcedSchedule']} forcedSchedule - undefined clears it
+   */
+  setForcedSchedule (forcedSchedule) {
+    if (forcedSchedule) {
+      this.#accessory.context.forcedSchedule = forcedSchedule
+    } else {
+      delete this.#accessory.context.forcedSchedule
+    }
+    this.#platform.api.updatePlatformAccessories([this.#accessory])
+  }
+
+  /**
+   * Put back the schedule a forced mode replaced, keeping any time changed since
+   * @returns {Promise<void>}
+   */
+  async restoreForcedSchedule () {
+    const forcedSchedule = this.#accessory.context.forcedSchedule
+    if (!forcedSchedule) return
+
+    const update = getScheduleRestoreUpdate({ ...forcedSchedule, current: this.#deviceModel.config })
+    if (Object.keys(update).length > 0) {
+      this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Restoring day/night schedule:`, update)
+      await this.#deviceModel.updateConfig(update)
+    }
+    this.setForcedSchedule(undefined)
+    if (this.#forcedScheduleTimer) {
+      clearTimeout(this.#forcedScheduleTimer)
+      this.#forcedScheduleTimer = null
+    }
+  }
+
+  /**
+   * Arm the timer that ends a forced mode; retries every minute while the player is unreachable
+   * @param {number} [delayMs] - Defaults to the stored restore time
+   */
+  scheduleForcedScheduleRestore (delayMs) {
+    if (this.#forcedScheduleTimer) {
+      clearTimeout(this.#forcedScheduleTimer)
+      this.#forcedScheduleTimer = null
+    }
+    const forcedSchedule = this.#accessory.context.forcedSchedule
+    if (!forcedSchedule) return
+
+    this.#forcedScheduleTimer = setTimeout(() => {
+      this.#forcedScheduleTimer = null
+      this.restoreForcedSchedule().catch((error) => {
+        this.#log.warn(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to restore day/night schedule:`, formatError(error))
+        this.scheduleForcedScheduleRestore(FORCED_SCHEDULE_RETRY_MS)
+      })
+    }, delayMs ?? Math.max(0, forcedSchedule.restoreAt - Date.now()))
+  }
+
+  // ==================== Diagnostics Getters ====================
+
+  /**
+   * Get weak Wi-Fi state (Contact Not Detected = weak signal)
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getWeakWifiState () {
+    const { Characteristic } = this.#platform
+    const { wifiStrength } = this.#deviceModel.status
+    const weak = isWeakWifi(wifiStrength, this.getDiagnosticsSettings().weakWifiThreshold)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get weak Wi-Fi -> ${weak} (${wifiStrength ?? 'unknown'} dBm)`)
+    return weak
+      ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  /**
+   * Get storage almost full state (Contact Not Detected = almost full)
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getStorageAlmostFullState () {
+    const { Characteristic } = this.#platform
+    const { freeDiskSpaceBytes, totalDiskSpaceBytes } = this.#deviceModel.status
+    const almostFull = isStorageAlmostFull(
+      freeDiskSpaceBytes,
+      totalDiskSpaceBytes,
+      this.getDiagnosticsSettings().storageAlmostFullPercent
+    )
+    const freePercent = getFreeStoragePercent(freeDiskSpaceBytes, totalDiskSpaceBytes)
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get storage almost full -> ${almostFull} (free=${freePercent === null ? 'unknown' : `${Math.round(freePercent)}%`})`
+    )
+    return almostFull
+      ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      : Characteristic.ContactSensorState.CONTACT_DETECTED
+  }
+
+  // ==================== Sleep Timer Lightbulb Getters/Setters ====================
+
+  /**
+   * Get sleep timer state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getSleepTimerState () {
+    const playback = this.#deviceModel.playback
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get sleep timer -> ${playback.sleepTimerActive ?? false}`
+    )
+    return playback.sleepTimerActive ?? false
+  }
+
+  /**
+   * Set sleep timer state
+   * @param {CharacteristicValue} value
+   */
+  async setSleepTimerState (value) {
+    const enabled = Boolean(value)
+
+    try {
+      if (enabled) {
+        // Home sends On alongside Brightness changes; keep a running timer as-is
+        if (this.#deviceModel.playback.sleepTimerActive) {
+          return
+        }
+        const { minutes } = this.getSleepTimerSettings()
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `Activating sleep timer (${minutes} minutes)`)
+        await this.#deviceModel.setSleepTimer(minutes * 60)
+      } else {
+        // Turn off sleep timer
+        this.#log.debug(LOG_PREFIX.ACCESSORY, 'Deactivating sleep timer')
+        await this.#deviceModel.setSleepTimer(0)
+      }
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set sleep timer:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  /**
+   * Get sleep timer remaining time as a percent of the configured maximum
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getSleepTimerBrightness () {
+    const playback = this.#deviceModel.playback
+    const { maxMinutes } = this.getSleepTimerSettings()
+    const seconds = playback.sleepTimerActive ? (playback.sleepTimerSeconds ?? 0) : 0
+    const percent = sleepSecondsToPercent(seconds, maxMinutes)
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Get sleep timer remaining -> ${percent} (seconds=${seconds})`
+    )
+    return percent
+  }
+
+  /**
+   * Set sleep timer duration from a percent of the configured maximum
    * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
    */
-  async setNightNightlightSaturation (value) {
-    const rawSaturation = Number(value)
-    if (!Number.isFinite(rawSaturation)) {
+  async setSleepTimerBrightness (value) {
+    const requestedPercent = typeof value === 'number' ? value : Number(value)
+    if (!Number.isFinite(requestedPercent)) {
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
       )
     }
-    const saturation = Math.max(0, Math.min(rawSaturation, 100))
 
-    // Get current hue to maintain it
-    const currentColor = this.#deviceModel.config.nightAmbientColour
-    let hue = 0
-    if (!this.isColorOff(currentColor)) {
-      const hex = this.parseHexColor(currentColor)
-      const [h] = convert.hex.hsv(hex)
-      hue = h
+    const { maxMinutes } = this.getSleepTimerSettings()
+    const minutes = percentToSleepMinutes(requestedPercent, maxMinutes)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Set sleep timer: ${minutes} minutes`)
+
+    try {
+      await this.#deviceModel.setSleepTimer(minutes * 60)
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set sleep timer:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
     }
+  }
+
+  // ==================== Bluetooth Switch Getter/Setter ====================
 
-    // Convert HSV to hex (use full value/brightness for color)
-    const newHex = convert.hsv.hex([hue, saturation, 100])
-    const formattedColor = this.formatHexColor(newHex)
+  /**
+   * Get Bluetooth state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getBluetoothState () {
+    const enabled = this.#deviceModel.config.bluetoothEnabled ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get Bluetooth -> ${enabled}`)
+    return enabled
+  }
 
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting night nightlight saturation: ${saturation}% → ${formattedColor}`)
+  /**
+   * Set Bluetooth state
+   * @param {CharacteristicValue} value
+   */
+  async setBluetoothState (value) {
+    const enabled = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting Bluetooth: ${enabled ? 'ON' : 'OFF'}`)
     try {
-      await this.#deviceModel.updateConfig({ nightAmbientColour: formattedColor })
+      await this.#deviceModel.updateConfig({ bluetoothEnabled: enabled })
     } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set night nightlight saturation:`, formatError(error))
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set Bluetooth:`, formatError(error))
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
       )
     }
   }
 
-  // ==================== Nightlight Status ContactSensor Getters ====================
+  // ==================== Repeat Switch Getter/Setter ====================
 
   /**
-   * Get nightlight active state
+   * Get repeat-all state
    * @returns {Promise<CharacteristicValue>}
    */
-  async getNightlightActive () {
-    const { Characteristic } = this.#platform
-    const status = this.#deviceModel.status
-    const isActive = status.nightlightMode !== 'off'
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get nightlight active -> ${isActive}`)
-    return isActive ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+  async getRepeatState () {
+    const enabled = this.#deviceModel.config.repeatAll ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get repeat -> ${enabled}`)
+    return enabled
   }
 
   /**
-   * Get day nightlight active state
+   * Set repeat-all state
+   * @param {CharacteristicValue} value
+   */
+  async setRepeatState (value) {
+    const enabled = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting repeat: ${enabled ? 'ON' : 'OFF'}`)
+    try {
+      await this.#deviceModel.updateConfig({ repeatAll: enabled })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set repeat:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  // ==================== Quiet Mode Switch Getters/Setters ====================
+
+  /**
+   * Get quiet mode (sounds off) state
+   * @param {DayNightMode} mode
    * @returns {Promise<CharacteristicValue>}
    */
-  async getDayNightlightActive () {
-    const { Characteristic } = this.#platform
-    const status = this.#deviceModel.status
-    const isDay = status.dayMode === 'day'
-    const isActive = status.nightlightMode !== 'off'
-    const isShowing = isDay && isActive
+  async getQuietMode (mode) {
+    const { config } = this.#deviceModel
+    const soundsOff = Boolean(mode === 'day' ? config.daySoundsOff : config.nightSoundsOff)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ${mode} quiet mode -> ${soundsOff}`)
+    return soundsOff
+  }
+
+  /**
+   * Set quiet mode (sounds off) state
+   * @param {DayNightMode} mode
+   * @param {CharacteristicValue} value
+   */
+  async setQuietMode (mode, value) {
+    const soundsOff = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting ${mode} quiet mode: ${soundsOff ? 'ON' : 'OFF'}`)
+    try {
+      await this.#deviceModel.updateConfig(mode === 'day' ? { daySoundsOff: soundsOff } : { nightSoundsOff: soundsOff })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set ${mode} quiet mode:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  // ==================== Pause Button / Auto Shutdown Getters/Setters ====================
+
+  /**
+   * Get whether a button pauses playback
+   * @param {'pausePowerButton' | 'pauseVolumeDown'} field
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getPauseButton (field) {
+    const enabled = Boolean(this.#deviceModel.config[field])
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ${field} -> ${enabled}`)
+    return enabled
+  }
+
+  /**
+   * Set whether a button pauses playback
+   * @param {'pausePowerButton' | 'pauseVolumeDown'} field
+   * @param {CharacteristicValue} value
+   */
+  async setPauseButton (field, value) {
+    const enabled = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting ${field}: ${enabled ? 'ON' : 'OFF'}`)
+    try {
+      await this.#deviceModel.updateConfig(field === 'pausePowerButton'
+        ? { pausePowerButton: enabled }
+        : { pauseVolumeDown: enabled })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set ${field}:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  /**
+   * Current auto shutdown timeout in seconds (0 when auto shutdown is off)
+   * @returns {number}
+   */
+  getShutdownTimeoutSeconds () {
+    const seconds = Number(this.#deviceModel.config.shutdownTimeout ?? 0)
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      return 0
+    }
+    this.#lastShutdownTimeout = seconds
+    return seconds
+  }
+
+  /**
+   * Write the auto shutdown timeout
+   * @param {number} seconds
+   * @returns {Promise<void>}
+   */
+  async updateShutdownTimeout (seconds) {
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Set auto shutdown: ${seconds} seconds`)
+    try {
+      await this.#deviceModel.updateConfig({ shutdownTimeout: seconds })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set auto shutdown:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  /**
+   * Get auto shutdown On state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getAutoShutdownOn () {
+    const enabled = this.getShutdownTimeoutSeconds() > 0
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get auto shutdown -> ${enabled}`)
+    return enabled
+  }
+
+  /**
+   * Turn auto shutdown off, or back on with the last known timeout
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setAutoShutdownOn (value) {
+    const enabled = Boolean(value)
+    const current = this.getShutdownTimeoutSeconds()
+    if (enabled === (current > 0)) {
+      return
+    }
+    await this.updateShutdownTimeout(enabled ? this.#lastShutdownTimeout : 0)
+  }
+
+  /**
+   * Get auto shutdown timeout as a percent of the configured maximum
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getAutoShutdownBrightness () {
+    const { maxMinutes } = this.getAutoShutdownSettings()
+    const seconds = this.getShutdownTimeoutSeconds()
+    const percent = sleepSecondsToPercent(seconds, maxMinutes)
     this.#log.debug(
       LOG_PREFIX.ACCESSORY,
-      `[${this.#device.name}] Get day nightlight active -> ${isShowing} (day=${isDay} active=${isActive})`
+      `[${this.#device.name}] Get auto shutdown timeout -> ${percent} (seconds=${seconds})`
     )
-    return isShowing ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+    return percent
   }
 
   /**
-   * Get night nightlight active state
+   * Set auto shutdown timeout from a percent of the configured maximum
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setAutoShutdownBrightness (value) {
+    const requestedPercent = typeof value === 'number' ? value : Number(value)
+    if (!Number.isFinite(requestedPercent)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+
+    const { maxMinutes } = this.getAutoShutdownSettings()
+    const minutes = percentToSleepMinutes(requestedPercent, maxMinutes)
+    await this.updateShutdownTimeout(minutes * 60)
+  }
+
+  // ==================== Yoto Radio Getters/Setters ====================
+
+  /**
+   * Get whether night Yoto Radio is on
    * @returns {Promise<CharacteristicValue>}
    */
-  async getNightNightlightActive () {
+  async getNightYotoRadio () {
+    const enabled = Boolean(this.#deviceModel.config.nightYotoRadioEnabled)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get night Yoto Radio -> ${enabled}`)
+    return enabled
+  }
+
+  /**
+   * Turn night Yoto Radio on or off
+   * Only the on/off flag is written; the Yoto Radio content chosen in the Yoto app is left alone.
+   * @param {CharacteristicValue} value
+   */
+  async setNightYotoRadio (value) {
+    const enabled = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting night Yoto Radio: ${enabled ? 'ON' : 'OFF'}`)
+    try {
+      await this.#deviceModel.updateConfig({ nightYotoRadioEnabled: enabled })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set night Yoto Radio:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  // ==================== Charger Getters ====================
+
+  /**
+   * Check whether the device is on a dock or charger
+   * @returns {boolean}
+   */
+  isOnCharger () {
+    const { powerSource, isCharging } = this.#deviceModel.status
+    return isOnExternalPower(powerSource, isCharging)
+  }
+
+  /**
+   * Check whether the "not charged overnight" alert is active
+   * @returns {boolean}
+   */
+  isChargeReminderActive () {
+    const { bedtime, minPercent } = this.getChargeReminderSettings()
+    const { timezone } = this.#deviceModel.config
+    return needsOvernightCharge({
+      onPower: this.isOnCharger(),
+      batteryLevel: this.#deviceModel.status.batteryLevelPercentage,
+      minPercent,
+      time: getScheduleTime(new Date(), timezone),
+      bedtime,
+      wakeTime: this.getScheduledDayTime(),
+    })
+  }
+
+  /**
+   * Get On Charger state (Contact Detected = on a dock or charger)
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getOnChargerState () {
     const { Characteristic } = this.#platform
-    const status = this.#deviceModel.status
-    const isNight = status.dayMode === 'night'
-    const isActive = status.nightlightMode !== 'off'
-    const isShowing = isNight && isActive
+    const onCharger = this.isOnCharger()
     this.#log.debug(
       LOG_PREFIX.ACCESSORY,
-      `[${this.#device.name}] Get night nightlight active -> ${isShowing} (night=${isNight} active=${isActive})`
+      `[${this.#device.name}] Get on charger -> ${onCharger} (powerSource=${this.#deviceModel.status.powerSource})`
     )
-    return isShowing ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+    return onCharger
+      ? Characteristic.ContactSensorState.CONTACT_DETECTED
+      : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
   }
 
-  // ==================== Card Slot ContactSensor Getter ====================
-
   /**
-   * Get card slot state
+   * Get Not Charging state (Contact Not Detected = needs charging tonight)
    * @returns {Promise<CharacteristicValue>}
    */
-  async getCardSlotState () {
+  async getChargeReminderState () {
     const { Characteristic } = this.#platform
-    const status = this.#deviceModel.status
-    const hasCard = status.cardInsertionState !== 'none'
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get card slot -> ${hasCard} (${status.cardInsertionState})`)
-    return hasCard ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+    const active = this.isChargeReminderActive()
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get not charging -> ${active}`)
+    return active
+      ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      : Characteristic.ContactSensorState.CONTACT_DETECTED
   }
 
-  // ==================== Day Mode ContactSensor Getter ====================
+  // ==================== Headphones Getters/Setters ====================
 
   /**
-   * Get day mode status
+   * Get wired headphones connection as occupancy
    * @returns {Promise<CharacteristicValue>}
    */
-  async getDayModeStatus () {
+  async getHeadphonesConnected () {
     const { Characteristic } = this.#platform
-    const status = this.#deviceModel.status
-    const isDayMode = status.dayMode === 'day'
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get day mode -> ${isDayMode}`)
-    return isDayMode
-      ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
-      : Characteristic.ContactSensorState.CONTACT_DETECTED
+    const connected = Boolean(this.#deviceModel.status.isAudioDeviceConnected)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get headphones connected -> ${connected}`)
+    return connected
+      ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+      : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED
   }
 
-  // ==================== Sleep Timer Switch Getter/Setter ====================
+  /**
+   * Get Bluetooth audio connection as occupancy
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getBluetoothAudioConnected () {
+    const { Characteristic } = this.#platform
+    const connected = Boolean(this.#deviceModel.status.isBluetoothAudioConnected)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get Bluetooth audio connected -> ${connected}`)
+    return connected
+      ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+      : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED
+  }
 
   /**
-   * Get sleep timer state
+   * Get Bluetooth headphones enabled state
    * @returns {Promise<CharacteristicValue>}
    */
-  async getSleepTimerState () {
-    const playback = this.#deviceModel.playback
-    this.#log.debug(
-      LOG_PREFIX.ACCESSORY,
-      `[${this.#device.name}] Get sleep timer -> ${playback.sleepTimerActive ?? false}`
-    )
-    return playback.sleepTimerActive ?? false
+  async getBluetoothHeadphonesEnabled () {
+    const enabled = this.#deviceModel.config.btHeadphonesEnabled ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get Bluetooth headphones -> ${enabled}`)
+    return enabled
   }
 
   /**
-   * Set sleep timer state
+   * Set Bluetooth headphones enabled state
    * @param {CharacteristicValue} value
    */
-  async setSleepTimerState (value) {
+  async setBluetoothHeadphonesEnabled (value) {
     const enabled = Boolean(value)
-
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting Bluetooth headphones: ${enabled ? 'ON' : 'OFF'}`)
     try {
-      if (enabled) {
-        // Turn on sleep timer - default to 30 minutes
-        this.#log.debug(LOG_PREFIX.ACCESSORY, 'Activating sleep timer (30 minutes)')
-        await this.#deviceModel.setSleepTimer(30 * 60)
-      } else {
-        // Turn off sleep timer
-        this.#log.debug(LOG_PREFIX.ACCESSORY, 'Deactivating sleep timer')
-        await this.#deviceModel.setSleepTimer(0)
-      }
+      await this.#deviceModel.updateConfig({ btHeadphonesEnabled: enabled })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set Bluetooth headphones:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
+  /**
+   * Get headphone volume limit state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getHeadphonesVolumeLimited () {
+    const limited = this.#deviceModel.config.headphonesVolumeLimited ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get headphone volume limit -> ${limited}`)
+    return limited
+  }
+
+  /**
+   * Set headphone volume limit state
+   * @param {CharacteristicValue} value
+   */
+  async setHeadphonesVolumeLimited (value) {
+    const limited = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting headphone volume limit: ${limited ? 'ON' : 'OFF'}`)
+    try {
+      await this.#deviceModel.updateConfig({ headphonesVolumeLimited: limited })
     } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set sleep timer:`, formatError(error))
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set headphone volume limit:`, formatError(error))
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
       )
     }
   }
 
-  // ==================== Bluetooth Switch Getter/Setter ====================
+  // ==================== Display Getters/Setters ====================
 
   /**
-   * Get Bluetooth state
+   * Get display state for a mode
+   * @param {DayNightMode} mode
+   * @returns {{ auto: boolean, brightness: number | null }}
+   */
+  getDisplayState (mode) {
+    const config = this.#deviceModel.config
+    const auto = Boolean(mode === 'day' ? config.dayDisplayBrightnessAuto : config.nightDisplayBrightnessAuto)
+    const raw = mode === 'day' ? config.dayDisplayBrightness : config.nightDisplayBrightness
+    const brightness = typeof raw === 'number' && Number.isFinite(raw)
+      ? Math.max(0, Math.min(Math.round(raw), 100))
+      : null
+
+    return { auto, brightness }
+  }
+
+  /**
+   * Get auto-brightness state
+   * @param {DayNightMode} mode
    * @returns {Promise<CharacteristicValue>}
    */
-  async getBluetoothState () {
-    const enabled = this.#deviceModel.config.bluetoothEnabled ?? false
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get Bluetooth -> ${enabled}`)
-    return enabled
+  async getAutoBrightness (mode) {
+    const { auto } = this.getDisplayState(mode)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get ${mode} auto brightness -> ${auto}`)
+    return auto
   }
 
   /**
-   * Set Bluetooth state
+   * Set auto-brightness state
+   * Turning it off keeps the last manual brightness (or 100% if there is none)
+   * @param {DayNightMode} mode
    * @param {CharacteristicValue} value
    */
-  async setBluetoothState (value) {
-    const enabled = Boolean(value)
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting Bluetooth: ${enabled ? 'ON' : 'OFF'}`)
+  async setAutoBrightness (mode, value) {
+    const auto = Boolean(value)
+    const brightness = this.getDisplayState(mode).brightness ?? 100
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting ${mode} auto brightness: ${auto ? 'ON' : 'OFF'}`)
+    const configUpdate = mode === 'day'
+      ? (auto ? { dayDisplayBrightnessAuto: true } : { dayDisplayBrightness: brightness, dayDisplayBrightnessAuto: false })
+      : (auto ? { nightDisplayBrightnessAuto: true } : { nightDisplayBrightness: brightness, nightDisplayBrightnessAuto: false })
     try {
-      await this.#deviceModel.updateConfig({ bluetoothEnabled: enabled })
+      await this.#deviceModel.updateConfig(configUpdate)
     } catch (error) {
-      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set Bluetooth:`, formatError(error))
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set ${mode} auto brightness:`, formatError(error))
       throw new this.#platform.api.hap.HapStatusError(
         this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
       )
@@ -1771,7 +3775,7 @@ export class YotoPlayerAccessory {
     )
 
     try {
-      await this.#deviceModel.startCard({ cardId: control.cardId })
+      await playCardControl(this.#deviceModel, control)
     } catch (error) {
       this.#log.error(
         LOG_PREFIX.ACCESSORY,
@@ -1787,6 +3791,94 @@ export class YotoPlayerAccessory {
     service.getCharacteristic(Characteristic.On).updateValue(false)
   }
 
+  // ==================== Nightlight Preset Switch Setter ====================
+
+  /**
+   * Apply a nightlight preset's colour and brightness in a single config write.
+   * @param {Service} service
+   * @param {NightlightPresetConfig} preset
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightPreset (service, preset, value) {
+    const { Characteristic } = this.#platform
+    if (!value) {
+      service.getCharacteristic(Characteristic.On).updateValue(false)
+      return
+    }
+
+    const configUpdate = getNightlightPresetUpdate(preset)
+    this.#log.debug(
+      LOG_PREFIX.ACCESSORY,
+      `[${this.#device.name}] Apply nightlight preset: ${preset.name} (${preset.color})`
+    )
+
+    try {
+      await this.#deviceModel.updateConfig(configUpdate)
+    } catch (error) {
+      this.#log.error(
+        LOG_PREFIX.ACCESSORY,
+        `[${this.#device.name}] Failed to apply nightlight preset ${preset.name}:`,
+        formatError(error)
+      )
+      service.getCharacteristic(Characteristic.On).updateValue(false)
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+
+    service.getCharacteristic(Characteristic.On).updateValue(false)
+  }
+
+  // ==================== Alarm Switch Getters/Setters ====================
+
+  /**
+   * Get alarm enabled state
+   * @param {string} alarmKey - Alarm identity from getAlarmKeys
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getAlarmEnabled (alarmKey) {
+    const alarms = this.#deviceModel.config.alarms ?? []
+    const alarm = parseAlarm(alarms[getAlarmKeys(alarms).indexOf(alarmKey)])
+    const enabled = alarm?.enabled ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get alarm ${alarmKey} -> ${enabled}`)
+    return enabled
+  }
+
+  /**
+   * Enable or disable an alarm
+   * The alarm is looked up again in the current list, so the write only touches the alarm
+   * the switch represents even if the list changed since the switch was created.
+   * @param {string} alarmKey - Alarm identity from getAlarmKeys
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setAlarmEnabled (alarmKey, value) {
+    const enabled = Boolean(value)
+    const alarms = [...(this.#deviceModel.config.alarms ?? [])]
+    const index = getAlarmKeys(alarms).indexOf(alarmKey)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Set alarm ${alarmKey}:`, enabled)
+
+    const rawAlarm = alarms[index]
+    if (index === -1 || rawAlarm === undefined) {
+      this.#log.warn(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Alarm ${alarmKey} is no longer on the device`)
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.RESOURCE_DOES_NOT_EXIST
+      )
+    }
+
+    alarms[index] = withAlarmEnabled(rawAlarm, enabled)
+
+    try {
+      await this.#deviceModel.updateConfig({ alarms })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set alarm ${alarmKey}:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
   // ==================== Volume Limit Lightbulb Getters/Setters ====================
 
   /**
@@ -1978,12 +4070,138 @@ export class YotoPlayerAccessory {
       .updateValue(chargingState)
   }
 
+  /**
+   * Update a Quiet Mode Switch characteristic
+   * @param {DayNightMode} mode
+   */
+  updateQuietModeCharacteristic (mode) {
+    const service = mode === 'day' ? this.dayQuietModeService : this.nightQuietModeService
+    if (!service) return
+
+    const { config } = this.#deviceModel
+    const { Characteristic } = this.#platform
+    service
+      .getCharacteristic(Characteristic.On)
+      .updateValue(Boolean(mode === 'day' ? config.daySoundsOff : config.nightSoundsOff))
+  }
+
+  /**
+   * Update pause button Switch characteristics
+   */
+  updatePauseButtonCharacteristics () {
+    const { Characteristic } = this.#platform
+    const { pausePowerButton, pauseVolumeDown } = this.#deviceModel.config
+
+    if (this.pausePowerButtonService) {
+      this.pausePowerButtonService
+        .getCharacteristic(Characteristic.On)
+        .updateValue(Boolean(pausePowerButton))
+    }
+
+    if (this.pauseVolumeDownService) {
+      this.pauseVolumeDownService
+        .getCharacteristic(Characteristic.On)
+        .updateValue(Boolean(pauseVolumeDown))
+    }
+  }
+
+  /**
+   * Update Auto Shutdown Lightbulb characteristics
+   */
+  updateAutoShutdownCharacteristics () {
+    if (!this.autoShutdownService) return
+
+    const { Characteristic } = this.#platform
+    const { maxMinutes } = this.getAutoShutdownSettings()
+    const seconds = this.getShutdownTimeoutSeconds()
+
+    this.autoShutdownService
+      .getCharacteristic(Characteristic.On)
+      .updateValue(seconds > 0)
+    this.autoShutdownService
+      .getCharacteristic(Characteristic.Brightness)
+      .updateValue(sleepSecondsToPercent(seconds, maxMinutes))
+  }
+
+  /**
+   * Update Fade Out Lightbulb characteristics
+   */
+  updateFadeOutCharacteristics () {
+    if (!this.fadeOutService) return
+
+    const { Characteristic } = this.#platform
+    const { minutes } = this.getFadeOutSettings()
+
+    this.fadeOutService
+      .getCharacteristic(Characteristic.On)
+      .updateValue(Boolean(this.#accessory.context.fadeOut))
+    this.fadeOutService
+      .getCharacteristic(Characteristic.Brightness)
+      .updateValue(sleepSecondsToPercent(this.getFadeOutRemainingSeconds(), minutes))
+  }
+
+  /**
+   * Update night Yoto Radio Switch characteristic
+   */
+  updateNightYotoRadioCharacteristic () {
+    if (!this.nightYotoRadioService) return
+
+    const { Characteristic } = this.#platform
+    this.nightYotoRadioService
+      .getCharacteristic(Characteristic.On)
+      .updateValue(Boolean(this.#deviceModel.config.nightYotoRadioEnabled))
+  }
+
+  /**
+   * Update Repeat Switch characteristic
+   */
+  updateRepeatCharacteristic () {
+    if (!this.repeatService) return
+
+    const { Characteristic } = this.#platform
+    this.repeatService
+      .getCharacteristic(Characteristic.On)
+      .updateValue(this.#deviceModel.config.repeatAll ?? false)
+  }
+
+  /**
+   * Update On Charger and Not Charging ContactSensor characteristics
+   */
+  updateChargerCharacteristics () {
+    if (this.chargerService) {
+      const { Characteristic } = this.#platform
+      this.chargerService
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .updateValue(this.isOnCharger()
+          ? Characteristic.ContactSensorState.CONTACT_DETECTED
+          : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED)
+    }
+
+    this.updateChargeReminderCharacteristic()
+  }
+
+  /**
+   * Update Not Charging ContactSensor characteristic
+   */
+  updateChargeReminderCharacteristic () {
+    if (!this.chargeReminderService) return
+
+    const { Characteristic } = this.#platform
+    this.chargeReminderService
+      .getCharacteristic(Characteristic.ContactSensorState)
+      .updateValue(this.isChargeReminderActive()
+        ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : Characteristic.ContactSensorState.CONTACT_DETECTED)
+  }
+
   /**
    * Update online status characteristic for all device-state services
    *
    * Services that need StatusActive (read device state, unavailable when offline):
    * - TemperatureSensor (temperature reading)
-   * - ContactSensor (online status, card insertion, day/night mode, nightlight status)
+   * - LightSensor (ambient light reading)
+   * - OccupancySensor (headphone and Bluetooth audio connections)
+   * - ContactSensor (online status, card insertion, day/night mode, nightlight status, on charger)
    *
    * Services that DON'T need StatusActive (config-based, work offline):
    * - Lightbulb services (ambient lights - config only)
@@ -2011,6 +4229,30 @@ export class YotoPlayerAccessory {
         .updateValue(isOnline)
     }
 
+    if (this.lightSensorService) {
+      this.lightSensorService
+        .getCharacteristic(Characteristic.StatusActive)
+        .updateValue(isOnline)
+    }
+
+    if (this.chargerService) {
+      this.chargerService
+        .getCharacteristic(Characteristic.StatusActive)
+        .updateValue(isOnline)
+    }
+
+    // Update headphone OccupancySensors (connection state)
+    if (this.headphonesService) {
+      this.headphonesService
+        .getCharacteristic(Characteristic.StatusActive)
+        .updateValue(isOnline)
+    }
+    if (this.bluetoothAudioService) {
+      this.bluetoothAudioService
+        .getCharacteristic(Characteristic.StatusActive)
+        .updateValue(isOnline)
+    }
+
     // Update nightlight status ContactSensors (device state)
     if (this.nightlightActiveService) {
       this.nightlightActiveService
@@ -2138,7 +4380,20 @@ export class YotoPlayerAccessory {
   }
 
   /**
-   * Update sleep timer Switch characteristic
+   * Update night mode Switch characteristic
+   */
+  updateNightModeCharacteristic () {
+    if (!this.nightModeService) {
+      return
+    }
+
+    this.nightModeService
+      .getCharacteristic(this.#platform.Characteristic.On)
+      .updateValue(this.#deviceModel.status.dayMode === 'night')
+  }
+
+  /**
+   * Update sleep timer Lightbulb characteristics
    */
   updateSleepTimerCharacteristic () {
     if (!this.sleepTimerService) {
@@ -2147,10 +4402,17 @@ export class YotoPlayerAccessory {
 
     const { Characteristic } = this.#platform
     const playback = this.#deviceModel.playback
+    const isActive = playback.sleepTimerActive ?? false
+    const { maxMinutes } = this.getSleepTimerSettings()
+    const seconds = isActive ? (playback.sleepTimerSeconds ?? 0) : 0
 
     this.sleepTimerService
       .getCharacteristic(Characteristic.On)
-      .updateValue(playback.sleepTimerActive ?? false)
+      .updateValue(isActive)
+
+    this.sleepTimerService
+      .getCharacteristic(Characteristic.Brightness)
+      .updateValue(sleepSecondsToPercent(seconds, maxMinutes))
   }
 
   /**
@@ -2169,6 +4431,137 @@ export class YotoPlayerAccessory {
       .updateValue(enabled)
   }
 
+  /**
+   * Update headphone and Bluetooth audio OccupancySensor characteristics
+   */
+  updateHeadphonesCharacteristics () {
+    const { Characteristic } = this.#platform
+    const { isAudioDeviceConnected, isBluetoothAudioConnected } = this.#deviceModel.status
+
+    if (this.headphonesService) {
+      this.headphonesService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .updateValue(isAudioDeviceConnected
+          ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+          : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED)
+    }
+
+    if (this.bluetoothAudioService) {
+      this.bluetoothAudioService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .updateValue(isBluetoothAudioConnected
+          ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+          : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED)
+    }
+  }
+
+  /**
+   * Update Bluetooth headphones and headphone volume limit Switch characteristics
+   */
+  updateHeadphonesSwitchCharacteristics () {
+    const { Characteristic } = this.#platform
+    const { btHeadphonesEnabled, headphonesVolumeLimited } = this.#deviceModel.config
+
+    if (this.bluetoothHeadphonesService) {
+      this.bluetoothHeadphonesService
+        .getCharacteristic(Characteristic.On)
+        .updateValue(btHeadphonesEnabled ?? false)
+    }
+
+    if (this.headphonesVolumeLimitService) {
+      this.headphonesVolumeLimitService
+        .getCharacteristic(Characteristic.On)
+        .updateValue(headphonesVolumeLimited ?? false)
+    }
+  }
+
+  /**
+   * Update auto-brightness Switch characteristic for a mode
+   * @param {DayNightMode} mode
+   */
+  updateDisplayCharacteristics (mode) {
+    const autoService = mode === 'day' ? this.dayAutoBrightnessService : this.nightAutoBrightnessService
+    if (!autoService) {
+      return
+    }
+
+    const { Characteristic } = this.#platform
+    autoService.getCharacteristic(Characteristic.On).updateValue(this.getDisplayState(mode).auto)
+  }
+
+  /**
+   * Update weak Wi-Fi ContactSensor characteristic
+   */
+  updateWeakWifiCharacteristic () {
+    if (!this.weakWifiService) {
+      return
+    }
+
+    const { Characteristic } = this.#platform
+    const { wifiStrength } = this.#deviceModel.status
+    const weak = isWeakWifi(wifiStrength, this.getDiagnosticsSettings().weakWifiThreshold)
+    const state = weak ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED
+    const characteristic = this.weakWifiService.getCharacteristic(Characteristic.ContactSensorState)
+
+    // HomeKit has no characteristic for the raw signal, so log it when the sensor changes
+    if (characteristic.value !== state) {
+      this.#log.info(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Wi-Fi signal ${weak ? 'weak' : 'OK'} (${wifiStrength ?? 'unknown'} dBm)`)
+    }
+    characteristic.updateValue(state)
+  }
+
+  /**
+   * Update storage almost full ContactSensor characteristic
+   */
+  updateStorageAlmostFullCharacteristic () {
+    if (!this.storageAlmostFullService) {
+      return
+    }
+
+    const { Characteristic } = this.#platform
+    const { freeDiskSpaceBytes, totalDiskSpaceBytes } = this.#deviceModel.status
+    const almostFull = isStorageAlmostFull(
+      freeDiskSpaceBytes,
+      totalDiskSpaceBytes,
+      this.getDiagnosticsSettings().storageAlmostFullPercent
+    )
+
+    this.storageAlmostFullService
+      .getCharacteristic(Characteristic.ContactSensorState)
+      .updateValue(almostFull ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED)
+  }
+
+  /**
+   * Trigger the Restarted MotionSensor when uptime goes backwards
+   * @param {number} uptime - Device uptime in seconds
+   */
+  updateRestartedCharacteristic (uptime) {
+    if (!this.restartedService) {
+      return
+    }
+
+    const previousUptime = this.#lastUptime
+    this.#lastUptime = uptime
+
+    if (!didReboot(previousUptime, uptime)) {
+      return
+    }
+
+    this.#log.info(`[${this.#device.name}] Player restarted (uptime ${previousUptime}s -> ${uptime}s)`)
+
+    const { Characteristic } = this.#platform
+    const service = this.restartedService
+    service.getCharacteristic(Characteristic.MotionDetected).updateValue(true)
+
+    if (this.#restartedResetTimer) {
+      clearTimeout(this.#restartedResetTimer)
+    }
+    this.#restartedResetTimer = setTimeout(() => {
+      this.#restartedResetTimer = null
+      service.getCharacteristic(Characteristic.MotionDetected).updateValue(false)
+    }, REBOOT_MOTION_DURATION_MS)
+  }
+
   /**
    * Update volume limit Lightbulb characteristics
    */
@@ -2201,6 +4594,18 @@ export class YotoPlayerAccessory {
     }
   }
 
+  /**
+   * Sync alarm switches with the device's alarm list
+   */
+  updateAlarmServices () {
+    if (!this.alarmServices) {
+      return
+    }
+
+    // Re-running setup adds/removes switches and refreshes names and On values
+    this.setupAlarmServices()
+  }
+
   /**
    * Update temperature characteristic and fault status
    * @param {string | number | null} temperature - Temperature in Celsius
@@ -2226,6 +4631,30 @@ export class YotoPlayerAccessory {
       .updateValue(fault)
   }
 
+  /**
+   * Update ambient light level and fault status
+   */
+  updateAmbientLightCharacteristic () {
+    if (!this.lightSensorService) return
+
+    const { Characteristic } = this.#platform
+    const { scale, offset } = this.getAmbientLightSettings()
+    const lux = ambientReadingToLux(this.#deviceModel.status.ambientLightSensorReading, scale, offset)
+
+    // Skip if reading is not available
+    if (lux === null) {
+      return
+    }
+
+    this.lightSensorService
+      .getCharacteristic(Characteristic.CurrentAmbientLightLevel)
+      .updateValue(lux)
+
+    this.lightSensorService
+      .getCharacteristic(Characteristic.StatusFault)
+      .updateValue(Characteristic.StatusFault.NO_FAULT)
+  }
+
   // ==================== Lifecycle Methods ====================
 
   /**
@@ -2243,6 +4672,32 @@ export class YotoPlayerAccessory {
     this.#deviceModel.removeAllListeners('offline')
     this.#deviceModel.removeAllListeners('error')
 
+    if (this.#restartedResetTimer) {
+      clearTimeout(this.#restartedResetTimer)
+      this.#restartedResetTimer = null
+    }
+    if (this.#forcedScheduleTimer) {
+      clearTimeout(this.#forcedScheduleTimer)
+      this.#forcedScheduleTimer = null
+    }
+    if (this.#chargeReminderInterval) {
+      clearInterval(this.#chargeReminderInterval)
+      this.#chargeReminderInterval = null
+    }
+    if (this.#warmShiftInterval) {
+      clearInterval(this.#warmShiftInterval)
+      this.#warmShiftInterval = null
+    }
+    if (this.#fadeOutTimer) {
+      clearTimeout(this.#fadeOutTimer)
+      this.#fadeOutTimer = null
+    }
+    this.stopSunrise()
+    for (const writer of this.#nightlightWriters.values()) {
+      writer.stop()
+    }
+    this.#nightlightWriters.clear()
+
     // Note: Don't call deviceModel.stop() here - that's handled by YotoAccount
   }
 }
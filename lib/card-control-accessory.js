@@ -6,13 +6,11 @@
 /** @import { YotoPlatform } from './platform.js' */
 /** @import { CardControlConfig } from './card-controls.js' */
 
-import {
-  DEFAULT_MANUFACTURER,
-  DEFAULT_MODEL,
-  LOG_PREFIX,
-} from './settings.js'
+import { LOG_PREFIX } from './settings.js'
 import { sanitizeName } from './utils/sanitize-name.js'
 import { syncServiceNames } from './sync-service-names.js'
+import { isCardControlTarget, playCardControl } from './card-controls.js'
+import { runOnDevices, setupBridgedAccessoryInformation } from './multi-device.js'
 
 /**
  * Yoto Card Control Accessory Handler (bridged)
@@ -67,26 +65,11 @@ export class YotoCardControlAccessory {
    * Setup AccessoryInformation service
    */
   setupAccessoryInformation () {
-    const { Service, Characteristic } = this.#platform
-    const service = this.#accessory.getService(Service.AccessoryInformation) ||
-      this.#accessory.addService(Service.AccessoryInformation)
-
-    const displayName = sanitizeName(this.#accessory.displayName)
-    const nameCharacteristic = service.getCharacteristic(Characteristic.Name)
-    const configuredCharacteristic = service.getCharacteristic(Characteristic.ConfiguredName)
-    const previousName = nameCharacteristic.value
-    const configuredName = configuredCharacteristic.value
-
-    service
-      .setCharacteristic(Characteristic.Manufacturer, DEFAULT_MANUFACTURER)
-      .setCharacteristic(Characteristic.Model, DEFAULT_MODEL)
-      .setCharacteristic(Characteristic.SerialNumber, this.#cardControl.id)
-      .setCharacteristic(Characteristic.Name, displayName)
-
-    if (typeof configuredName !== 'string' || configuredName === previousName) {
-      service.setCharacteristic(Characteristic.ConfiguredName, displayName)
-    }
-
+    const service = setupBridgedAccessoryInformation({
+      platform: this.#platform,
+      accessory: this.#accessory,
+      serialNumber: this.#cardControl.id,
+    })
     this.#currentServices.add(service)
   }
 
@@ -141,6 +124,7 @@ export class YotoCardControlAccessory {
     }
 
     const devices = Array.from(account.devices.values())
+      .filter((deviceModel) => isCardControlTarget(this.#platform.config, this.#cardControl, deviceModel.device.deviceId))
     if (devices.length === 0) {
       this.#log.warn(LOG_PREFIX.ACCESSORY, 'Card control requested with no devices available.')
       this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
@@ -149,55 +133,20 @@ export class YotoCardControlAccessory {
       )
     }
 
-    const onlineDevices = devices.filter((deviceModel) => deviceModel.status.isOnline)
-    const offlineDevices = devices.filter((deviceModel) => !deviceModel.status.isOnline)
-    if (offlineDevices.length > 0) {
-      const offlineNames = offlineDevices.map(deviceModel => deviceModel.device.name).join(', ')
-      this.#log.debug(LOG_PREFIX.ACCESSORY, `Skipping offline devices for card control: ${offlineNames}`)
-    }
-    if (onlineDevices.length === 0) {
-      this.#log.warn(LOG_PREFIX.ACCESSORY, 'Card control requested but no devices are online.')
-      this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
-    }
-
     this.#log.debug(
       LOG_PREFIX.ACCESSORY,
       `Play card on all devices: ${this.#cardControl.label} (${this.#cardControl.cardId})`
     )
 
-    const results = await Promise.allSettled(
-      onlineDevices.map(async (deviceModel) => {
-        await deviceModel.startCard({ cardId: this.#cardControl.cardId })
-        return deviceModel.device.name
+    try {
+      await runOnDevices({
+        platform: this.#platform,
+        action: 'Card control',
+        devices,
+        run: (deviceModel) => playCardControl(deviceModel, this.#cardControl),
       })
-    )
-
-    const failedDevices = results.reduce((acc, result, index) => {
-      if (result.status === 'rejected') {
-        const failedDevice = onlineDevices[index]
-        if (failedDevice) {
-          acc.push(failedDevice.device.name)
-        }
-      }
-      return acc
-    }, /** @type {string[]} */ ([]))
-
-    if (failedDevices.length > 0) {
-      this.#log.warn(
-        LOG_PREFIX.ACCESSORY,
-        `Card control failed on ${failedDevices.length} device(s): ${failedDevices.join(', ')}`
-      )
-    }
-
-    this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
-
-    if (failedDevices.length === results.length) {
-      throw new this.#platform.api.hap.HapStatusError(
-        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
-      )
+    } finally {
+      this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
     }
   }
 
@@ -1,4 +1,5 @@
 /** @import { PlatformConfig } from 'homebridge' */
+/** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
 
 /**
  * @typedef {Object} CardControlConfig
@@ -6,20 +7,54 @@
  * @property {string} cardId
  * @property {string} label
  * @property {boolean} playOnAll
+ * @property {string} [chapterKey] - Chapter to start from
+ * @property {string} [trackKey] - Track to start from
+ * @property {number} [secondsIn] - Start offset in seconds
+ * @property {number} [volume] - Volume percent (0-100) to set before playing
+ * @property {boolean} [resume] - Resume the card where it left off when it is already loaded
+ * @property {string[]} [deviceIds] - Devices this control targets
+ * @property {string} [group] - Device group this control targets
 */
 
+/**
+ * @typedef {Object} StartCardOptions
+ * @property {string} cardId
+ * @property {string} [chapterKey]
+ * @property {string} [trackKey]
+ * @property {number} [secondsIn]
+ */
+
 import { getTrimmedString } from './utils/get-trimmed-string.js'
 import { getBooleanSetting } from './utils/get-boolean-setting.js'
+import { getServiceConfig } from './device-config.js'
+import { getDeviceGroup, getDeviceIdList } from './device-groups.js'
+import { clampPercent, percentToSteps } from './utils/volume.js'
+
+/**
+ * @param {unknown} value
+ * @param {number} min
+ * @param {number} [max]
+ * @returns {number | undefined}
+ */
+function getOptionalNumber (value, min, max = Number.POSITIVE_INFINITY) {
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  const parsed = typeof value === 'number' ? value : Number(value)
+  if (!Number.isFinite(parsed)) {
+    return undefined
+  }
+  return Math.max(min, Math.min(Math.round(parsed), max))
+}
 
 /**
  * @param {PlatformConfig} config
+ * @param {string} [deviceId] - Use this device's card control list when it overrides the global one,
+ * and skip controls that target other devices
  * @returns {CardControlConfig[]}
  */
-export function getCardControlConfigs (config) {
-  const services = config && typeof config === 'object' ? config['services'] : undefined
-  const serviceConfig = typeof services === 'object' && services !== null
-    ? /** @type {Record<string, unknown>} */ (services)
-    : {}
+export function getCardControlConfigs (config, deviceId) {
+  const serviceConfig = getServiceConfig(config, deviceId)
 
   const rawControls = Array.isArray(serviceConfig['cardControls'])
     ? serviceConfig['cardControls']
@@ -43,6 +78,13 @@ export function getCardControlConfigs (config) {
     }
 
     const playOnAll = getBooleanSetting(record['playOnAll'], false)
+    const chapterKey = getTrimmedString(record['chapterKey'])
+    const trackKey = getTrimmedString(record['trackKey'])
+    const secondsIn = getOptionalNumber(record['secondsIn'], 0)
+    const volume = getOptionalNumber(record['volume'], 0, 100)
+    const resume = getBooleanSetting(record['resume'], false)
+    const deviceIds = getDeviceIdList(record['deviceIds'])
+    const group = getTrimmedString(record['group'])
 
     let id = cardId
     if (usedIds.has(id)) {
@@ -54,13 +96,110 @@ export function getCardControlConfigs (config) {
     }
 
     usedIds.add(id)
-    controls.push({
+    /** @type {CardControlConfig} */
+    const control = {
       id,
       cardId,
       label,
       playOnAll,
-    })
+      ...(chapterKey ? { chapterKey } : {}),
+      ...(trackKey ? { trackKey } : {}),
+      ...(secondsIn !== undefined ? { secondsIn } : {}),
+      ...(volume !== undefined ? { volume } : {}),
+      resume,
+      ...(deviceIds.length > 0 ? { deviceIds } : {}),
+      ...(group ? { group } : {}),
+    }
+
+    if (deviceId && !isCardControlTarget(config, control, deviceId)) {
+      continue
+    }
+
+    controls.push(control)
   }
 
   return controls
 }
+
+/**
+ * Resolve the device IDs a card control targets: its own device IDs plus its group's members.
+ * @param {PlatformConfig} config
+ * @param {CardControlConfig} control
+ * @returns {Set<string> | null} null when the control targets every device
+ */
+export function getCardControlTargetIds (config, control) {
+  const deviceIds = control.deviceIds ?? []
+  if (deviceIds.length === 0 && !control.group) {
+    return null
+  }
+
+  const targetIds = new Set(deviceIds)
+  if (control.group) {
+    // An unknown group adds no devices, so the control targets nothing rather than everything.
+    for (const deviceId of getDeviceGroup(config, control.group)?.deviceIds ?? []) {
+      targetIds.add(deviceId)
+    }
+  }
+  return targetIds
+}
+
+/**
+ * Whether a card control applies to a device.
+ * @param {PlatformConfig} config
+ * @param {CardControlConfig} control
+ * @param {string} deviceId
+ * @returns {boolean}
+ */
+export function isCardControlTarget (config, control, deviceId) {
+  const targetIds = getCardControlTargetIds(config, control)
+  return targetIds === null || targetIds.has(deviceId)
+}
+
+/**
+ * Build the startCard options for a card control.
+ * @param {CardControlConfig} control
+ * @returns {StartCardOptions}
+ */
+export function getStartCardOptions (control) {
+  /** @type {StartCardOptions} */
+  const options = { cardId: control.cardId }
+  if (control.chapterKey) {
+    options.chapterKey = control.chapterKey
+  }
+  if (control.trackKey) {
+    options.trackKey = control.trackKey
+  }
+  if (control.secondsIn !== undefined && control.secondsIn > 0) {
+    options.secondsIn = control.secondsIn
+  }
+  return options
+}
+
+/**
+ * Whether a card control should resume the loaded card instead of starting it again.
+ * @param {CardControlConfig} control
+ * @param {string | null | undefined} loadedCardId - Card currently loaded on the device
+ * @returns {boolean}
+ */
+export function shouldResumeCard (control, loadedCardId) {
+  return Boolean(control.resume) && Boolean(loadedCardId) && loadedCardId === control.cardId
+}
+
+/**
+ * Play a card control on a device: set the configured volume, then resume or start the card.
+ * @param {YotoDeviceModel} deviceModel
+ * @param {CardControlConfig} control
+ * @returns {Promise<void>}
+ */
+export async function playCardControl (deviceModel, control) {
+  if (control.volume !== undefined) {
+    await deviceModel.setVolume(percentToSteps(clampPercent(control.volume)))
+  }
+
+  if (shouldResumeCard(control, deviceModel.playback.cardId)) {
+    await deviceModel.resumeCard()
+    return
+  }
+
+  await deviceModel.startCard(getStartCardOptions(control))
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getCardControlConfigs,
+  getCardControlTargetIds,
+  getStartCardOptions,
+  isCardControlTarget,
+  shouldResumeCard,
+} from './card-controls.js'
+
+test('getCardControlConfigs parses playback options', () => {
+  /** @type {any} */
+  const config = {
+    services: {
+      cardControls: [
+        { label: 'Bedtime', cardId: 'abc', chapterKey: ' 03 ', trackKey: '02', secondsIn: '90', volume: 150, resume: true },
+        { label: 'Plain', cardId: 'abc' },
+        { label: 'Bad numbers', cardId: 'def', secondsIn: 'soon', volume: '' },
+        { label: '', cardId: 'ghi' },
+      ],
+    },
+  }
+
+  const controls = getCardControlConfigs(config)
+  assert.deepStrictEqual(controls, [
+    { id: 'abc', cardId: 'abc', label: 'Bedtime', playOnAll: false, chapterKey: '03', trackKey: '02', secondsIn: 90, volume: 100, resume: true },
+    { id: 'abc-1', cardId: 'abc', label: 'Plain', playOnAll: false, resume: false },
+    { id: 'def', cardId: 'def', label: 'Bad numbers', playOnAll: false, resume: false },
+  ])
+})
+
+test('getStartCardOptions only includes configured options', () => {
+  assert.deepStrictEqual(
+    getStartCardOptions({ id: 'abc', cardId: 'abc', label: 'Plain', playOnAll: false }),
+    { cardId: 'abc' }
+  )
+  assert.deepStrictEqual(
+    getStartCardOptions({ id: 'abc', cardId: 'abc', label: 'Bedtime', playOnAll: false, chapterKey: '03', trackKey: '02', secondsIn: 90, volume: 30 }),
+    { cardId: 'abc', chapterKey: '03', trackKey: '02', secondsIn: 90 }
+  )
+  assert.deepStrictEqual(
+    getStartCardOptions({ id: 'abc', cardId: 'abc', label: 'Zero', playOnAll: false, secondsIn: 0 }),
+    { cardId: 'abc' }
+  )
+})
+
+test('shouldResumeCard resumes only when enabled and the same card is loaded', () => {
+  const control = { id: 'abc', cardId: 'abc', label: 'Bedtime', playOnAll: false, resume: true }
+  assert.strictEqual(shouldResumeCard(control, 'abc'), true)
+  assert.strictEqual(shouldResumeCard(control, 'other'), false)
+  assert.strictEqual(shouldResumeCard(control, null), false)
+  assert.strictEqual(shouldResumeCard({ ...control, resume: false }, 'abc'), false)
+})
+
+test('card controls only apply to their target devices and group members', () => {
+  /** @type {any} */
+  const config = {
+    groups: [{ name: "Kids' Bedrooms", deviceIds: ['nursery', 'playroom'] }],
+    services: {
+      cardControls: [
+        { label: 'Everyone', cardId: 'all' },
+        { label: 'Bedrooms', cardId: 'bed', group: "kids' bedrooms" },
+        { label: 'Kitchen', cardId: 'kitchen', deviceIds: ['kitchen'], group: "Kids' Bedrooms" },
+        { label: 'Nobody', cardId: 'none', group: 'Missing' },
+      ],
+    },
+  }
+
+  const [everyone, bedrooms, kitchen, nobody] = getCardControlConfigs(config)
+  assert.ok(everyone && bedrooms && kitchen && nobody)
+  assert.strictEqual(getCardControlTargetIds(config, everyone), null)
+  assert.deepStrictEqual(getCardControlTargetIds(config, bedrooms), new Set(['nursery', 'playroom']))
+  assert.deepStrictEqual(getCardControlTargetIds(config, kitchen), new Set(['kitchen', 'nursery', 'playroom']))
+  assert.deepStrictEqual(getCardControlTargetIds(config, nobody), new Set())
+  assert.strictEqual(isCardControlTarget(config, bedrooms, 'kitchen'), false)
+
+  assert.deepStrictEqual(getCardControlConfigs(config, 'nursery').map(control => control.label), ['Everyone', 'Bedrooms', 'Kitchen'])
+  assert.deepStrictEqual(getCardControlConfigs(config, 'kitchen').map(control => control.label), ['Everyone', 'Kitchen'])
+})
@@ -0,0 +1,113 @@
+/** @import { PlatformConfig } from 'homebridge' */
+
+/**
+ * @typedef {Object} DeviceOverrideConfig
+ * @property {string} deviceId
+ * @property {string} name
+ * @property {Record<string, unknown>} services
+ * @property {unknown} serviceNames - Raw per-device service name overrides
+ * @property {string} serviceNameTemplate - Per-device service name template, or '' to use the global one
+ */
+
+import { getTrimmedString } from './utils/get-trimmed-string.js'
+
+/**
+ * @param {unknown} value
+ * @returns {Record<string, unknown>}
+ */
+function toRecord (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+    ? /** @type {Record<string, unknown>} */ (value)
+    : {}
+}
+
+/**
+ * @param {PlatformConfig} config
+ * @returns {DeviceOverrideConfig[]}
+ */
+export function getDeviceOverrides (config) {
+  const devices = config && typeof config === 'object' ? config['devices'] : undefined
+  const rawDevices = Array.isArray(devices) ? devices : []
+
+  /** @type {DeviceOverrideConfig[]} */
+  const overrides = []
+  const usedIds = new Set()
+
+  for (const entry of rawDevices) {
+    if (!entry || typeof entry !== 'object') {
+      continue
+    }
+
+    const record = /** @type {Record<string, unknown>} */ (entry)
+    const deviceId = getTrimmedString(record['deviceId'])
+
+    // First entry wins when a device is listed more than once.
+    if (!deviceId || usedIds.has(deviceId)) {
+      continue
+    }
+
+    usedIds.add(deviceId)
+    overrides.push({
+      deviceId,
+      name: getTrimmedString(record['name']),
+      services: toRecord(record['services']),
+      serviceNames: record['serviceNames'],
+      serviceNameTemplate: getTrimmedString(record['serviceNameTemplate']),
+    })
+  }
+
+  return overrides
+}
+
+/**
+ * @param {PlatformConfig} config
+ * @param {string} deviceId
+ * @returns {DeviceOverrideConfig | undefined}
+ */
+export function getDeviceOverride (config, deviceId) {
+  return getDeviceOverrides(config).find(override => override.deviceId === deviceId)
+}
+
+/**
+ * Resolve the `services` block for a device: global settings with any per-device overrides applied.
+ * Omit `deviceId` to get the global settings only.
+ *
+ * @param {PlatformConfig} config
+ * @param {string} [deviceId]
+ * @returns {Record<string, unknown>}
+ */
+export function getServiceConfig (config, deviceId) {
+  const globalServices = toRecord(config && typeof config === 'object' ? config['services'] : undefined)
+  if (!deviceId) {
+    return globalServices
+  }
+
+  const override = getDeviceOverride(config, deviceId)
+  if (!override) {
+    return globalServices
+  }
+
+  /** @type {Record<string, unknown>} */
+  const merged = { ...globalServices }
+  for (const [key, value] of Object.entries(override.services)) {
+    // Unset toggles and empty lists inherit the global value.
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      continue
+    }
+    merged[key] = value
+  }
+
+  return merged
+}
+
+/**
+ * Resolve the HomeKit-facing name for a device, honoring a per-device name override.
+ *
+ * @param {PlatformConfig} config
+ * @param {{ deviceId: string, name: string }} device
+ * @returns {string}
+ */
+export function getDeviceDisplayName (config, device) {
+  const override = getDeviceOverride(config, device.deviceId)
+  return override?.name || device.name
+}
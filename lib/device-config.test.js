@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getDeviceDisplayName,
+  getDeviceOverrides,
+  getServiceConfig,
+} from './device-config.js'
+
+/** @type {any} */
+const config = {
+  platform: 'Yoto',
+  services: {
+    battery: true,
+    nightlight: false,
+    cardControls: [{ label: 'Bedtime', cardId: 'abc' }],
+  },
+  devices: [
+    { deviceId: 'nursery', name: 'Nursery Yoto', services: { nightlight: true, sleepTimer: true, cardControls: [] } },
+    { deviceId: 'playroom', services: { battery: null, nightlight: undefined, cardSlot: false } },
+    { deviceId: 'nursery', name: 'Duplicate' },
+    { name: 'Missing ID' },
+    null,
+  ],
+}
+
+test('getDeviceOverrides skips invalid and duplicate entries', () => {
+  const overrides = getDeviceOverrides(config)
+  assert.deepStrictEqual(overrides.map(override => override.deviceId), ['nursery', 'playroom'])
+  assert.strictEqual(overrides[0]?.name, 'Nursery Yoto')
+  assert.strictEqual(overrides[1]?.name, '')
+})
+
+test('getServiceConfig merges device overrides over global services', () => {
+  const nursery = getServiceConfig(config, 'nursery')
+  assert.strictEqual(nursery['battery'], true)
+  assert.strictEqual(nursery['nightlight'], true)
+  assert.strictEqual(nursery['sleepTimer'], true)
+  assert.deepStrictEqual(nursery['cardControls'], [{ label: 'Bedtime', cardId: 'abc' }])
+
+  const playroom = getServiceConfig(config, 'playroom')
+  assert.strictEqual(playroom['battery'], true)
+  assert.strictEqual(playroom['nightlight'], false)
+  assert.strictEqual(playroom['cardSlot'], false)
+})
+
+test('getServiceConfig returns global services without a device', () => {
+  assert.deepStrictEqual(getServiceConfig(config), config.services)
+  assert.deepStrictEqual(getServiceConfig(config, 'unknown'), config.services)
+  assert.deepStrictEqual(getServiceConfig(/** @type {any} */ ({})), {})
+})
+
+test('getDeviceDisplayName prefers the configured name', () => {
+  assert.strictEqual(getDeviceDisplayName(config, { deviceId: 'nursery', name: 'Yoto 1' }), 'Nursery Yoto')
+  assert.strictEqual(getDeviceDisplayName(config, { deviceId: 'playroom', name: 'Yoto 2' }), 'Yoto 2')
+})
@@ -0,0 +1,89 @@
+/** @import { PlatformConfig } from 'homebridge' */
+
+/**
+ * @typedef {Object} DeviceGroupConfig
+ * @property {string} id - Stable identifier derived from the group name
+ * @property {string} name
+ * @property {string[]} deviceIds
+ * @property {boolean} accessory - Publish a group accessory
+ */
+
+import { getTrimmedString } from './utils/get-trimmed-string.js'
+import { getBooleanSetting } from './utils/get-boolean-setting.js'
+
+/**
+ * Normalize a group name for lookups and identifiers.
+ * @param {string} name
+ * @returns {string}
+ */
+export function getDeviceGroupId (name) {
+  return name.trim().toLowerCase()
+}
+
+/**
+ * Read a list of device IDs, dropping blanks and duplicates.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function getDeviceIdList (value) {
+  const rawIds = Array.isArray(value) ? value : []
+  /** @type {Set<string>} */
+  const deviceIds = new Set()
+  for (const rawId of rawIds) {
+    const deviceId = getTrimmedString(rawId)
+    if (deviceId) {
+      deviceIds.add(deviceId)
+    }
+  }
+  return Array.from(deviceIds)
+}
+
+/**
+ * @param {PlatformConfig} config
+ * @returns {DeviceGroupConfig[]}
+ */
+export function getDeviceGroups (config) {
+  const groups = config && typeof config === 'object' ? config['groups'] : undefined
+  const rawGroups = Array.isArray(groups) ? groups : []
+
+  /** @type {DeviceGroupConfig[]} */
+  const result = []
+  const usedIds = new Set()
+
+  for (const entry of rawGroups) {
+    if (!entry || typeof entry !== 'object') {
+      continue
+    }
+
+    const record = /** @type {Record<string, unknown>} */ (entry)
+    const name = getTrimmedString(record['name'])
+    const id = getDeviceGroupId(name)
+
+    // First entry wins when a group name is used more than once.
+    if (!name || usedIds.has(id)) {
+      continue
+    }
+
+    usedIds.add(id)
+    result.push({
+      id,
+      name,
+      deviceIds: getDeviceIdList(record['deviceIds']),
+      accessory: getBooleanSetting(record['accessory'], true),
+    })
+  }
+
+  return result
+}
+
+/**
+ * Find a group by name (case-insensitive).
+ * @param {PlatformConfig} config
+ * @param {string} name
+ * @returns {DeviceGroupConfig | undefined}
+ */
+export function getDeviceGroup (config, name) {
+  const id = getDeviceGroupId(name)
+  if (!id) return undefined
+  return getDeviceGroups(config).find(group => group.id === id)
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getDeviceGroup,
+  getDeviceGroups,
+  getDeviceIdList,
+} from './device-groups.js'
+
+/** @type {any} */
+const config = {
+  platform: 'Yoto',
+  groups: [
+    { name: " Kids' Bedrooms ", deviceIds: ['nursery', ' playroom ', 'nursery', '', 7] },
+    { name: "kids' bedrooms", deviceIds: ['duplicate'] },
+    { name: 'Empty', accessory: false },
+    { name: '' },
+    null,
+  ],
+}
+
+test('getDeviceIdList trims and drops blanks and duplicates', () => {
+  assert.deepStrictEqual(getDeviceIdList([' a ', 'a', '', null, 'b']), ['a', 'b'])
+  assert.deepStrictEqual(getDeviceIdList('a'), [])
+})
+
+test('getDeviceGroups skips invalid and duplicate groups', () => {
+  assert.deepStrictEqual(getDeviceGroups(config), [
+    { id: "kids' bedrooms", name: "Kids' Bedrooms", deviceIds: ['nursery', 'playroom'], accessory: true },
+    { id: 'empty', name: 'Empty', deviceIds: [], accessory: false },
+  ])
+  assert.deepStrictEqual(getDeviceGroups(/** @type {any} */ ({ platform: 'Yoto' })), [])
+})
+
+test('getDeviceGroup looks groups up by name case-insensitively', () => {
+  assert.deepStrictEqual(getDeviceGroup(config, "KIDS' BEDROOMS")?.deviceIds, ['nursery', 'playroom'])
+  assert.strictEqual(getDeviceGroup(config, 'Missing'), undefined)
+  assert.strictEqual(getDeviceGroup(config, ' '), undefined)
+})
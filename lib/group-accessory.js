@@ -0,0 +1,624 @@
+/**
+ * @fileoverview Yoto device group accessory implementation (control several devices together).
+ */
+
+/** @import { PlatformAccessory, CharacteristicValue, Service, Logger } from 'homebridge' */
+/** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
+/** @import { YotoPlatform } from './platform.js' */
+/** @import { DeviceGroupConfig } from './device-groups.js' */
+
+import convert from 'color-convert'
+import { LOG_PREFIX } from './settings.js'
+import { sanitizeName } from './utils/sanitize-name.js'
+import { syncServiceNames } from './sync-service-names.js'
+import { runOnDevices, setupBridgedAccessoryInformation } from './multi-device.js'
+import { getServiceConfig } from './device-config.js'
+import { getNumberSetting } from './utils/get-number-setting.js'
+import { clampPercent, percentToSteps, stepsToPercent } from './utils/volume.js'
+import {
+  DEFAULT_SLEEP_TIMER_MAX_MINUTES,
+  DEFAULT_SLEEP_TIMER_MINUTES,
+  percentToSleepMinutes,
+  sleepSecondsToPercent,
+} from './utils/sleep-timer.js'
+import { getGroupSleepTimerSeconds, getGroupVolumePercent } from './utils/group-state.js'
+import { WriteCoalescer } from './utils/write-coalescer.js'
+
+/**
+ * Night nightlight fields written to every member
+ * @typedef {Object} GroupNightlightUpdate
+ * @property {string} [nightAmbientColour]
+ * @property {number} [nightDisplayBrightness]
+ * @property {boolean} [nightDisplayBrightnessAuto]
+ */
+
+/** Colour written to member nightlights to turn them off */
+const NIGHTLIGHT_OFF_COLOR = '0x000000'
+
+/**
+ * @param {string | null | undefined} color
+ * @returns {boolean}
+ */
+function isColorOff (color) {
+  return !color || color === 'off' || color === '0x000000' || color === '#000000' || color === '000000'
+}
+
+/**
+ * Yoto Group Accessory Handler (bridged)
+ * Plays, pauses, sets volume, night nightlight colour and sleep timer on every member device.
+ * Combined state: playing if any member plays, volume is the members' average,
+ * sleep timer is the longest one running.
+ */
+export class YotoGroupAccessory {
+  /** @type {YotoPlatform} */ #platform
+  /** @type {PlatformAccessory} */ #accessory
+  /** @type {DeviceGroupConfig} */ #group
+  /** @type {Logger} */ #log
+  /** @type {Service | undefined} */ playbackService
+  /** @type {Service | undefined} */ volumeService
+  /** @type {Service | undefined} */ nightlightService
+  /** @type {Service | undefined} */ sleepTimerService
+  /** @type {Set<Service>} */ #currentServices = new Set()
+  // Listeners registered on member device models, removed in stop()
+  /** @type {Array<{ deviceModel: YotoDeviceModel, event: 'statusUpdate' | 'playbackUpdate' | 'configUpdate', listener: () => void }>} */
+  #memberListeners = []
+  // Group nightlight colour (HSV hue/saturation) written to every member
+  /** @type {number} */ #hue = 0
+  /** @type {number} */ #saturation = 0
+  /** @type {number} */ #lastNonZeroVolume = 50
+  // Merges On/Hue/Saturation/Brightness changes into one write per member
+  /** @type {WriteCoalescer<GroupNightlightUpdate>} */
+  #nightlightWriter = new WriteCoalescer({
+    flush: (pending) => this.writeNightlightConfig(pending),
+  })
+
+  /**
+   * @param {Object} params
+   * @param {YotoPlatform} params.platform - Platform instance
+   * @param {PlatformAccessory} params.accessory - Platform accessory
+   * @param {DeviceGroupConfig} params.group - Device group config
+   */
+  constructor ({ platform, accessory, group }) {
+    this.#platform = platform
+    this.#accessory = accessory
+    this.#group = group
+    this.#log = platform.log
+  }
+
+  /**
+   * Setup accessory - create services and setup handlers
+   * @returns {Promise<void>}
+   */
+  async setup () {
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting up group accessory: ${this.#group.name}`)
+
+    this.#currentServices.clear()
+
+    this.setupAccessoryInformation()
+    this.setupPlaybackService()
+    this.setupVolumeService()
+    this.setupNightlightService()
+    this.setupSleepTimerService()
+
+    for (const service of this.#accessory.services) {
+      if (service.UUID !== this.#platform.Service.AccessoryInformation.UUID &&
+          !this.#currentServices.has(service)) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `Removing stale group service: ${service.displayName || service.UUID}`)
+        this.#accessory.removeService(service)
+      }
+    }
+
+    this.seedNightlightColor()
+    this.setupMemberListeners()
+    this.updateCharacteristics()
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `✓ Group accessory ready: ${this.#group.name}`)
+  }
+
+  /**
+   * Setup AccessoryInformation service
+   */
+  setupAccessoryInformation () {
+    const service = setupBridgedAccessoryInformation({
+      platform: this.#platform,
+      accessory: this.#accessory,
+      serialNumber: `group:${this.#group.id}`,
+    })
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Build a service name from the group name
+   * @param {string} serviceName
+   * @returns {string}
+   */
+  generateServiceName (serviceName) {
+    return sanitizeName(`${this.#group.name} ${serviceName}`)
+  }
+
+  /**
+   * Setup playback Switch service
+   */
+  setupPlaybackService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Playback')
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'GroupPlayback') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'GroupPlayback')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getPlaybackOn.bind(this))
+      .onSet(this.setPlaybackOn.bind(this))
+
+    this.playbackService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup volume Lightbulb service
+   */
+  setupVolumeService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Volume')
+
+    const service = this.#accessory.getServiceById(Service.Lightbulb, 'GroupVolume') ||
+      this.#accessory.addService(Service.Lightbulb, serviceName, 'GroupVolume')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(async () => (await this.getVolume()) > 0)
+      .onSet(this.setVolumeOn.bind(this))
+
+    service.getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getVolume.bind(this))
+      .onSet(this.setVolume.bind(this))
+
+    this.volumeService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup night nightlight Lightbulb service
+   */
+  setupNightlightService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Nightlight')
+
+    const service = this.#accessory.getServiceById(Service.Lightbulb, 'GroupNightlight') ||
+      this.#accessory.addService(Service.Lightbulb, serviceName, 'GroupNightlight')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(this.getNightlightOn.bind(this))
+      .onSet(this.setNightlightOn.bind(this))
+
+    service.getCharacteristic(Characteristic.Brightness)
+      .onGet(this.getNightlightBrightness.bind(this))
+      .onSet(this.setNightlightBrightness.bind(this))
+
+    service.getCharacteristic(Characteristic.Hue)
+      .onGet(() => this.#hue)
+      .onSet(this.setNightlightHue.bind(this))
+
+    service.getCharacteristic(Characteristic.Saturation)
+      .onGet(() => this.#saturation)
+      .onSet(this.setNightlightSaturation.bind(this))
+
+    this.nightlightService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup sleep timer Lightbulb service
+   */
+  setupSleepTimerService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = this.generateServiceName('Sleep Timer')
+
+    const service = this.#accessory.getServiceById(Service.Lightbulb, 'GroupSleepTimer') ||
+      this.#accessory.addService(Service.Lightbulb, serviceName, 'GroupSleepTimer')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service.getCharacteristic(Characteristic.On)
+      .onGet(async () => this.getSleepTimerSeconds() > 0)
+      .onSet(this.setSleepTimerOn.bind(this))
+
+    service.getCharacteristic(Characteristic.Brightness)
+      .setProps({ minValue: 0, maxValue: 100, minStep: 1 })
+      .onGet(this.getSleepTimerBrightness.bind(this))
+      .onSet(this.setSleepTimerBrightness.bind(this))
+
+    this.sleepTimerService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Refresh group characteristics whenever a member reports new state
+   */
+  setupMemberListeners () {
+    this.removeMemberListeners()
+
+    for (const deviceModel of this.getMembers()) {
+      const listener = () => this.updateCharacteristics()
+      /** @type {Array<'statusUpdate' | 'playbackUpdate' | 'configUpdate'>} */
+      const events = ['statusUpdate', 'playbackUpdate', 'configUpdate']
+      for (const event of events) {
+        deviceModel.on(event, listener)
+        this.#memberListeners.push({ deviceModel, event, listener })
+      }
+    }
+  }
+
+  /**
+   * Remove listeners registered on member device models
+   */
+  removeMemberListeners () {
+    for (const { deviceModel, event, listener } of this.#memberListeners) {
+      deviceModel.off(event, listener)
+    }
+    this.#memberListeners = []
+  }
+
+  // ==================== Members ====================
+
+  /**
+   * Member device models known to the account
+   * @returns {YotoDeviceModel[]}
+   */
+  getMembers () {
+    const account = this.#platform.yotoAccount
+    if (!account) return []
+
+    const deviceIds = new Set(this.#group.deviceIds)
+    return Array.from(account.devices.values())
+      .filter((deviceModel) => deviceIds.has(deviceModel.device.deviceId))
+  }
+
+  /**
+   * Members with a colour nightlight
+   * @returns {YotoDeviceModel[]}
+   */
+  getNightlightMembers () {
+    return this.getMembers().filter((deviceModel) => deviceModel.capabilities.hasColoredNightlight)
+  }
+
+  /**
+   * Run an action on every online member, logging members that fail.
+   * Throws when no member is online or the action fails on every member.
+   * @param {string} action - Description used in logs
+   * @param {YotoDeviceModel[]} members
+   * @param {(deviceModel: YotoDeviceModel) => Promise<void>} run
+   * @returns {Promise<void>}
+   */
+  async runOnMembers (action, members, run) {
+    await runOnDevices({ platform: this.#platform, label: this.#group.name, action, devices: members, run })
+  }
+
+  // ==================== Playback ====================
+
+  /**
+   * On when any member is playing
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getPlaybackOn () {
+    return this.getMembers().some((deviceModel) => deviceModel.playback.playbackStatus === 'playing')
+  }
+
+  /**
+   * Resume or pause playback on every member
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setPlaybackOn (value) {
+    const play = Boolean(value)
+    await this.runOnMembers(play ? 'Resume' : 'Pause', this.getMembers(), async (deviceModel) => {
+      if (play) {
+        await deviceModel.resumeCard()
+      } else {
+        await deviceModel.pauseCard()
+      }
+    })
+  }
+
+  // ==================== Volume ====================
+
+  /**
+   * Average member volume as a percent
+   * @returns {Promise<number>}
+   */
+  async getVolume () {
+    return getGroupVolumePercent(this.getMembers().map((deviceModel) => deviceModel.status.volume))
+  }
+
+  /**
+   * Set every member to the same volume
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setVolume (value) {
+    const requestedPercent = typeof value === 'number' ? value : Number(value)
+    if (!Number.isFinite(requestedPercent)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+
+    const steps = percentToSteps(clampPercent(requestedPercent))
+
+    // Track last non-zero volume for unmute
+    if (steps > 0) {
+      this.#lastNonZeroVolume = stepsToPercent(steps)
+    }
+
+    await this.runOnMembers(`Set volume ${steps}`, this.getMembers(), async (deviceModel) => {
+      await deviceModel.setVolume(steps)
+    })
+  }
+
+  /**
+   * Mute every member on Off, bring back the last non-zero volume on On
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setVolumeOn (value) {
+    const currentVolume = await this.getVolume()
+
+    if (!value) {
+      if (currentVolume !== 0) {
+        await this.setVolume(0)
+      }
+      return
+    }
+
+    if (currentVolume === 0) {
+      await this.setVolume(this.#lastNonZeroVolume)
+    }
+  }
+
+  // ==================== Nightlight ====================
+
+  /**
+   * Take the group colour from the first member with its night nightlight on
+   */
+  seedNightlightColor () {
+    const color = this.getNightlightMembers()
+      .map((deviceModel) => deviceModel.config.nightAmbientColour)
+      .find((nightColor) => !isColorOff(nightColor))
+    if (!color) return
+
+    const [hue, saturation] = convert.hex.hsv(color.replace(/^(0x|#)/, ''))
+    this.#hue = hue
+    this.#saturation = saturation
+  }
+
+  /**
+   * Current group colour in Yoto format (0xRRGGBB)
+   * @returns {string}
+   */
+  getNightlightColor () {
+    return `0x${convert.hsv.hex([this.#hue, this.#saturation, 100])}`
+  }
+
+  /**
+   * On when any member's night nightlight is on
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightlightOn () {
+    return this.getNightlightMembers().some((deviceModel) => !isColorOff(deviceModel.config.nightAmbientColour))
+  }
+
+  /**
+   * Turn every member's night nightlight on with the group colour, or off
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightOn (value) {
+    const nightAmbientColour = value ? this.getNightlightColor() : NIGHTLIGHT_OFF_COLOR
+    await this.#nightlightWriter.queue({ nightAmbientColour })
+  }
+
+  /**
+   * Highest member night brightness
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getNightlightBrightness () {
+    const brightnesses = this.getNightlightMembers().map((deviceModel) => {
+      const { nightDisplayBrightness, nightDisplayBrightnessAuto } = deviceModel.config
+      return nightDisplayBrightnessAuto || nightDisplayBrightness === null
+        ? 100
+        : clampPercent(nightDisplayBrightness)
+    })
+    return brightnesses.length > 0 ? Math.max(...brightnesses) : 0
+  }
+
+  /**
+   * Set every member's night brightness
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightBrightness (value) {
+    const rawBrightness = Number(value)
+    if (!Number.isFinite(rawBrightness)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+
+    const nightDisplayBrightness = clampPercent(rawBrightness)
+    await this.#nightlightWriter.queue({
+      nightDisplayBrightness,
+      nightDisplayBrightnessAuto: false,
+    })
+  }
+
+  /**
+   * Set the group nightlight hue
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightHue (value) {
+    const rawHue = Number(value)
+    if (!Number.isFinite(rawHue)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    this.#hue = Math.max(0, Math.min(rawHue, 360))
+    await this.#nightlightWriter.queue({ nightAmbientColour: this.getNightlightColor() })
+  }
+
+  /**
+   * Set the group nightlight saturation
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightSaturation (value) {
+    const rawSaturation = Number(value)
+    if (!Number.isFinite(rawSaturation)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+    this.#saturation = Math.max(0, Math.min(rawSaturation, 100))
+    await this.#nightlightWriter.queue({ nightAmbientColour: this.getNightlightColor() })
+  }
+
+  /**
+   * Write merged nightlight changes to every member with a colour nightlight
+   * @param {GroupNightlightUpdate} configUpdate
+   * @returns {Promise<void>}
+   */
+  async writeNightlightConfig (configUpdate) {
+    const action = `Set nightlight ${Object.entries(configUpdate).map(([key, value]) => `${key}=${value}`).join(' ')}`
+    await this.runOnMembers(action, this.getNightlightMembers(), async (deviceModel) => {
+      await deviceModel.updateConfig(configUpdate)
+    })
+  }
+
+  // ==================== Sleep Timer ====================
+
+  /**
+   * Resolve sleep timer durations from the global settings
+   * @returns {{ minutes: number, maxMinutes: number }}
+   */
+  getSleepTimerSettings () {
+    const serviceConfig = getServiceConfig(this.#platform.config)
+    const maxMinutes = Math.round(getNumberSetting(
+      serviceConfig['sleepTimerMaxMinutes'],
+      DEFAULT_SLEEP_TIMER_MAX_MINUTES,
+      { min: 1, max: 180 }
+    ))
+    const minutes = Math.round(getNumberSetting(
+      serviceConfig['sleepTimerMinutes'],
+      DEFAULT_SLEEP_TIMER_MINUTES,
+      { min: 1, max: maxMinutes }
+    ))
+    return { minutes, maxMinutes }
+  }
+
+  /**
+   * Longest sleep timer running on a member, in seconds
+   * @returns {number}
+   */
+  getSleepTimerSeconds () {
+    return getGroupSleepTimerSeconds(this.getMembers().map((deviceModel) => deviceModel.playback))
+  }
+
+  /**
+   * Start or cancel the sleep timer on every member
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setSleepTimerOn (value) {
+    if (value) {
+      // Home sends On alongside Brightness changes; keep running timers as-is
+      if (this.getSleepTimerSeconds() > 0) {
+        return
+      }
+      const { minutes } = this.getSleepTimerSettings()
+      await this.setSleepTimerSeconds(minutes * 60)
+    } else {
+      await this.setSleepTimerSeconds(0)
+    }
+  }
+
+  /**
+   * Longest member sleep timer as a percent of the configured maximum
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getSleepTimerBrightness () {
+    const { maxMinutes } = this.getSleepTimerSettings()
+    return sleepSecondsToPercent(this.getSleepTimerSeconds(), maxMinutes)
+  }
+
+  /**
+   * Set the same sleep timer on every member from a percent of the configured maximum
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setSleepTimerBrightness (value) {
+    const requestedPercent = typeof value === 'number' ? value : Number(value)
+    if (!Number.isFinite(requestedPercent)) {
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.INVALID_VALUE_IN_REQUEST
+      )
+    }
+
+    const { maxMinutes } = this.getSleepTimerSettings()
+    await this.setSleepTimerSeconds(percentToSleepMinutes(requestedPercent, maxMinutes) * 60)
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {Promise<void>}
+   */
+  async setSleepTimerSeconds (seconds) {
+    await this.runOnMembers(`Set sleep timer ${seconds}s`, this.getMembers(), async (deviceModel) => {
+      await deviceModel.setSleepTimer(seconds)
+    })
+  }
+
+  // ==================== Characteristic Updates ====================
+
+  /**
+   * Push the combined member state to HomeKit
+   */
+  updateCharacteristics () {
+    const { Characteristic } = this.#platform
+    const members = this.getMembers()
+
+    this.playbackService
+      ?.getCharacteristic(Characteristic.On)
+      .updateValue(members.some((deviceModel) => deviceModel.playback.playbackStatus === 'playing'))
+
+    const volume = getGroupVolumePercent(members.map((deviceModel) => deviceModel.status.volume))
+    if (volume > 0) {
+      this.#lastNonZeroVolume = volume
+    }
+    this.volumeService?.getCharacteristic(Characteristic.On).updateValue(volume > 0)
+    this.volumeService?.getCharacteristic(Characteristic.Brightness).updateValue(volume)
+
+    const nightlightOn = this.getNightlightMembers()
+      .some((deviceModel) => !isColorOff(deviceModel.config.nightAmbientColour))
+    this.nightlightService?.getCharacteristic(Characteristic.On).updateValue(nightlightOn)
+
+    const { maxMinutes } = this.getSleepTimerSettings()
+    const sleepSeconds = this.getSleepTimerSeconds()
+    this.sleepTimerService?.getCharacteristic(Characteristic.On).updateValue(sleepSeconds > 0)
+    this.sleepTimerService
+      ?.getCharacteristic(Characteristic.Brightness)
+      .updateValue(sleepSecondsToPercent(sleepSeconds, maxMinutes))
+  }
+
+  /**
+   * Stop accessory - remove member listeners
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    this.#nightlightWriter.stop()
+    this.removeMemberListeners()
+    this.#currentServices.clear()
+  }
+}
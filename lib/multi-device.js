@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Shared helpers for bridged accessories that act on several Yoto devices at once
+ * (card controls, silence all, nightlight presets and device groups).
+ */
+
+/** @import { PlatformAccessory, Service } from 'homebridge' */
+/** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
+/** @import { YotoPlatform } from './platform.js' */
+
+import {
+  DEFAULT_MANUFACTURER,
+  DEFAULT_MODEL,
+  LOG_PREFIX,
+} from './settings.js'
+import { sanitizeName } from './utils/sanitize-name.js'
+
+/**
+ * Setup the AccessoryInformation service of a bridged accessory that is not tied to one device.
+ * A ConfiguredName that no longer matches the cached Name was renamed in the Home app and is kept.
+ * @param {Object} params
+ * @param {YotoPlatform} params.platform - Platform instance
+ * @param {PlatformAccessory} params.accessory - Platform accessory
+ * @param {string} params.serialNumber - Stable ID shown as the serial number
+ * @returns {Service}
+ */
+export function setupBridgedAccessoryInformation ({ platform, accessory, serialNumber }) {
+  const { Service, Characteristic } = platform
+  const service = accessory.getService(Service.AccessoryInformation) ||
+    accessory.addService(Service.AccessoryInformation)
+
+  const displayName = sanitizeName(accessory.displayName)
+  const nameCharacteristic = service.getCharacteristic(Characteristic.Name)
+  const configuredCharacteristic = service.getCharacteristic(Characteristic.ConfiguredName)
+  const previousName = nameCharacteristic.value
+  const configuredName = configuredCharacteristic.value
+
+  service
+    .setCharacteristic(Characteristic.Manufacturer, DEFAULT_MANUFACTURER)
+    .setCharacteristic(Characteristic.Model, DEFAULT_MODEL)
+    .setCharacteristic(Characteristic.SerialNumber, serialNumber)
+    .setCharacteristic(Characteristic.Name, displayName)
+
+  if (typeof configuredName !== 'string' || configuredName === previousName) {
+    service.setCharacteristic(Characteristic.ConfiguredName, displayName)
+  }
+
+  return service
+}
+
+/**
+ * Run an action on every online device, logging devices that are offline or fail.
+ * Throws when no device is online or the action fails on every device.
+ * @param {Object} params
+ * @param {YotoPlatform} params.platform - Platform instance
+ * @param {string} params.action - Description used in logs, e.g. "Card control"
+ * @param {YotoDeviceModel[]} params.devices - Devices to run the action on
+ * @param {(deviceModel: YotoDeviceModel) => Promise<void>} params.run
+ * @param {string} [params.label] - Accessory name prefixed to log lines
+ * @returns {Promise<void>}
+ */
+export async function runOnDevices ({ platform, action, devices, run, label }) {
+  const log = platform.log
+  const prefix = label ? `[${label}] ` : ''
+  const onlineDevices = devices.filter((deviceModel) => deviceModel.status.isOnline)
+  const offlineDevices = devices.filter((deviceModel) => !deviceModel.status.isOnline)
+  if (offlineDevices.length > 0) {
+    const offlineNames = offlineDevices.map(deviceModel => deviceModel.device.name).join(', ')
+    log.debug(LOG_PREFIX.ACCESSORY, `${prefix}Skipping offline devices for ${action}: ${offlineNames}`)
+  }
+  if (onlineDevices.length === 0) {
+    log.warn(LOG_PREFIX.ACCESSORY, `${prefix}${action} requested but no devices are online.`)
+    throw new platform.api.hap.HapStatusError(
+      platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+    )
+  }
+
+  log.debug(LOG_PREFIX.ACCESSORY, `${prefix}${action} on ${onlineDevices.length} device(s)`)
+
+  const results = await Promise.allSettled(onlineDevices.map(run))
+
+  const failedDevices = results.reduce((acc, result, index) => {
+    if (result.status === 'rejected') {
+      const failedDevice = onlineDevices[index]
+      if (failedDevice) {
+        acc.push(failedDevice.device.name)
+      }
+    }
+    return acc
+  }, /** @type {string[]} */ ([]))
+
+  if (failedDevices.length > 0) {
+    log.warn(
+      LOG_PREFIX.ACCESSORY,
+      `${prefix}${action} failed on ${failedDevices.length} device(s): ${failedDevices.join(', ')}`
+    )
+  }
+
+  if (failedDevices.length === results.length) {
+    throw new platform.api.hap.HapStatusError(
+      platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+    )
+  }
+}
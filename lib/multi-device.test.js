@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { runOnDevices } from './multi-device.js'
+
+class FakeHapStatusError extends Error {
+  /** @param {number} hapStatus */
+  constructor (hapStatus) {
+    super(`HAP status ${hapStatus}`)
+    this.hapStatus = hapStatus
+  }
+}
+
+/**
+ * Platform stub with just what runOnDevices uses, recording log lines
+ */
+function createPlatform () {
+  /** @type {{ debug: string[], warn: string[] }} */
+  const logs = { debug: [], warn: [] }
+  /** @type {any} */
+  const platform = {
+    log: {
+      /** @param {...unknown} args */
+      debug: (...args) => logs.debug.push(args.join(' ')),
+      /** @param {...unknown} args */
+      warn: (...args) => logs.warn.push(args.join(' ')),
+    },
+    api: {
+      hap: {
+        HapStatusError: FakeHapStatusError,
+        HAPStatus: { SERVICE_COMMUNICATION_FAILURE: -70402 },
+      },
+    },
+  }
+  return { platform, logs }
+}
+
+/**
+ * @param {string} name
+ * @param {boolean} isOnline
+ * @returns {any}
+ */
+function device (name, isOnline) {
+  return { device: { name }, status: { isOnline } }
+}
+
+test('runOnDevices skips offline devices', async () => {
+  const { platform, logs } = createPlatform()
+  /** @type {string[]} */
+  const ran = []
+  await runOnDevices({
+    platform,
+    action: 'Silence all',
+    devices: [device('Kitchen', true), device('Nursery', false)],
+    run: async (deviceModel) => { ran.push(deviceModel.device.name) },
+  })
+
+  assert.deepStrictEqual(ran, ['Kitchen'])
+  assert.ok(logs.debug.some(line => line.includes('Skipping offline devices for Silence all: Nursery')))
+  assert.deepStrictEqual(logs.warn, [])
+})
+
+test('runOnDevices throws when no device is online', async () => {
+  const { platform, logs } = createPlatform()
+  let ran = false
+  await assert.rejects(
+    runOnDevices({
+      platform,
+      action: 'Card control',
+      devices: [device('Nursery', false)],
+      run: async () => { ran = true },
+    }),
+    FakeHapStatusError
+  )
+  assert.strictEqual(ran, false)
+  assert.ok(logs.warn.some(line => line.includes('Card control requested but no devices are online.')))
+})
+
+test('runOnDevices warns about partial failures without throwing', async () => {
+  const { platform, logs } = createPlatform()
+  await runOnDevices({
+    platform,
+    action: 'Resume',
+    label: 'Upstairs',
+    devices: [device('Kitchen', true), device('Nursery', true)],
+    run: async (deviceModel) => {
+      if (deviceModel.device.name === 'Nursery') throw new Error('offline')
+    },
+  })
+
+  assert.strictEqual(logs.warn.length, 1)
+  assert.ok(logs.warn[0]?.includes('[Upstairs] Resume failed on 1 device(s): Nursery'))
+})
+
+test('runOnDevices throws when every device fails', async () => {
+  const { platform, logs } = createPlatform()
+  await assert.rejects(
+    runOnDevices({
+      platform,
+      action: 'Nightlight preset',
+      devices: [device('Kitchen', true), device('Nursery', true)],
+      run: async () => { throw new Error('nope') },
+    }),
+    FakeHapStatusError
+  )
+  assert.ok(logs.warn.some(line => line.includes('Nightlight preset failed on 2 device(s): Kitchen, Nursery')))
+})
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Yoto nightlight preset accessory implementation (apply a preset on all devices).
+ */
+
+/** @import { PlatformAccessory, CharacteristicValue, Service, Logger } from 'homebridge' */
+/** @import { YotoPlatform } from './platform.js' */
+/** @import { NightlightPresetConfig } from './nightlight-presets.js' */
+
+import { LOG_PREFIX } from './settings.js'
+import { sanitizeName } from './utils/sanitize-name.js'
+import { syncServiceNames } from './sync-service-names.js'
+import { getNightlightPresetUpdate } from './nightlight-presets.js'
+import { runOnDevices, setupBridgedAccessoryInformation } from './multi-device.js'
+
+/**
+ * Yoto Nightlight Preset Accessory Handler (bridged)
+ * Applies a nightlight colour preset on every device with a colour nightlight when toggled.
+ */
+export class YotoNightlightPresetAccessory {
+  /** @type {YotoPlatform} */ #platform
+  /** @type {PlatformAccessory} */ #accessory
+  /** @type {Logger} */ #log
+  /** @type {NightlightPresetConfig} */ #preset
+  /** @type {Service | undefined} */ switchService
+  /** @type {Set<Service>} */ #currentServices = new Set()
+
+  /**
+   * @param {Object} params
+   * @param {YotoPlatform} params.platform - Platform instance
+   * @param {PlatformAccessory} params.accessory - Platform accessory
+   * @param {NightlightPresetConfig} params.preset - Nightlight preset configuration
+   */
+  constructor ({ platform, accessory, preset }) {
+    this.#platform = platform
+    this.#accessory = accessory
+    this.#preset = preset
+    this.#log = platform.log
+  }
+
+  /**
+   * Setup accessory - create services and setup handlers
+   * @returns {Promise<void>}
+   */
+  async setup () {
+    const name = this.#preset.name
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Setting up nightlight preset accessory: ${name}`)
+
+    this.#currentServices.clear()
+
+    this.setupAccessoryInformation()
+    this.setupSwitchService()
+
+    for (const service of this.#accessory.services) {
+      if (service.UUID !== this.#platform.Service.AccessoryInformation.UUID &&
+          !this.#currentServices.has(service)) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `Removing stale nightlight preset service: ${service.displayName || service.UUID}`)
+        this.#accessory.removeService(service)
+      }
+    }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `✓ Nightlight preset accessory ready: ${name}`)
+  }
+
+  /**
+   * Setup AccessoryInformation service
+   */
+  setupAccessoryInformation () {
+    const service = setupBridgedAccessoryInformation({
+      platform: this.#platform,
+      accessory: this.#accessory,
+      serialNumber: `nightlight-preset:${this.#preset.id}`,
+    })
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup nightlight preset Switch service
+   */
+  setupSwitchService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = sanitizeName(this.#accessory.displayName)
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'NightlightPreset') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'NightlightPreset')
+
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service
+      .getCharacteristic(Characteristic.On)
+      .onGet(() => false)
+      .onSet(this.setNightlightPreset.bind(this))
+
+    service.updateCharacteristic(Characteristic.On, false)
+
+    this.switchService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Apply the preset on all devices with a colour nightlight.
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setNightlightPreset (value) {
+    const { Characteristic } = this.#platform
+    const preset = this.#preset
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Nightlight preset toggle requested: ${preset.name} -> ${Boolean(value)}`)
+
+    if (!value) {
+      this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
+      return
+    }
+
+    const account = this.#platform.yotoAccount
+    if (!account) {
+      this.#log.warn(LOG_PREFIX.ACCESSORY, 'Nightlight preset requested before account is ready.')
+      this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+
+    const configUpdate = getNightlightPresetUpdate(preset)
+    try {
+      await runOnDevices({
+        platform: this.#platform,
+        action: 'Nightlight preset',
+        devices: Array.from(account.devices.values())
+          .filter((deviceModel) => deviceModel.capabilities.hasColoredNightlight),
+        run: async (deviceModel) => {
+          await deviceModel.updateConfig(configUpdate)
+        },
+      })
+    } finally {
+      this.switchService?.getCharacteristic(Characteristic.On).updateValue(false)
+    }
+  }
+
+  /**
+   * Stop accessory - cleanup handlers (no listeners to remove)
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    this.#currentServices.clear()
+  }
+}
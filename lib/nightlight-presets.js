@@ -0,0 +1,108 @@
+/** @import { PlatformConfig } from 'homebridge' */
+
+/**
+ * @typedef {Object} NightlightPresetConfig
+ * @property {string} id
+ * @property {string} name
+ * @property {string} color - Yoto colour format (0xRRGGBB)
+ * @property {number} [brightness] - Nightlight brightness (0-100) set with the colour
+ * @property {'day' | 'night'} mode - Which nightlight the preset applies to
+ * @property {boolean} allPlayers - Publish an accessory that applies the preset on every player
+ */
+
+/**
+ * @typedef {{ ambientColour: string, dayDisplayBrightness?: number, dayDisplayBrightnessAuto?: boolean }
+ *   | { nightAmbientColour: string, nightDisplayBrightness?: number, nightDisplayBrightnessAuto?: boolean }} NightlightPresetUpdate
+ */
+
+import { getTrimmedString } from './utils/get-trimmed-string.js'
+import { getBooleanSetting } from './utils/get-boolean-setting.js'
+import { getServiceConfig } from './device-config.js'
+import { clampPercent } from './utils/volume.js'
+
+/**
+ * Normalize a colour written as #RRGGBB, 0xRRGGBB or RRGGBB to the Yoto format.
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+export function parsePresetColor (value) {
+  const match = /^(?:#|0x)?([0-9a-f]{6})$/i.exec(getTrimmedString(value))
+  return match?.[1] ? `0x${match[1].toLowerCase()}` : null
+}
+
+/**
+ * @param {PlatformConfig} config
+ * @param {string} [deviceId] - Use this device's preset list when it overrides the global one
+ * @returns {NightlightPresetConfig[]}
+ */
+export function getNightlightPresetConfigs (config, deviceId) {
+  const serviceConfig = getServiceConfig(config, deviceId)
+
+  const rawPresets = Array.isArray(serviceConfig['nightlightPresets'])
+    ? serviceConfig['nightlightPresets']
+    : []
+
+  /** @type {NightlightPresetConfig[]} */
+  const presets = []
+  const usedIds = new Set()
+
+  for (const entry of rawPresets) {
+    if (!entry || typeof entry !== 'object') {
+      continue
+    }
+
+    const record = /** @type {Record<string, unknown>} */ (entry)
+    const name = getTrimmedString(record['name'])
+    const color = parsePresetColor(record['color'])
+
+    if (!name || !color) {
+      continue
+    }
+
+    const rawBrightness = record['brightness']
+    const brightness = typeof rawBrightness === 'number' && Number.isFinite(rawBrightness)
+      ? clampPercent(rawBrightness)
+      : undefined
+    const mode = record['mode'] === 'day' ? 'day' : 'night'
+    const allPlayers = getBooleanSetting(record['allPlayers'], false)
+
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'
+    let id = baseId
+    if (usedIds.has(id)) {
+      let suffix = 1
+      while (usedIds.has(`${baseId}-${suffix}`)) {
+        suffix += 1
+      }
+      id = `${baseId}-${suffix}`
+    }
+
+    usedIds.add(id)
+    presets.push({
+      id,
+      name,
+      color,
+      ...(brightness !== undefined ? { brightness } : {}),
+      mode,
+      allPlayers,
+    })
+  }
+
+  return presets
+}
+
+/**
+ * Build the single config update that applies a preset's colour and brightness.
+ * @param {NightlightPresetConfig} preset
+ * @returns {NightlightPresetUpdate}
+ */
+export function getNightlightPresetUpdate (preset) {
+  const { brightness } = preset
+  if (preset.mode === 'day') {
+    return brightness === undefined
+      ? { ambientColour: preset.color }
+      : { ambientColour: preset.color, dayDisplayBrightness: brightness, dayDisplayBrightnessAuto: false }
+  }
+  return brightness === undefined
+    ? { nightAmbientColour: preset.color }
+    : { nightAmbientColour: preset.color, nightDisplayBrightness: brightness, nightDisplayBrightnessAuto: false }
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getNightlightPresetConfigs,
+  getNightlightPresetUpdate,
+  parsePresetColor,
+} from './nightlight-presets.js'
+
+test('parsePresetColor accepts #, 0x and bare hex colours', () => {
+  assert.strictEqual(parsePresetColor('#FF8800'), '0xff8800')
+  assert.strictEqual(parsePresetColor(' 0x0066cc '), '0x0066cc')
+  assert.strictEqual(parsePresetColor('abcdef'), '0xabcdef')
+  assert.strictEqual(parsePresetColor('#fff'), null)
+  assert.strictEqual(parsePresetColor('red'), null)
+  assert.strictEqual(parsePresetColor(undefined), null)
+})
+
+test('getNightlightPresetConfigs parses presets and skips invalid entries', () => {
+  /** @type {any} */
+  const config = {
+    services: {
+      nightlightPresets: [
+        { name: 'Ocean', color: '#0066CC', brightness: 140, allPlayers: true },
+        { name: 'Red night', color: 'ff0000', mode: 'night' },
+        { name: 'Ocean', color: '0x00ffcc', mode: 'day', brightness: 'bright' },
+        { name: 'Broken', color: 'blue' },
+        { name: '', color: '#ffffff' },
+        null,
+      ],
+    },
+  }
+
+  assert.deepStrictEqual(getNightlightPresetConfigs(config), [
+    { id: 'ocean', name: 'Ocean', color: '0x0066cc', brightness: 100, mode: 'night', allPlayers: true },
+    { id: 'red-night', name: 'Red night', color: '0xff0000', mode: 'night', allPlayers: false },
+    { id: 'ocean-1', name: 'Ocean', color: '0x00ffcc', mode: 'day', allPlayers: false },
+  ])
+})
+
+test('getNightlightPresetUpdate writes colour and brightness together', () => {
+  assert.deepStrictEqual(
+    getNightlightPresetUpdate({ id: 'ocean', name: 'Ocean', color: '0x0066cc', brightness: 40, mode: 'night', allPlayers: false }),
+    { nightAmbientColour: '0x0066cc', nightDisplayBrightness: 40, nightDisplayBrightnessAuto: false }
+  )
+  assert.deepStrictEqual(
+    getNightlightPresetUpdate({ id: 'sun', name: 'Sun', color: '0xffcc00', brightness: 80, mode: 'day', allPlayers: false }),
+    { ambientColour: '0xffcc00', dayDisplayBrightness: 80, dayDisplayBrightnessAuto: false }
+  )
+  assert.deepStrictEqual(
+    getNightlightPresetUpdate({ id: 'red', name: 'Red', color: '0xff0000', mode: 'night', allPlayers: false }),
+    { nightAmbientColour: '0xff0000' }
+  )
+})
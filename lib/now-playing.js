@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Now-playing snapshot file for dashboards and other local consumers.
+ */
+
+/** @import { Logger } from 'homebridge' */
+/** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
+
+/**
+ * Now-playing state for a single device
+ * @typedef {Object} NowPlayingEntry
+ * @property {string} deviceId
+ * @property {string} name
+ * @property {boolean} online
+ * @property {string | null} playbackStatus
+ * @property {string | null} cardId
+ * @property {string | null} cardTitle
+ * @property {string | null} cardAuthor
+ * @property {string | null} chapterKey
+ * @property {string | null} chapterTitle
+ * @property {string | null} trackKey
+ * @property {string | null} trackTitle
+ * @property {number | null} position - Seconds into the current track
+ * @property {number | null} trackLength - Track length in seconds
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+import { rename, writeFile } from 'node:fs/promises'
+import { LOG_PREFIX } from './settings.js'
+import { formatError } from './utils/error-format.js'
+
+export const NOW_PLAYING_FILE_NAME = 'yoto-now-playing.json'
+
+/**
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+function toNullableString (value) {
+  return typeof value === 'string' && value ? value : null
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+function toNullableNumber (value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+/**
+ * Build a now-playing entry from live device state
+ * @param {YotoDeviceModel} deviceModel
+ * @param {string} name - Display name for the device
+ * @returns {NowPlayingEntry}
+ */
+export function getNowPlaying (deviceModel, name) {
+  const { playback, status } = deviceModel
+
+  return {
+    deviceId: deviceModel.device.deviceId,
+    name,
+    online: Boolean(status.isOnline),
+    playbackStatus: toNullableString(playback.playbackStatus),
+    cardId: toNullableString(playback.cardId),
+    cardTitle: toNullableString(playback.cardTitle),
+    cardAuthor: toNullableString(playback.cardAuthor),
+    chapterKey: toNullableString(playback.chapterKey),
+    chapterTitle: toNullableString(playback.chapterTitle),
+    trackKey: toNullableString(playback.trackKey),
+    trackTitle: toNullableString(playback.trackTitle),
+    position: toNullableNumber(playback.position),
+    trackLength: toNullableNumber(playback.trackLength),
+    updatedAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * Keeps a JSON file with the now-playing state of every device up to date.
+ * Writes are batched so position ticks don't hit the disk on every update.
+ */
+export class NowPlayingSnapshot {
+  /** @type {string} */ filePath
+  /** @type {Logger} */ #log
+  /** @type {number} */ #writeDelayMs
+  /** @type {Map<string, NowPlayingEntry>} */ #entries = new Map()
+  /** @type {ReturnType<typeof setTimeout> | null} */ #writeTimer = null
+  /** @type {Promise<void>} */ #pendingWrite = Promise.resolve()
+
+  /**
+   * @param {Object} params
+   * @param {string} params.filePath - Snapshot file path
+   * @param {Logger} params.log - Homebridge logger
+   * @param {number} [params.writeDelayMs=1000] - Delay used to batch writes
+   */
+  constructor ({ filePath, log, writeDelayMs = 1000 }) {
+    this.filePath = filePath
+    this.#log = log
+    this.#writeDelayMs = writeDelayMs
+  }
+
+  /**
+   * Set the entry for a device and schedule a write
+   * @param {NowPlayingEntry} entry
+   */
+  update (entry) {
+    this.#entries.set(entry.deviceId, entry)
+    this.scheduleWrite()
+  }
+
+  /**
+   * Remove a device from the snapshot and schedule a write
+   * @param {string} deviceId
+   */
+  remove (deviceId) {
+    if (this.#entries.delete(deviceId)) {
+      this.scheduleWrite()
+    }
+  }
+
+  /**
+   * Schedule a batched write
+   */
+  scheduleWrite () {
+    if (this.#writeTimer) return
+
+    this.#writeTimer = setTimeout(() => {
+      this.#writeTimer = null
+      this.flush()
+    }, this.#writeDelayMs)
+  }
+
+  /**
+   * Write the snapshot now
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    if (this.#writeTimer) {
+      clearTimeout(this.#writeTimer)
+      this.#writeTimer = null
+    }
+
+    const contents = JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      devices: Object.fromEntries(this.#entries),
+    }, null, 2)
+
+    // Chain writes so an older snapshot never lands after a newer one
+    this.#pendingWrite = this.#pendingWrite.then(async () => {
+      const tempPath = `${this.filePath}.tmp`
+      try {
+        await writeFile(tempPath, contents, 'utf8')
+        await rename(tempPath, this.filePath)
+      } catch (error) {
+        this.#log.warn(LOG_PREFIX.PLATFORM, `Failed to write now-playing snapshot ${this.filePath}:`, formatError(error))
+      }
+    })
+
+    await this.#pendingWrite
+  }
+
+  /**
+   * Flush pending changes
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    await this.flush()
+  }
+}
@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { NowPlayingSnapshot, getNowPlaying } from './now-playing.js'
+
+/** @type {any} */
+const log = { warn () {} }
+
+test('getNowPlaying normalizes playback fields', () => {
+  /** @type {any} */
+  const deviceModel = {
+    device: { deviceId: 'abc' },
+    status: { isOnline: true },
+    playback: {
+      playbackStatus: 'playing',
+      cardId: 'card1',
+      cardTitle: 'Bedtime Stories',
+      chapterKey: '02',
+      chapterTitle: '',
+      position: 42,
+      trackLength: Number.NaN,
+    },
+  }
+
+  const entry = getNowPlaying(deviceModel, 'Nursery')
+  assert.strictEqual(entry.deviceId, 'abc')
+  assert.strictEqual(entry.name, 'Nursery')
+  assert.strictEqual(entry.online, true)
+  assert.strictEqual(entry.cardTitle, 'Bedtime Stories')
+  assert.strictEqual(entry.chapterTitle, null)
+  assert.strictEqual(entry.trackTitle, null)
+  assert.strictEqual(entry.position, 42)
+  assert.strictEqual(entry.trackLength, null)
+})
+
+test('NowPlayingSnapshot writes all devices to the snapshot file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'yoto-now-playing-'))
+  const filePath = join(dir, 'now-playing.json')
+  const snapshot = new NowPlayingSnapshot({ filePath, log, writeDelayMs: 10000 })
+
+  try {
+    /** @type {any} */
+    const entry = { deviceId: 'a', name: 'A' }
+    snapshot.update(entry)
+    snapshot.update({ ...entry, deviceId: 'b', name: 'B' })
+    snapshot.remove('b')
+    await snapshot.stop()
+
+    const contents = JSON.parse(await readFile(filePath, 'utf8'))
+    assert.deepStrictEqual(Object.keys(contents.devices), ['a'])
+    assert.strictEqual(contents.devices.a.name, 'A')
+    assert.strictEqual(typeof contents.updatedAt, 'string')
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
@@ -7,12 +7,41 @@
 /** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
 /** @import { PlaybackAccessoryConfig } from './service-config.js' */
 /** @import { CardControlConfig } from './card-controls.js' */
+/** @import { DeviceGroupConfig } from './device-groups.js' */
+/** @import { NightlightPresetConfig } from './nightlight-presets.js' */
 
 /**
  * Context stored in PlatformAccessory for Yoto devices
  * @typedef {Object} YotoAccessoryContext
  * @property {YotoDevice} device - Device metadata from Yoto API
  * @property {'device'} [type] - Accessory type marker
+ * @property {{ baseColor: string, color: string }} [warmShift] - Night colour before tonight's warm shift, and the last colour it wrote
+ * @property {{ original: { dayTime?: string, nightTime?: string }, forced: { dayTime?: string, nightTime?: string }, restoreAt: number }} [forcedSchedule] - Schedule replaced by the Night Mode switch, the times it wrote, and when to put it back (epoch ms)
+ * @property {YotoSunriseState} [sunrise] - Wake-up light state
+ * @property {NightlightFadeOut} [fadeOut] - Running night nightlight fade out, resumed after a restart
+ */
+
+/**
+ * Wake-up light state stored in the device accessory context
+ * @typedef {Object} YotoSunriseState
+ * @property {boolean} armed
+ * @property {number} [lastWakeAt] - When the last sunrise finished (epoch ms)
+ * @property {boolean} [lightOverridden] - The day nightlight was changed by hand during this morning's ramp
+ * @property {{ color: string, brightness: number, onColor: string }} [base] - Day nightlight before the sunrise: colour, brightness, and the colour turning it on restores
+ * @property {{ color: string, brightness: number }} [written] - Last day nightlight step the sunrise wrote
+ */
+
+/**
+ * Running night nightlight fade out
+ * @typedef {Object} NightlightFadeOut
+ * @property {number} startedAt - Epoch ms
+ * @property {number} durationMs
+ * @property {string} startColor - Colour this fade steps down from
+ * @property {number} startBrightness - Brightness this fade steps down from (1-100)
+ * @property {string} restoreColor - Colour before any fade, restored for the next time the light is turned on
+ * @property {number} restoreBrightness - Brightness before any fade, restored when the light turns off
+ * @property {string} color - Colour the fade last wrote, to tell its own writes from manual changes
+ * @property {number} brightness - Brightness the fade last wrote
  */
 
 /**
@@ -22,7 +51,28 @@
  * @property {'card-control'} type - Accessory type marker
  */
 
+/**
+ * Context stored in PlatformAccessory for device group accessories
+ * @typedef {Object} YotoGroupAccessoryContext
+ * @property {'group'} type - Accessory type marker
+ * @property {DeviceGroupConfig} group - Device group config
+ */
+
+/**
+ * Context stored in PlatformAccessory for "all players" nightlight preset accessories
+ * @typedef {Object} YotoNightlightPresetAccessoryContext
+ * @property {'nightlight-preset'} type - Accessory type marker
+ * @property {NightlightPresetConfig} preset - Nightlight preset config
+ */
+
+/**
+ * Context stored in PlatformAccessory for the "Silence all Yotos" accessory
+ * @typedef {Object} YotoSilenceAccessoryContext
+ * @property {'silence-all'} type - Accessory type marker
+ */
+
 import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
 import { YotoAccount } from 'yoto-nodejs-client'
 import { randomUUID } from 'node:crypto'
 import {
@@ -34,9 +84,17 @@ import { YotoPlayerAccessory } from './accessory.js'
 import { YotoSpeakerAccessory } from './speaker-accessory.js'
 import { YotoTelevisionAccessory } from './television-accessory.js'
 import { YotoCardControlAccessory } from './card-control-accessory.js'
+import { YotoSilenceAccessory } from './silence-accessory.js'
+import { YotoGroupAccessory } from './group-accessory.js'
+import { getDeviceGroups } from './device-groups.js'
+import { YotoNightlightPresetAccessory } from './nightlight-preset-accessory.js'
+import { getNightlightPresetConfigs } from './nightlight-presets.js'
 import { sanitizeName } from './utils/sanitize-name.js'
 import { getPlaybackAccessoryConfig } from './service-config.js'
 import { getCardControlConfigs } from './card-controls.js'
+import { getDeviceDisplayName, getServiceConfig } from './device-config.js'
+import { NOW_PLAYING_FILE_NAME, NowPlayingSnapshot, getNowPlaying } from './now-playing.js'
+import { getBooleanSetting } from './utils/get-boolean-setting.js'
 import { formatError } from './utils/error-format.js'
 
 /**
@@ -60,7 +118,14 @@ export class YotoPlatform {
   /** @type {Map<string, YotoSpeakerAccessory>} */ speakerAccessoryHandlers = new Map()
   /** @type {Map<string, YotoTelevisionAccessory>} */ televisionAccessoryHandlers = new Map()
   /** @type {Map<string, YotoCardControlAccessory>} */ cardAccessoryHandlers = new Map()
+  /** @type {Map<string, PlatformAccessory<YotoGroupAccessoryContext>>} */ groupAccessories = new Map()
+  /** @type {Map<string, YotoGroupAccessory>} */ groupAccessoryHandlers = new Map()
+  /** @type {Map<string, PlatformAccessory<YotoNightlightPresetAccessoryContext>>} */ presetAccessories = new Map()
+  /** @type {Map<string, YotoNightlightPresetAccessory>} */ presetAccessoryHandlers = new Map()
+  /** @type {PlatformAccessory<YotoSilenceAccessoryContext> | null} */ silenceAccessory = null
+  /** @type {YotoSilenceAccessory | null} */ silenceAccessoryHandler = null
   /** @type {YotoAccount | null} */ yotoAccount = null
+  /** @type {NowPlayingSnapshot | null} */ nowPlaying = null
   /** @type {string} */ sessionId = randomUUID()
 
   /**
@@ -76,6 +141,14 @@ export class YotoPlatform {
     this.Characteristic = api.hap.Characteristic
     this.playbackAccessoryConfig = getPlaybackAccessoryConfig(config)
 
+    if (getBooleanSetting(config['nowPlayingSnapshot'], false)) {
+      this.nowPlaying = new NowPlayingSnapshot({
+        filePath: join(api.user.storagePath(), NOW_PLAYING_FILE_NAME),
+        log,
+      })
+      log.debug('Now-playing snapshot enabled:', this.nowPlaying.filePath)
+    }
+
     log.debug('Finished initializing platform:', config.name)
 
     // Extract auth tokens once
@@ -187,6 +260,21 @@ export class YotoPlatform {
       return
     }
 
+    if (accessoryType === 'group') {
+      this.groupAccessories.set(accessory.UUID, /** @type {PlatformAccessory<YotoGroupAccessoryContext>} */ (accessory))
+      return
+    }
+
+    if (accessoryType === 'nightlight-preset') {
+      this.presetAccessories.set(accessory.UUID, /** @type {PlatformAccessory<YotoNightlightPresetAccessoryContext>} */ (accessory))
+      return
+    }
+
+    if (accessoryType === 'silence-all') {
+      this.silenceAccessory = /** @type {PlatformAccessory<YotoSilenceAccessoryContext>} */ (accessory)
+      return
+    }
+
     // Add to our tracking map (cast to our typed version)
     accessories.set(accessory.UUID, /** @type {PlatformAccessory<YotoAccessoryContext>} */ (accessory))
   }
@@ -223,24 +311,30 @@ export class YotoPlatform {
         this.log.info(`Device discovered: ${device.name} (${deviceId})`)
         this.log.debug('Registering device from account discovery:', device.name, deviceId)
         await this.registerDevice(device, deviceModel)
+        this.updateNowPlaying(deviceId)
+        this.refreshGroupMembers()
       })
 
       this.yotoAccount.on('deviceRemoved', ({ deviceId }) => {
         const label = this.formatDeviceLabel(deviceId)
         this.log.debug(`Device removed: ${label}`)
+        this.nowPlaying?.remove(deviceId)
         this.removeStaleAccessories()
+        this.refreshGroupMembers()
       })
 
       this.yotoAccount.on('online', ({ deviceId, metadata }) => {
         const label = this.formatDeviceLabel(deviceId)
         const reason = metadata?.reason ? ` (${metadata.reason})` : ''
         this.log.info(`Device online: ${label}${reason}`)
+        this.updateNowPlaying(deviceId)
       })
 
       this.yotoAccount.on('offline', ({ deviceId, metadata }) => {
         const label = this.formatDeviceLabel(deviceId)
         const reason = metadata?.reason ? ` (${metadata.reason})` : ''
         this.log.info(`Device offline: ${label}${reason}`)
+        this.updateNowPlaying(deviceId)
       })
 
       /**
@@ -273,6 +367,7 @@ export class YotoPlatform {
         const label = this.formatDeviceLabel(deviceId)
         const fields = Array.from(changedFields).join(', ')
         this.log.debug(`Playback update [${label}]: ${fields}`)
+        this.updateNowPlaying(deviceId)
       })
 
       this.yotoAccount.on('mqttConnect', ({ deviceId }) => {
@@ -354,11 +449,30 @@ export class YotoPlatform {
 
       this.log.debug('Registering card control accessories (playOnAll).')
       await this.registerCardControlAccessories()
+
+      await this.registerGroupAccessories()
+
+      await this.registerNightlightPresetAccessories()
+
+      await this.registerSilenceAccessory()
     } catch (error) {
       this.log.error('Failed to start account:', error instanceof Error ? error.message : String(error))
     }
   }
 
+  /**
+   * Refresh a device's entry in the now-playing snapshot (when enabled)
+   * @param {string} deviceId
+   */
+  updateNowPlaying (deviceId) {
+    if (!this.nowPlaying) return
+
+    const deviceModel = this.yotoAccount?.getDevice(deviceId)
+    if (!deviceModel) return
+
+    this.nowPlaying.update(getNowPlaying(deviceModel, getDeviceDisplayName(this.config, deviceModel.device)))
+  }
+
   /**
    * @param {string} deviceId
    * @returns {string}
@@ -384,7 +498,7 @@ export class YotoPlatform {
    * @returns {string}
    */
   getSpeakerAccessoryName (device) {
-    const rawName = `${device.name} Speaker`
+    const rawName = `${getDeviceDisplayName(this.config, device)} Speaker`
     return sanitizeName(rawName) || `${device.deviceId} Speaker`
   }
 
@@ -401,7 +515,7 @@ export class YotoPlatform {
    * @returns {string}
    */
   getTelevisionAccessoryName (device) {
-    const rawName = `${device.name} Playback`
+    const rawName = `${getDeviceDisplayName(this.config, device)} Playback`
     return sanitizeName(rawName) || `${device.deviceId} Playback`
   }
 
@@ -418,8 +532,9 @@ export class YotoPlatform {
    * @returns {string}
    */
   getCardControlAccessoryName (control) {
-    const rawName = `${control.label} (All Yotos)`
-    return sanitizeName(rawName) || `${control.cardId} (All Yotos)`
+    const scope = control.group || (control.deviceIds?.length ? 'Selected Yotos' : 'All Yotos')
+    const rawName = `${control.label} (${scope})`
+    return sanitizeName(rawName) || `${control.cardId} (${scope})`
   }
 
   /**
@@ -431,13 +546,16 @@ export class YotoPlatform {
   async registerDevice (device, deviceModel) {
     // Generate UUID for this device
     const uuid = this.api.hap.uuid.generate(device.deviceId)
-    const sanitizedDeviceName = sanitizeName(device.name)
+    const sanitizedDeviceName = sanitizeName(getDeviceDisplayName(this.config, device)) || device.deviceId
     const accessoryCategory = this.api.hap.Categories.SPEAKER
+    const playbackAccessoryConfig = getPlaybackAccessoryConfig(this.config, device.deviceId)
     this.log.debug(
       'Register device:',
       `${device.name} (${device.deviceId})`,
       `uuid=${uuid}`,
-      `category=${accessoryCategory}`
+      `category=${accessoryCategory}`,
+      `smartSpeaker=${playbackAccessoryConfig.smartSpeakerEnabled}`,
+      `tvPlayback=${playbackAccessoryConfig.televisionEnabled}`
     )
 
     // Check if accessory already exists
@@ -484,11 +602,11 @@ export class YotoPlatform {
       await handler.setup()
       this.log.debug('Accessory setup complete:', existingAccessory.displayName)
 
-      if (this.playbackAccessoryConfig.smartSpeakerEnabled) {
+      if (playbackAccessoryConfig.smartSpeakerEnabled) {
         await this.registerSpeakerAccessory(device, deviceModel)
       }
 
-      if (this.playbackAccessoryConfig.televisionEnabled) {
+      if (playbackAccessoryConfig.televisionEnabled) {
         await this.registerTelevisionAccessory(device, deviceModel)
       }
 
@@ -528,11 +646,11 @@ export class YotoPlatform {
       this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
       this.log.debug('Registered platform accessory:', device.name, uuid)
 
-      if (this.playbackAccessoryConfig.smartSpeakerEnabled) {
+      if (playbackAccessoryConfig.smartSpeakerEnabled) {
         await this.registerSpeakerAccessory(device, deviceModel)
       }
 
-      if (this.playbackAccessoryConfig.televisionEnabled) {
+      if (playbackAccessoryConfig.televisionEnabled) {
         await this.registerTelevisionAccessory(device, deviceModel)
       }
 
@@ -750,6 +868,234 @@ export class YotoPlatform {
     }
   }
 
+  /**
+   * Register or restore an accessory per device group, and remove groups that are gone.
+   * @returns {Promise<void>}
+   */
+  async registerGroupAccessories () {
+    const groups = getDeviceGroups(this.config).filter(group => group.accessory && group.deviceIds.length > 0)
+    const desiredUuids = new Set()
+    this.log.debug('Device group accessories:', groups.length)
+
+    for (const group of groups) {
+      const uuid = this.api.hap.uuid.generate(`group:${group.id}`)
+      const accessoryName = sanitizeName(group.name) || group.id
+      desiredUuids.add(uuid)
+
+      const existingHandler = this.groupAccessoryHandlers.get(uuid)
+      if (existingHandler) {
+        await existingHandler.stop().catch(error => {
+          this.log.error(`Failed to stop group handler for ${accessoryName}:`, error)
+        })
+        this.groupAccessoryHandlers.delete(uuid)
+      }
+
+      let accessory = this.groupAccessories.get(uuid)
+      const isNew = !accessory
+      if (!accessory) {
+        this.log.debug('Adding new group accessory:', accessoryName, uuid)
+        /** @type {PlatformAccessory<YotoGroupAccessoryContext>} */
+        // eslint-disable-next-line new-cap
+        accessory = new this.api.platformAccessory(
+          accessoryName,
+          uuid,
+          this.api.hap.Categories.SPEAKER
+        )
+      } else if (accessory.displayName !== accessoryName) {
+        this.log.debug('Updating group display name:', accessory.displayName, '->', accessoryName)
+        accessory.updateDisplayName(accessoryName)
+      }
+
+      accessory.context = { type: 'group', group }
+
+      const handler = new YotoGroupAccessory({
+        platform: this,
+        accessory,
+        group,
+      })
+
+      this.groupAccessoryHandlers.set(uuid, handler)
+      await handler.setup()
+
+      if (isNew) {
+        this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
+        this.log.debug('Registered group accessory:', accessoryName, uuid)
+      } else {
+        this.api.updatePlatformAccessories([accessory])
+      }
+
+      this.groupAccessories.set(uuid, accessory)
+    }
+
+    for (const [uuid, accessory] of this.groupAccessories) {
+      if (desiredUuids.has(uuid)) {
+        continue
+      }
+
+      this.log.debug('Removing group accessory from cache:', accessory.displayName, uuid)
+
+      const handler = this.groupAccessoryHandlers.get(uuid)
+      if (handler) {
+        await handler.stop().catch(error => {
+          this.log.error(`Failed to stop group handler for ${accessory.displayName}:`, error)
+        })
+        this.groupAccessoryHandlers.delete(uuid)
+      }
+
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
+      this.groupAccessories.delete(uuid)
+    }
+  }
+
+  /**
+   * Re-attach group and "Silence all Yotos" member listeners after the account gains or loses a device.
+   */
+  refreshGroupMembers () {
+    for (const handler of this.groupAccessoryHandlers.values()) {
+      handler.setupMemberListeners()
+      handler.updateCharacteristics()
+    }
+    this.silenceAccessoryHandler?.setupMemberListeners()
+    this.silenceAccessoryHandler?.updateCharacteristics()
+  }
+
+  /**
+   * Register or restore an accessory per "all players" nightlight preset, and remove presets that are gone.
+   * @returns {Promise<void>}
+   */
+  async registerNightlightPresetAccessories () {
+    const presets = getNightlightPresetConfigs(this.config).filter(preset => preset.allPlayers)
+    const desiredUuids = new Set()
+    this.log.debug('Nightlight preset accessories (all players):', presets.length)
+
+    for (const preset of presets) {
+      const uuid = this.api.hap.uuid.generate(`nightlight-preset:${preset.id}`)
+      const accessoryName = sanitizeName(`${preset.name} (All Yotos)`) || `${preset.id} (All Yotos)`
+      desiredUuids.add(uuid)
+
+      const existingHandler = this.presetAccessoryHandlers.get(uuid)
+      if (existingHandler) {
+        await existingHandler.stop().catch(error => {
+          this.log.error(`Failed to stop nightlight preset handler for ${accessoryName}:`, error)
+        })
+        this.presetAccessoryHandlers.delete(uuid)
+      }
+
+      let accessory = this.presetAccessories.get(uuid)
+      const isNew = !accessory
+      if (!accessory) {
+        this.log.debug('Adding new nightlight preset accessory:', accessoryName, uuid)
+        /** @type {PlatformAccessory<YotoNightlightPresetAccessoryContext>} */
+        // eslint-disable-next-line new-cap
+        accessory = new this.api.platformAccessory(
+          accessoryName,
+          uuid,
+          this.api.hap.Categories.SWITCH
+        )
+      } else if (accessory.displayName !== accessoryName) {
+        this.log.debug('Updating nightlight preset display name:', accessory.displayName, '->', accessoryName)
+        accessory.updateDisplayName(accessoryName)
+      }
+
+      accessory.context = { type: 'nightlight-preset', preset }
+
+      const handler = new YotoNightlightPresetAccessory({
+        platform: this,
+        accessory,
+        preset,
+      })
+
+      this.presetAccessoryHandlers.set(uuid, handler)
+      await handler.setup()
+
+      if (isNew) {
+        this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
+        this.log.debug('Registered nightlight preset accessory:', accessoryName, uuid)
+      } else {
+        this.api.updatePlatformAccessories([accessory])
+      }
+
+      this.presetAccessories.set(uuid, accessory)
+    }
+
+    for (const [uuid, accessory] of this.presetAccessories) {
+      if (desiredUuids.has(uuid)) {
+        continue
+      }
+
+      this.log.debug('Removing nightlight preset accessory from cache:', accessory.displayName, uuid)
+
+      const handler = this.presetAccessoryHandlers.get(uuid)
+      if (handler) {
+        await handler.stop().catch(error => {
+          this.log.error(`Failed to stop nightlight preset handler for ${accessory.displayName}:`, error)
+        })
+        this.presetAccessoryHandlers.delete(uuid)
+      }
+
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
+      this.presetAccessories.delete(uuid)
+    }
+  }
+
+  /**
+   * Register, restore or remove the "Silence all Yotos" accessory.
+   * @returns {Promise<void>}
+   */
+  async registerSilenceAccessory () {
+    const serviceConfig = getServiceConfig(this.config)
+    const enabled = getBooleanSetting(serviceConfig['silenceAll'], false)
+    const uuid = this.api.hap.uuid.generate('silence-all')
+    const accessoryName = 'Silence all Yotos'
+
+    if (this.silenceAccessoryHandler) {
+      await this.silenceAccessoryHandler.stop().catch(error => {
+        this.log.error('Failed to stop silence handler:', error)
+      })
+      this.silenceAccessoryHandler = null
+    }
+
+    if (!enabled) {
+      if (this.silenceAccessory) {
+        this.log.debug('Removing silence accessory from cache:', this.silenceAccessory.displayName)
+        this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [this.silenceAccessory])
+        this.silenceAccessory = null
+      }
+      return
+    }
+
+    let accessory = this.silenceAccessory
+    const isNew = !accessory
+    if (!accessory) {
+      this.log.debug('Adding new silence accessory:', accessoryName, uuid)
+      /** @type {PlatformAccessory<YotoSilenceAccessoryContext>} */
+      // eslint-disable-next-line new-cap
+      accessory = new this.api.platformAccessory(
+        accessoryName,
+        uuid,
+        this.api.hap.Categories.SWITCH
+      )
+      accessory.context = { type: 'silence-all' }
+    }
+
+    const handler = new YotoSilenceAccessory({
+      platform: this,
+      accessory,
+    })
+
+    this.silenceAccessoryHandler = handler
+    await handler.setup()
+
+    if (isNew) {
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory])
+      this.log.debug('Registered silence accessory:', accessoryName, uuid)
+    } else {
+      this.api.updatePlatformAccessories([accessory])
+    }
+
+    this.silenceAccessory = accessory
+  }
+
   /**
    * Remove accessories that are no longer present in the account
    */
@@ -872,6 +1218,27 @@ export class YotoPlatform {
         })
       )
     }
+    for (const [uuid, handler] of this.groupAccessoryHandlers) {
+      stopPromises.push(
+        handler.stop().catch(error => {
+          this.log.error(`Failed to stop group handler for ${uuid}:`, error)
+        })
+      )
+    }
+    for (const [uuid, handler] of this.presetAccessoryHandlers) {
+      stopPromises.push(
+        handler.stop().catch(error => {
+          this.log.error(`Failed to stop nightlight preset handler for ${uuid}:`, error)
+        })
+      )
+    }
+    if (this.silenceAccessoryHandler) {
+      stopPromises.push(
+        this.silenceAccessoryHandler.stop().catch(error => {
+          this.log.error('Failed to stop silence handler:', error)
+        })
+      )
+    }
 
     // Wait for all handlers to cleanup
     await Promise.all(stopPromises)
@@ -879,9 +1246,18 @@ export class YotoPlatform {
     this.speakerAccessoryHandlers.clear()
     this.televisionAccessoryHandlers.clear()
     this.cardAccessoryHandlers.clear()
+    this.groupAccessoryHandlers.clear()
+    this.presetAccessoryHandlers.clear()
+    this.silenceAccessoryHandler = null
     this.speakerAccessories.clear()
     this.televisionAccessories.clear()
     this.cardAccessories.clear()
+    this.groupAccessories.clear()
+    this.presetAccessories.clear()
+
+    if (this.nowPlaying) {
+      await this.nowPlaying.stop()
+    }
 
     // Stop the YotoAccount (disconnects all device models and MQTT)
     if (this.yotoAccount) {
@@ -1,6 +1,7 @@
 /** @import { PlatformConfig } from 'homebridge' */
 
 import { getBooleanSetting } from './utils/get-boolean-setting.js'
+import { getServiceConfig } from './device-config.js'
 
 /**
  * @typedef {Object} PlaybackAccessoryConfig
@@ -12,13 +13,11 @@ import { getBooleanSetting } from './utils/get-boolean-setting.js'
 
 /**
  * @param {PlatformConfig} config
+ * @param {string} [deviceId] - Apply per-device overrides for this device
  * @returns {PlaybackAccessoryConfig}
  */
-export function getPlaybackAccessoryConfig (config) {
-  const services = config && typeof config === 'object' ? config['services'] : undefined
-  const serviceConfig = typeof services === 'object' && services !== null
-    ? /** @type {Record<string, unknown>} */ (services)
-    : {}
+export function getPlaybackAccessoryConfig (config, deviceId) {
+  const serviceConfig = getServiceConfig(config, deviceId)
 
   const playbackEnabled = getBooleanSetting(serviceConfig['playbackControls'], false)
   const smartSpeakerEnabled = getBooleanSetting(serviceConfig['smartSpeaker'], false)
@@ -0,0 +1,81 @@
+/** @import { PlatformConfig } from 'homebridge' */
+
+/**
+ * @typedef {Object} ServiceNameOverride
+ * @property {string} service - Default service name, without the device prefix (e.g. 'Night Max Volume')
+ * @property {string} name - Replacement name or template
+ */
+
+import { getDeviceOverride } from './device-config.js'
+import { getTrimmedString } from './utils/get-trimmed-string.js'
+
+export const DEFAULT_SERVICE_NAME_TEMPLATE = '{device} {service}'
+
+/**
+ * @param {unknown} value
+ * @returns {ServiceNameOverride[]}
+ */
+function parseServiceNameOverrides (value) {
+  if (!Array.isArray(value)) {
+    return []
+  }
+
+  /** @type {ServiceNameOverride[]} */
+  const overrides = []
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') {
+      continue
+    }
+
+    const record = /** @type {Record<string, unknown>} */ (entry)
+    const service = getTrimmedString(record['service'])
+    const name = getTrimmedString(record['name'])
+    if (service && name) {
+      overrides.push({ service, name })
+    }
+  }
+
+  return overrides
+}
+
+/**
+ * Fill `{device}` and `{service}` placeholders in a name template.
+ * @param {string} template
+ * @param {{ device: string, service: string }} values
+ * @returns {string}
+ */
+export function formatServiceName (template, { device, service }) {
+  return template
+    .replaceAll('{device}', device)
+    .replaceAll('{service}', service)
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Resolve the HomeKit name for a bridged service.
+ * A per-service override wins (device entries before global ones), then the device's
+ * template, then the global `serviceNameTemplate`, then `{device} {service}`.
+ *
+ * @param {PlatformConfig} config
+ * @param {string} deviceId
+ * @param {{ device: string, service: string }} values - Device display name and default service name
+ * @returns {string}
+ */
+export function resolveServiceName (config, deviceId, values) {
+  const override = getDeviceOverride(config, deviceId)
+  const serviceKey = values.service.toLowerCase()
+  const overrides = [
+    ...parseServiceNameOverrides(override?.serviceNames),
+    ...parseServiceNameOverrides(config?.['serviceNames']),
+  ]
+
+  const match = overrides.find(entry => entry.service.toLowerCase() === serviceKey)
+  const template = match?.name ||
+    override?.serviceNameTemplate ||
+    getTrimmedString(config?.['serviceNameTemplate']) ||
+    DEFAULT_SERVICE_NAME_TEMPLATE
+
+  return formatServiceName(template, values) ||
+    formatServiceName(DEFAULT_SERVICE_NAME_TEMPLATE, values)
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  formatServiceName,
+  resolveServiceName,
+} from './service-names.js'
+
+/** @type {any} */
+const config = {
+  platform: 'Yoto',
+  serviceNames: [
+    { service: 'Night Max Volume', name: '{device} Bedtime Volume' },
+    { service: 'Online Status', name: 'Yoto Online' },
+    { service: 'Battery' },
+  ],
+  devices: [
+    {
+      deviceId: 'nursery',
+      serviceNames: [{ service: 'night max volume', name: 'Nursery Night Volume' }],
+      serviceNameTemplate: '{service}',
+    },
+  ],
+}
+
+test('formatServiceName fills placeholders and tidies spaces', () => {
+  assert.strictEqual(formatServiceName('{device} {service}', { device: 'Boombox', service: 'Battery' }), 'Boombox Battery')
+  assert.strictEqual(formatServiceName(' {service}  ({device})', { device: 'Boombox', service: 'Battery' }), 'Battery (Boombox)')
+  assert.strictEqual(formatServiceName('Fixed Name', { device: 'Boombox', service: 'Battery' }), 'Fixed Name')
+})
+
+test('resolveServiceName prefers device overrides, then global overrides, then templates', () => {
+  const boombox = { device: 'Boombox', service: 'Night Max Volume' }
+  assert.strictEqual(resolveServiceName(config, 'nursery', boombox), 'Nursery Night Volume')
+  assert.strictEqual(resolveServiceName(config, 'playroom', boombox), 'Boombox Bedtime Volume')
+  assert.strictEqual(resolveServiceName(config, 'nursery', { device: 'Boombox', service: 'Online Status' }), 'Yoto Online')
+  assert.strictEqual(resolveServiceName(config, 'nursery', { device: 'Boombox', service: 'Battery' }), 'Battery')
+  assert.strictEqual(resolveServiceName(config, 'playroom', { device: 'Boombox', service: 'Battery' }), 'Boombox Battery')
+})
+
+test('resolveServiceName falls back to the default template', () => {
+  /** @type {any} */
+  const empty = { platform: 'Yoto', serviceNameTemplate: '   ' }
+  assert.strictEqual(resolveServiceName(empty, 'x', { device: 'Boombox', service: 'Volume' }), 'Boombox Volume')
+})
@@ -28,3 +28,6 @@ export const LOG_PREFIX = {
   ACCESSORY: '[Accessory]',
   MQTT: '[MQTT]',
 }
+
+/** Maximum number of TV input sources (including the Library input) */
+export const MAX_TELEVISION_INPUTS = 50
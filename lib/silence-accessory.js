@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Yoto "Silence all Yotos" accessory implementation (quiet mode on all devices).
+ */
+
+/** @import { PlatformAccessory, CharacteristicValue, Service, Logger } from 'homebridge' */
+/** @import { YotoDeviceModel } from 'yoto-nodejs-client' */
+/** @import { YotoPlatform } from './platform.js' */
+
+import { LOG_PREFIX } from './settings.js'
+import { sanitizeName } from './utils/sanitize-name.js'
+import { syncServiceNames } from './sync-service-names.js'
+import { runOnDevices, setupBridgedAccessoryInformation } from './multi-device.js'
+
+/**
+ * Yoto Silence Accessory Handler (bridged)
+ * Turns day and night sounds off (or back on) on all devices when toggled.
+ */
+export class YotoSilenceAccessory {
+  /** @type {YotoPlatform} */ #platform
+  /** @type {PlatformAccessory} */ #accessory
+  /** @type {Logger} */ #log
+  /** @type {Service | undefined} */ switchService
+  /** @type {Set<Service>} */ #currentServices = new Set()
+  // Listeners registered on every device model, removed in stop()
+  /** @type {Array<{ deviceModel: YotoDeviceModel, listener: () => void }>} */
+  #memberListeners = []
+
+  /**
+   * @param {Object} params
+   * @param {YotoPlatform} params.platform - Platform instance
+   * @param {PlatformAccessory} params.accessory - Platform accessory
+   */
+  constructor ({ platform, accessory }) {
+    this.#platform = platform
+    this.#accessory = accessory
+    this.#log = platform.log
+  }
+
+  /**
+   * Setup accessory - create services and setup handlers
+   * @returns {Promise<void>}
+   */
+  async setup () {
+    this.#log.debug(LOG_PREFIX.ACCESSORY, 'Setting up silence accessory')
+
+    this.#currentServices.clear()
+
+    this.setupAccessoryInformation()
+    this.setupSwitchService()
+    this.setupMemberListeners()
+
+    for (const service of this.#accessory.services) {
+      if (service.UUID !== this.#platform.Service.AccessoryInformation.UUID &&
+          !this.#currentServices.has(service)) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `Removing stale silence service: ${service.displayName || service.UUID}`)
+        this.#accessory.removeService(service)
+      }
+    }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, '✓ Silence accessory ready')
+  }
+
+  /**
+   * Setup AccessoryInformation service
+   */
+  setupAccessoryInformation () {
+    const service = setupBridgedAccessoryInformation({
+      platform: this.#platform,
+      accessory: this.#accessory,
+      serialNumber: 'silence-all',
+    })
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Setup silence Switch service
+   */
+  setupSwitchService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = sanitizeName(this.#accessory.displayName)
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'SilenceAll') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'SilenceAll')
+
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service
+      .getCharacteristic(Characteristic.On)
+      .onGet(this.getSilenced.bind(this))
+      .onSet(this.setSilenced.bind(this))
+
+    this.switchService = service
+    this.#currentServices.add(service)
+  }
+
+  /**
+   * Refresh the switch whenever a device reports a new config
+   */
+  setupMemberListeners () {
+    this.removeMemberListeners()
+
+    for (const deviceModel of this.#platform.yotoAccount?.devices.values() ?? []) {
+      const listener = () => this.updateCharacteristics()
+      deviceModel.on('configUpdate', listener)
+      this.#memberListeners.push({ deviceModel, listener })
+    }
+  }
+
+  /**
+   * Remove listeners registered on device models
+   */
+  removeMemberListeners () {
+    for (const { deviceModel, listener } of this.#memberListeners) {
+      deviceModel.off('configUpdate', listener)
+    }
+    this.#memberListeners = []
+  }
+
+  /**
+   * Push the current silenced state to HomeKit
+   */
+  updateCharacteristics () {
+    this.switchService?.updateCharacteristic(this.#platform.Characteristic.On, this.isSilenced())
+  }
+
+  /**
+   * Whether every device has sounds off in both day and night mode
+   * @returns {boolean}
+   */
+  isSilenced () {
+    const devices = Array.from(this.#platform.yotoAccount?.devices.values() ?? [])
+    return devices.length > 0 && devices.every(
+      (deviceModel) => Boolean(deviceModel.config.daySoundsOff) && Boolean(deviceModel.config.nightSoundsOff)
+    )
+  }
+
+  /**
+   * On when every device has sounds off in both day and night mode.
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getSilenced () {
+    const silenced = this.isSilenced()
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Get silence all -> ${silenced}`)
+    return silenced
+  }
+
+  /**
+   * Turn sounds off (or back on) for day and night mode on all online devices.
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setSilenced (value) {
+    const soundsOff = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `Silence all toggle requested -> ${soundsOff}`)
+
+    const account = this.#platform.yotoAccount
+    if (!account) {
+      this.#log.warn(LOG_PREFIX.ACCESSORY, 'Silence all requested before account is ready.')
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+
+    await runOnDevices({
+      platform: this.#platform,
+      action: 'Silence all',
+      devices: Array.from(account.devices.values()),
+      run: async (deviceModel) => {
+        await deviceModel.updateConfig({ daySoundsOff: soundsOff, nightSoundsOff: soundsOff })
+      },
+    })
+  }
+
+  /**
+   * Stop accessory - cleanup handlers
+   * @returns {Promise<void>}
+   */
+  async stop () {
+    this.removeMemberListeners()
+    this.#currentServices.clear()
+  }
+}
@@ -5,6 +5,7 @@ import { sanitizeName } from './utils/sanitize-name.js'
  * Apply HomeKit-visible naming to a service.
  *
  * We set both `Name` and `ConfiguredName` on every service we manage so HomeKit tiles are consistently labeled.
+ * A `ConfiguredName` that no longer matches the cached `Name` was renamed in the Home app and is kept.
  *
  * @param {object} params
  * @param {Service} params.service
@@ -20,6 +21,7 @@ export function syncServiceNames ({
   const sanitizedName = sanitizeName(name)
   service.displayName = sanitizedName
 
+  const previousName = service.getCharacteristic(Characteristic.Name).value
   service.updateCharacteristic(Characteristic.Name, sanitizedName)
 
   // Add ConfiguredName when missing so we avoid HAP warnings on update.
@@ -33,5 +35,13 @@ export function syncServiceNames ({
     service.addOptionalCharacteristic(Characteristic.ConfiguredName)
   }
 
-  service.updateCharacteristic(Characteristic.ConfiguredName, sanitizedName)
+  const configuredName = hasConfiguredNameCharacteristic
+    ? service.getCharacteristic(Characteristic.ConfiguredName).value
+    : undefined
+  const renamedInHome = typeof configuredName === 'string' && configuredName !== '' &&
+    typeof previousName === 'string' && previousName !== '' && configuredName !== previousName
+
+  if (!renamedInHome) {
+    service.updateCharacteristic(Characteristic.ConfiguredName, sanitizedName)
+  }
 }
@@ -12,11 +12,17 @@ import {
   DEFAULT_MANUFACTURER,
   DEFAULT_MODEL,
   LOG_PREFIX,
+  MAX_TELEVISION_INPUTS,
 } from './settings.js'
 import { sanitizeName } from './utils/sanitize-name.js'
 import { syncServiceNames } from './sync-service-names.js'
 import { formatError } from './utils/error-format.js'
 import { getTrimmedString } from './utils/get-trimmed-string.js'
+import { getAdjacentChapterKey, getCardChapterKey } from './utils/chapter-key.js'
+import { getInputIdentifier } from './utils/input-identifier.js'
+import { getBooleanSetting } from './utils/get-boolean-setting.js'
+import { getCardControlConfigs } from './card-controls.js'
+import { getDeviceDisplayName, getServiceConfig } from './device-config.js'
 import {
   clampPercent,
   clampSteps,
@@ -25,6 +31,17 @@ import {
   stepsToPercent,
 } from './utils/volume.js'
 
+/**
+ * @typedef {Object} TelevisionInput
+ * @property {number} identifier - InputSource Identifier (1 is always the Library input, others come from the subtype)
+ * @property {string} subtype - Stable service subtype
+ * @property {string} name - Input name shown in HomeKit
+ * @property {string | null} cardId - Card started when the input is selected (null for Library)
+ */
+
+/** Identifier of the Library input, used when the playing card has no input of its own */
+const LIBRARY_INPUT_IDENTIFIER = 1
+
 /**
  * Yoto Television Playback Accessory Handler (external)
  * Manages Television, InputSource, and TelevisionSpeaker services for a single Yoto player.
@@ -37,8 +54,16 @@ export class YotoTelevisionAccessory {
   /** @type {YotoDevice} */ #device
   /** @type {Service | undefined} */ televisionService
   /** @type {Service | undefined} */ inputSourceService
+  /** @type {Map<number, TelevisionInput>} */ #inputs = new Map()
+  /** @type {Map<number, Service>} */ #inputServices = new Map()
+  // Rename the active input to the current card/chapter
+  /** @type {boolean} */ #nowPlayingNames = false
   /** @type {Service | undefined} */ speakerService
+  /** @type {Service | undefined} */ repeatService
   /** @type {number} */ #lastNonZeroVolume = 50
+  // Chapter keys of the playing card once skipped through, so arrow keys stop at its first and last
+  // chapter. Dropped when playback moves to another card, so an edited card is fetched again.
+  /** @type {{ cardId: string, chapterKeys: string[] } | null} */ #cardChapters = null
   /** @type {Set<Service>} */ #currentServices = new Set()
 
   /**
@@ -66,10 +91,19 @@ export class YotoTelevisionAccessory {
 
     this.#currentServices.clear()
 
+    const serviceConfig = getServiceConfig(this.#platform.config, this.#device.deviceId)
+    this.#nowPlayingNames = getBooleanSetting(serviceConfig['televisionNowPlaying'], false)
+    const repeatEnabled = getBooleanSetting(serviceConfig['repeat'], false)
+
     this.setupAccessoryInformation()
     this.setupTelevisionService()
-    this.setupInputSourceService()
+    this.setupInputSourceServices(await this.getTelevisionInputs())
+    // Only point at an input once the input sources exist
+    this.updateActiveIdentifierCharacteristic()
     this.setupTelevisionSpeakerService()
+    if (repeatEnabled) {
+      this.setupRepeatService()
+    }
 
     for (const service of this.#accessory.services) {
       if (service.UUID !== this.#platform.Service.AccessoryInformation.UUID &&
@@ -187,24 +221,129 @@ export class YotoTelevisionAccessory {
       .onGet(this.getTargetMediaState.bind(this))
       .onSet(this.setTargetMediaState.bind(this))
 
-    service.setCharacteristic(Characteristic.ActiveIdentifier, 1)
-
     this.televisionService = service
     this.#currentServices.add(service)
   }
 
   /**
-   * Setup InputSource service
+   * Build the TV input list: the Library input, configured card controls, then
+   * (optionally) the account's MYO cards. Duplicate card IDs are skipped.
+   * @returns {Promise<TelevisionInput[]>}
+   */
+  async getTelevisionInputs () {
+    const { config } = this.#platform
+    const deviceId = this.#device.deviceId
+
+    /** @type {TelevisionInput[]} */
+    const inputs = [{
+      identifier: LIBRARY_INPUT_IDENTIFIER,
+      subtype: 'PlaybackInput',
+      name: sanitizeName(`${getDeviceDisplayName(config, this.#device)} Library`),
+      cardId: null,
+    }]
+    const usedCardIds = new Set()
+    const usedIdentifiers = new Set([LIBRARY_INPUT_IDENTIFIER])
+
+    /**
+     * @param {string} subtype
+     * @param {string} name
+     * @param {string} cardId
+     */
+    const addInput = (subtype, name, cardId) => {
+      if (usedCardIds.has(cardId)) return
+      if (inputs.length >= MAX_TELEVISION_INPUTS) return
+      usedCardIds.add(cardId)
+      const identifier = getInputIdentifier(subtype, usedIdentifiers)
+      usedIdentifiers.add(identifier)
+      inputs.push({
+        identifier,
+        subtype,
+        name: sanitizeName(name) || cardId,
+        cardId,
+      })
+    }
+
+    for (const control of getCardControlConfigs(config, deviceId)) {
+      addInput(`CardInput:${control.id}`, control.label, control.cardId)
+    }
+
+    const serviceConfig = getServiceConfig(config, deviceId)
+    if (getBooleanSetting(serviceConfig['televisionLibrary'], false)) {
+      for (const card of await this.fetchLibraryCards()) {
+        addInput(`LibraryInput:${card.cardId}`, card.title, card.cardId)
+      }
+    }
+
+    if (inputs.length >= MAX_TELEVISION_INPUTS) {
+      this.#log.warn(
+        LOG_PREFIX.ACCESSORY,
+        `[${this.#device.name}] TV inputs limited to ${MAX_TELEVISION_INPUTS}`
+      )
+    }
+
+    return inputs
+  }
+
+  /**
+   * Fetch the account's MYO cards. Failures are logged and result in no library inputs.
+   * @returns {Promise<Array<{ cardId: string, title: string }>>}
    */
-  setupInputSourceService () {
+  async fetchLibraryCards () {
+    const client = this.#platform.yotoAccount?.client
+    if (!client) return []
+
+    try {
+      const { cards } = await client.getUserMyoContent()
+      return cards
+        .map(card => ({
+          cardId: getTrimmedString(card.cardId),
+          title: getTrimmedString(card.title),
+        }))
+        .filter(card => card.cardId)
+    } catch (error) {
+      this.#log.warn(
+        LOG_PREFIX.ACCESSORY,
+        `[${this.#device.name}] Failed to load MYO library for TV inputs:`,
+        formatError(error)
+      )
+      return []
+    }
+  }
+
+  /**
+   * Setup InputSource services
+   * @param {TelevisionInput[]} inputs
+   */
+  setupInputSourceServices (inputs) {
+    this.#inputs.clear()
+    this.#inputServices.clear()
+
+    for (const input of inputs) {
+      const service = this.setupInputSourceService(input)
+      this.#inputs.set(input.identifier, input)
+      this.#inputServices.set(input.identifier, service)
+      if (input.identifier === LIBRARY_INPUT_IDENTIFIER) {
+        this.inputSourceService = service
+      }
+    }
+
+    this.updateInputNameCharacteristics()
+  }
+
+  /**
+   * Setup a single InputSource service
+   * @param {TelevisionInput} input
+   * @returns {Service}
+   */
+  setupInputSourceService (input) {
     const { Service, Characteristic } = this.#platform
-    const inputName = sanitizeName(`${this.#device.name} Library`)
+    const inputName = input.name
 
-    const service = this.#accessory.getServiceById(Service.InputSource, 'PlaybackInput') ||
-      this.#accessory.addService(Service.InputSource, inputName, 'PlaybackInput')
+    const service = this.#accessory.getServiceById(Service.InputSource, input.subtype) ||
+      this.#accessory.addService(Service.InputSource, inputName, input.subtype)
 
     service
-      .setCharacteristic(Characteristic.Identifier, 1)
+      .setCharacteristic(Characteristic.Identifier, input.identifier)
       .setCharacteristic(Characteristic.ConfiguredName, inputName)
       .setCharacteristic(Characteristic.InputDeviceType, Characteristic.InputDeviceType.AUDIO_SYSTEM)
       .setCharacteristic(Characteristic.InputSourceType, Characteristic.InputSourceType.OTHER)
@@ -227,8 +366,8 @@ export class YotoTelevisionAccessory {
       this.televisionService.addLinkedService(service)
     }
 
-    this.inputSourceService = service
     this.#currentServices.add(service)
+    return service
   }
 
   /**
@@ -279,6 +418,27 @@ export class YotoTelevisionAccessory {
     this.#currentServices.add(service)
   }
 
+  /**
+   * Setup Repeat Switch service
+   * HomeKit TVs have no repeat control, so repeat-all is a Switch on the TV accessory
+   */
+  setupRepeatService () {
+    const { Service, Characteristic } = this.#platform
+    const serviceName = sanitizeName(`${this.#accessory.displayName} Repeat`)
+
+    const service = this.#accessory.getServiceById(Service.Switch, 'Repeat') ||
+      this.#accessory.addService(Service.Switch, serviceName, 'Repeat')
+    syncServiceNames({ Characteristic, service, name: serviceName })
+
+    service
+      .getCharacteristic(Characteristic.On)
+      .onGet(this.getRepeat.bind(this))
+      .onSet(this.setRepeat.bind(this))
+
+    this.repeatService = service
+    this.#currentServices.add(service)
+  }
+
   /**
    * Setup event listeners for device model updates
    */
@@ -340,11 +500,22 @@ export class YotoTelevisionAccessory {
             this.updateSpeakerActiveCharacteristic(playback.playbackStatus)
             break
 
+          case 'cardId':
+            if (this.#cardChapters?.cardId !== playback.cardId) {
+              this.#cardChapters = null
+            }
+            this.updateActiveIdentifierCharacteristic()
+            this.updateInputNameCharacteristics()
+            break
+
+          case 'cardTitle':
+          case 'chapterTitle':
+            this.updateInputNameCharacteristics()
+            break
+
           case 'sleepTimerActive':
           case 'position':
           case 'trackLength':
-          case 'cardId':
-          case 'cardTitle':
           case 'cardSlug':
           case 'cardCoverImageUrl':
           case 'cardAuthor':
@@ -353,7 +524,6 @@ export class YotoTelevisionAccessory {
           case 'source':
           case 'trackTitle':
           case 'trackKey':
-          case 'chapterTitle':
           case 'chapterKey':
           case 'sleepTimerSeconds':
           case 'streaming':
@@ -370,6 +540,60 @@ export class YotoTelevisionAccessory {
       }
     })
 
+    this.#deviceModel.on('configUpdate', (_config, changedFields) => {
+      for (const field of changedFields) {
+        switch (field) {
+          case 'repeatAll':
+            this.updateRepeatCharacteristic()
+            break
+
+          // Available but not mapped to TV characteristics
+          case 'dayDisplayBrightness':
+          case 'dayDisplayBrightnessAuto':
+          case 'nightDisplayBrightness':
+          case 'nightDisplayBrightnessAuto':
+          case 'ambientColour':
+          case 'nightAmbientColour':
+          case 'maxVolumeLimit':
+          case 'nightMaxVolumeLimit':
+          case 'bluetoothEnabled':
+          case 'alarms':
+          case 'btHeadphonesEnabled':
+          case 'headphonesVolumeLimited':
+          case 'clockFace':
+          case 'dayTime':
+          case 'nightTime':
+          case 'dayYotoDaily':
+          case 'nightYotoDaily':
+          case 'dayYotoRadio':
+          case 'nightYotoRadio':
+          case 'nightYotoRadioEnabled':
+          case 'daySoundsOff':
+          case 'nightSoundsOff':
+          case 'displayDimBrightness':
+          case 'displayDimTimeout':
+          case 'hourFormat':
+          case 'locale':
+          case 'logLevel':
+          case 'pausePowerButton':
+          case 'pauseVolumeDown':
+          case 'showDiagnostics':
+          case 'shutdownTimeout':
+          case 'systemVolume':
+          case 'timezone':
+          case 'volumeLevel':
+            break
+
+          default: {
+            /** @type {never} */
+            const _exhaustive = field
+            this.#log.debug('Unhandled TV config field:', _exhaustive)
+            break
+          }
+        }
+      }
+    })
+
     this.#deviceModel.on('online', ({ reason: _reason }) => {
       this.updateTelevisionPlaybackCharacteristics(this.#deviceModel.playback.playbackStatus ?? null)
       this.updateSpeakerActiveCharacteristic(this.#deviceModel.playback.playbackStatus ?? null)
@@ -477,16 +701,34 @@ export class YotoTelevisionAccessory {
   }
 
   /**
-   * Get Active Identifier (single input)
+   * Resolve the input matching the card currently loaded on the device.
+   * Cards without an input of their own map to the Library input.
+   * @returns {number}
+   */
+  getActiveIdentifierValue () {
+    const cardId = this.#deviceModel.playback.cardId
+    if (cardId) {
+      for (const input of this.#inputs.values()) {
+        if (input.cardId === cardId) {
+          return input.identifier
+        }
+      }
+    }
+    return LIBRARY_INPUT_IDENTIFIER
+  }
+
+  /**
+   * Get Active Identifier from the loaded card
    * @returns {Promise<CharacteristicValue>}
    */
   async getActiveIdentifier () {
-    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get TV active identifier -> 1`)
-    return 1
+    const identifier = this.getActiveIdentifierValue()
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get TV active identifier -> ${identifier}`)
+    return identifier
   }
 
   /**
-   * Set Active Identifier (single input)
+   * Set Active Identifier (start the input's card)
    * @param {CharacteristicValue} value
    * @returns {Promise<void>}
    */
@@ -494,10 +736,20 @@ export class YotoTelevisionAccessory {
     const identifier = typeof value === 'number' ? value : Number(value)
     this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Set TV active identifier:`, identifier)
 
-    if (identifier !== 1 && this.televisionService) {
-      this.televisionService
-        .getCharacteristic(this.#platform.Characteristic.ActiveIdentifier)
-        .updateValue(1)
+    const input = this.#inputs.get(identifier)
+    if (!input?.cardId) {
+      // Library (or unknown) input: nothing to start, reflect the loaded card instead.
+      this.updateActiveIdentifierCharacteristic()
+      return
+    }
+
+    try {
+      await this.#deviceModel.startCard({ cardId: input.cardId })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to start TV input ${input.name}:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
     }
   }
 
@@ -513,7 +765,8 @@ export class YotoTelevisionAccessory {
 
     try {
       switch (keyValue) {
-        case Characteristic.RemoteKey.PLAY_PAUSE: {
+        case Characteristic.RemoteKey.PLAY_PAUSE:
+        case Characteristic.RemoteKey.SELECT: {
           const status = this.#deviceModel.playback.playbackStatus
           if (status === 'playing') {
             await this.#deviceModel.pauseCard()
@@ -522,6 +775,26 @@ export class YotoTelevisionAccessory {
           }
           break
         }
+        case Characteristic.RemoteKey.BACK:
+          await this.#deviceModel.stopCard()
+          break
+        case Characteristic.RemoteKey.ARROW_RIGHT:
+          await this.skipChapter(1)
+          break
+        case Characteristic.RemoteKey.ARROW_LEFT:
+          await this.skipChapter(-1)
+          break
+        case Characteristic.RemoteKey.ARROW_UP:
+        case Characteristic.RemoteKey.ARROW_DOWN: {
+          const delta = keyValue === Characteristic.RemoteKey.ARROW_UP ? 1 : -1
+          const nextSteps = clampSteps(stepsFromVolumeValue(this.#deviceModel.status.volume) + delta)
+          await this.#deviceModel.setVolume(nextSteps)
+          this.updateSpeakerVolumeCharacteristics(nextSteps)
+          break
+        }
+        case Characteristic.RemoteKey.INFORMATION:
+          this.logNowPlaying()
+          break
         default:
           this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Unhandled remote key:`, keyValue)
           break
@@ -534,6 +807,81 @@ export class YotoTelevisionAccessory {
     }
   }
 
+  /**
+   * Start the chapter `offset` chapters away from the current one on the loaded card
+   * @param {number} offset - 1 for next chapter, -1 for previous
+   * @returns {Promise<void>}
+   */
+  async skipChapter (offset) {
+    const { cardId, chapterKey } = this.#deviceModel.playback
+    const chapterKeys = cardId ? await this.getCardChapterKeys(cardId) : null
+    // Fall back to stepping the key when the card's chapters could not be loaded
+    const nextChapterKey = chapterKeys
+      ? getCardChapterKey(chapterKeys, chapterKey, offset)
+      : getAdjacentChapterKey(chapterKey, offset)
+
+    if (!cardId || !nextChapterKey) {
+      this.#log.debug(
+        LOG_PREFIX.ACCESSORY,
+        `[${this.#device.name}] Cannot skip chapter (card=${cardId ?? 'none'}, chapter=${chapterKey ?? 'none'})`
+      )
+      return
+    }
+
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Skip to chapter ${nextChapterKey} on ${cardId}`)
+    await this.#deviceModel.startCard({ cardId, chapterKey: nextChapterKey })
+  }
+
+  /**
+   * Fetch the chapter keys of a card, in card order. Failures are logged and return null.
+   * @param {string} cardId
+   * @returns {Promise<string[] | null>}
+   */
+  async getCardChapterKeys (cardId) {
+    if (this.#cardChapters?.cardId === cardId) {
+      return this.#cardChapters.chapterKeys
+    }
+
+    const client = this.#platform.yotoAccount?.client
+    if (!client) return null
+
+    try {
+      const { card } = await client.getContent({ cardId })
+      const chapterKeys = (card?.content?.chapters ?? [])
+        .map((/** @type {{ key?: string }} */ chapter) => getTrimmedString(chapter.key))
+        .filter(Boolean)
+      if (chapterKeys.length === 0) return null
+
+      this.#cardChapters = { cardId, chapterKeys }
+      return chapterKeys
+    } catch (error) {
+      this.#log.warn(
+        LOG_PREFIX.ACCESSORY,
+        `[${this.#device.name}] Failed to load chapters for ${cardId}:`,
+        formatError(error)
+      )
+      return null
+    }
+  }
+
+  /**
+   * Log the card and chapter currently loaded on the device
+   */
+  logNowPlaying () {
+    const { cardId, cardTitle, chapterKey, chapterTitle, playbackStatus } = this.#deviceModel.playback
+
+    if (!cardId) {
+      this.#log.info(`[${this.#device.name}] Nothing playing`)
+      return
+    }
+
+    const card = cardTitle || cardId
+    const chapter = chapterTitle || chapterKey
+    this.#log.info(
+      `[${this.#device.name}] ${playbackStatus ?? 'unknown'}: ${card}${chapter ? ` - ${chapter}` : ''}`
+    )
+  }
+
   /**
    * Get current media state from live playback state
    * @returns {Promise<CharacteristicValue>}
@@ -711,6 +1059,35 @@ export class YotoTelevisionAccessory {
     }
   }
 
+  /**
+   * Get repeat-all state
+   * @returns {Promise<CharacteristicValue>}
+   */
+  async getRepeat () {
+    const enabled = this.#deviceModel.config.repeatAll ?? false
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Get TV repeat -> ${enabled}`)
+    return enabled
+  }
+
+  /**
+   * Set repeat-all state
+   * @param {CharacteristicValue} value
+   * @returns {Promise<void>}
+   */
+  async setRepeat (value) {
+    const enabled = Boolean(value)
+    this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Set TV repeat:`, enabled)
+
+    try {
+      await this.#deviceModel.updateConfig({ repeatAll: enabled })
+    } catch (error) {
+      this.#log.error(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] Failed to set TV repeat:`, formatError(error))
+      throw new this.#platform.api.hap.HapStatusError(
+        this.#platform.api.hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE
+      )
+    }
+  }
+
   /**
    * Update Television Active and media state characteristics
    * @param { "playing" | "paused" | "stopped" | "loading" | null} playbackStatus
@@ -729,7 +1106,7 @@ export class YotoTelevisionAccessory {
 
     this.televisionService
       .getCharacteristic(Characteristic.ActiveIdentifier)
-      .updateValue(1)
+      .updateValue(this.getActiveIdentifierValue())
 
     this.televisionService
       .getCharacteristic(Characteristic.CurrentMediaState)
@@ -740,6 +1117,45 @@ export class YotoTelevisionAccessory {
       .updateValue(target)
   }
 
+  /**
+   * Update ActiveIdentifier to follow the loaded card
+   */
+  updateActiveIdentifierCharacteristic () {
+    if (!this.televisionService) return
+
+    this.televisionService
+      .getCharacteristic(this.#platform.Characteristic.ActiveIdentifier)
+      .updateValue(this.getActiveIdentifierValue())
+  }
+
+  /**
+   * Show the current card and chapter as the active input's name (when enabled).
+   * Inactive inputs keep their configured names.
+   */
+  updateInputNameCharacteristics () {
+    if (!this.#nowPlayingNames) return
+
+    const { Characteristic } = this.#platform
+    const { cardId, cardTitle, chapterTitle } = this.#deviceModel.playback
+    const activeIdentifier = this.getActiveIdentifierValue()
+
+    for (const [identifier, input] of this.#inputs) {
+      const service = this.#inputServices.get(identifier)
+      if (!service) continue
+
+      let name = input.name
+      if (identifier === activeIdentifier && cardId) {
+        const title = cardTitle || (input.cardId ? input.name : '')
+        name = sanitizeName([title, chapterTitle].filter(Boolean).join(' - ')) || input.name
+      }
+
+      if (service.getCharacteristic(Characteristic.ConfiguredName).value !== name) {
+        this.#log.debug(LOG_PREFIX.ACCESSORY, `[${this.#device.name}] TV input ${identifier} name -> ${name}`)
+        service.updateCharacteristic(Characteristic.ConfiguredName, name)
+      }
+    }
+  }
+
   /**
    * Update TV speaker volume + mute characteristics
    * @param {number} volumeSteps - Volume level (0-16)
@@ -775,6 +1191,18 @@ export class YotoTelevisionAccessory {
       .updateValue(active)
   }
 
+  /**
+   * Update Repeat Switch characteristic
+   */
+  updateRepeatCharacteristic () {
+    if (!this.repeatService) return
+
+    const { Characteristic } = this.#platform
+    this.repeatService
+      .getCharacteristic(Characteristic.On)
+      .updateValue(this.#deviceModel.config.repeatAll ?? false)
+  }
+
   /**
    * Update firmware version characteristic
    * @param {string} firmwareVersion - Firmware version
@@ -798,6 +1226,7 @@ export class YotoTelevisionAccessory {
     this.#log.debug(LOG_PREFIX.ACCESSORY, `Stopping TV playback for ${this.#device.name}`)
 
     this.#deviceModel.removeAllListeners('statusUpdate')
+    this.#deviceModel.removeAllListeners('configUpdate')
     this.#deviceModel.removeAllListeners('playbackUpdate')
     this.#deviceModel.removeAllListeners('online')
     this.#deviceModel.removeAllListeners('offline')
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Helpers for Yoto alarm strings.
+ *
+ * Alarms are stored in the device config as comma-separated strings:
+ * `days,time,soundId,,,enabled` (e.g. `1111100,0700,4OD25,,,1`).
+ * `days` is seven 0/1 flags starting on Monday and `time` is HHMM.
+ * Fields this module does not understand are preserved when formatting.
+ */
+
+export const ALARM_DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const ENABLED_FIELD_INDEX = 5
+
+/**
+ * @typedef {Object} YotoAlarm
+ * @property {string} days - Seven 0/1 flags starting on Monday
+ * @property {string} time - Alarm time as HH:MM
+ * @property {string} soundId - Alarm sound ID (empty for the default sound)
+ * @property {boolean} enabled - Whether the alarm is enabled
+ * @property {string[]} fields - Raw fields, kept so unknown values survive a round trip
+ */
+
+/**
+ * Parse an alarm string.
+ * @param {unknown} value
+ * @returns {YotoAlarm | null} Parsed alarm, or null when the days or time fields are invalid
+ */
+export function parseAlarm (value) {
+  if (typeof value !== 'string') {
+    return null
+  }
+
+  const fields = value.split(',')
+  const [days = '', rawTime = ''] = fields
+  if (!/^[01]{7}$/.test(days) || !/^\d{4}$/.test(rawTime)) {
+    return null
+  }
+
+  const hours = Number(rawTime.slice(0, 2))
+  const minutes = Number(rawTime.slice(2))
+  if (hours > 23 || minutes > 59) {
+    return null
+  }
+
+  return {
+    days,
+    time: `${rawTime.slice(0, 2)}:${rawTime.slice(2)}`,
+    soundId: fields[2] ?? '',
+    enabled: fields[ENABLED_FIELD_INDEX] !== '0',
+    fields,
+  }
+}
+
+/**
+ * Format an alarm back into its config string.
+ * @param {Omit<YotoAlarm, 'fields'> & { fields?: string[] }} alarm
+ * @returns {string}
+ */
+export function formatAlarm (alarm) {
+  const fields = [...(alarm.fields ?? [])]
+  while (fields.length <= ENABLED_FIELD_INDEX) {
+    fields.push('')
+  }
+
+  fields[0] = alarm.days
+  fields[1] = alarm.time.replace(':', '')
+  fields[2] = alarm.soundId
+  fields[ENABLED_FIELD_INDEX] = alarm.enabled ? '1' : '0'
+
+  return fields.join(',')
+}
+
+/**
+ * Return the alarm string with its enabled flag changed.
+ * @param {string} value
+ * @param {boolean} enabled
+ * @returns {string} Updated alarm string (unchanged when it cannot be parsed)
+ */
+export function withAlarmEnabled (value, enabled) {
+  const alarm = parseAlarm(value)
+  if (!alarm) {
+    return value
+  }
+  return formatAlarm({ ...alarm, enabled })
+}
+
+/**
+ * Get a stable identity for each alarm in a list, so a switch keeps pointing at the same
+ * alarm when others are added, removed or reordered. The identity is the alarm string
+ * without its enabled flag; identical alarms get an occurrence suffix (`#2`, `#3`, ...).
+ * @param {unknown[]} alarms - Raw alarm strings from the device config
+ * @returns {Array<string | null>} Keys in list order (null for unrecognized alarms)
+ */
+export function getAlarmKeys (alarms) {
+  /** @type {Map<string, number>} */
+  const seen = new Map()
+  return alarms.map((value) => {
+    const alarm = parseAlarm(value)
+    if (!alarm) {
+      return null
+    }
+
+    const fields = [...alarm.fields]
+    fields[ENABLED_FIELD_INDEX] = ''
+    const base = fields.join(',').replace(/,+$/, '')
+    const count = (seen.get(base) ?? 0) + 1
+    seen.set(base, count)
+    return count === 1 ? base : `${base}#${count}`
+  })
+}
+
+/**
+ * Describe an alarm's days for display (e.g. "Weekdays", "Every day", "Mon, Wed").
+ * @param {string} days
+ * @returns {string}
+ */
+export function describeAlarmDays (days) {
+  if (days === '1111111') return 'Every day'
+  if (days === '1111100') return 'Weekdays'
+  if (days === '0000011') return 'Weekends'
+  if (days === '0000000') return 'Never'
+
+  return ALARM_DAY_NAMES
+    .filter((_name, index) => days[index] === '1')
+    .join(', ')
+}
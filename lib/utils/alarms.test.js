@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  describeAlarmDays,
+  formatAlarm,
+  getAlarmKeys,
+  parseAlarm,
+  withAlarmEnabled,
+} from './alarms.js'
+
+test('parseAlarm reads days, time, sound and enabled flag', () => {
+  const alarm = parseAlarm('1111100,0700,4OD25,,,1')
+  assert.deepStrictEqual(alarm, {
+    days: '1111100',
+    time: '07:00',
+    soundId: '4OD25',
+    enabled: true,
+    fields: ['1111100', '0700', '4OD25', '', '', '1'],
+  })
+  assert.strictEqual(parseAlarm('0000011,0930,,,,0')?.enabled, false)
+  assert.strictEqual(parseAlarm('0000011,0930')?.enabled, true)
+})
+
+test('parseAlarm rejects malformed alarms', () => {
+  assert.strictEqual(parseAlarm(''), null)
+  assert.strictEqual(parseAlarm(null), null)
+  assert.strictEqual(parseAlarm('111,0700'), null)
+  assert.strictEqual(parseAlarm('1111100,7am'), null)
+  assert.strictEqual(parseAlarm('1111100,2460'), null)
+})
+
+test('formatAlarm round trips and preserves unknown fields', () => {
+  const raw = '1111100,0700,4OD25,x,y,1,extra'
+  const alarm = parseAlarm(raw)
+  assert.ok(alarm)
+  assert.strictEqual(formatAlarm(alarm), raw)
+  assert.strictEqual(
+    formatAlarm({ days: '0000011', time: '08:15', soundId: '', enabled: false }),
+    '0000011,0815,,,,0'
+  )
+})
+
+test('withAlarmEnabled toggles only the enabled flag', () => {
+  assert.strictEqual(withAlarmEnabled('1111100,0700,4OD25,,,1', false), '1111100,0700,4OD25,,,0')
+  assert.strictEqual(withAlarmEnabled('1111100,0700,4OD25', false), '1111100,0700,4OD25,,,0')
+  assert.strictEqual(withAlarmEnabled('garbage', true), 'garbage')
+})
+
+test('describeAlarmDays summarizes common patterns', () => {
+  assert.strictEqual(describeAlarmDays('1111111'), 'Every day')
+  assert.strictEqual(describeAlarmDays('1111100'), 'Weekdays')
+  assert.strictEqual(describeAlarmDays('1010000'), 'Mon, Wed')
+})
+
+test('getAlarmKeys ignores the enabled flag and position', () => {
+  const keys = getAlarmKeys(['1111100,0700,4OD25,,,1', 'garbage', '0000011,0930,,,,0'])
+  assert.deepStrictEqual(keys, ['1111100,0700,4OD25', null, '0000011,0930'])
+  assert.deepStrictEqual(getAlarmKeys(['0000011,0930,,,,1', '1111100,0700,4OD25,,,0']), ['0000011,0930', '1111100,0700,4OD25'])
+})
+
+test('getAlarmKeys numbers identical alarms', () => {
+  assert.deepStrictEqual(
+    getAlarmKeys(['1111100,0700,,,,1', '1111100,0700,,,,0', '1111100,0700']),
+    ['1111100,0700', '1111100,0700#2', '1111100,0700#3']
+  )
+})
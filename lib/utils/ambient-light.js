@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Ambient light sensor calibration helpers.
+ */
+
+export const DEFAULT_AMBIENT_LIGHT_SCALE = 1
+export const DEFAULT_AMBIENT_LIGHT_OFFSET = 0
+
+// HomeKit CurrentAmbientLightLevel range
+export const MIN_AMBIENT_LIGHT_LUX = 0.0001
+export const MAX_AMBIENT_LIGHT_LUX = 100000
+
+/**
+ * Convert a raw ambient light sensor reading to lux using a linear calibration.
+ * The result is clamped to the range HomeKit accepts.
+ * @param {unknown} reading - Raw sensor reading from the device
+ * @param {number} [scale=DEFAULT_AMBIENT_LIGHT_SCALE]
+ * @param {number} [offset=DEFAULT_AMBIENT_LIGHT_OFFSET]
+ * @returns {number | null} Lux, or null when there is no usable reading
+ */
+export function ambientReadingToLux (reading, scale = DEFAULT_AMBIENT_LIGHT_SCALE, offset = DEFAULT_AMBIENT_LIGHT_OFFSET) {
+  const value = typeof reading === 'string' ? Number(reading) : reading
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null
+  }
+
+  const lux = value * scale + offset
+  return Math.max(MIN_AMBIENT_LIGHT_LUX, Math.min(lux, MAX_AMBIENT_LIGHT_LUX))
+}
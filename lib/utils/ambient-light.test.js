@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  ambientReadingToLux,
+  MAX_AMBIENT_LIGHT_LUX,
+  MIN_AMBIENT_LIGHT_LUX,
+} from './ambient-light.js'
+
+test('ambientReadingToLux applies scale and offset', () => {
+  assert.strictEqual(ambientReadingToLux(120), 120)
+  assert.strictEqual(ambientReadingToLux(120, 2), 240)
+  assert.strictEqual(ambientReadingToLux(120, 0.5, 10), 70)
+  assert.strictEqual(ambientReadingToLux('42'), 42)
+})
+
+test('ambientReadingToLux clamps to the HomeKit range', () => {
+  assert.strictEqual(ambientReadingToLux(0), MIN_AMBIENT_LIGHT_LUX)
+  assert.strictEqual(ambientReadingToLux(10, 1, -50), MIN_AMBIENT_LIGHT_LUX)
+  assert.strictEqual(ambientReadingToLux(1e6), MAX_AMBIENT_LIGHT_LUX)
+})
+
+test('ambientReadingToLux returns null without a usable reading', () => {
+  assert.strictEqual(ambientReadingToLux(null), null)
+  assert.strictEqual(ambientReadingToLux(undefined), null)
+  assert.strictEqual(ambientReadingToLux('notSupported'), null)
+  assert.strictEqual(ambientReadingToLux(Number.NaN), null)
+})
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Chapter key helpers for stepping through a card's chapters.
+ */
+
+/**
+ * Get the chapter key `offset` chapters away from `chapterKey`.
+ * Yoto chapter keys are numeric strings, usually zero padded ("01", "02", ...).
+ * The padding width of the current key is preserved.
+ * @param {string | null | undefined} chapterKey
+ * @param {number} offset
+ * @returns {string | null} Adjacent chapter key, or null when the key is not numeric or the result would be negative
+ */
+export function getAdjacentChapterKey (chapterKey, offset) {
+  if (typeof chapterKey !== 'string' || !/^\d+$/.test(chapterKey)) {
+    return null
+  }
+
+  const next = Number.parseInt(chapterKey, 10) + offset
+  if (!Number.isSafeInteger(next) || next < 0) {
+    return null
+  }
+
+  return String(next).padStart(chapterKey.length, '0')
+}
+
+/**
+ * Get the chapter key `offset` chapters away from `chapterKey` in a card's chapter list.
+ * Offsets past either end stop at the first or last chapter.
+ * @param {string[]} chapterKeys - Chapter keys in card order
+ * @param {string | null | undefined} chapterKey
+ * @param {number} offset
+ * @returns {string | null} Chapter key to start, or null when the key is not on the card or nothing would change
+ */
+export function getCardChapterKey (chapterKeys, chapterKey, offset) {
+  const index = typeof chapterKey === 'string' ? chapterKeys.indexOf(chapterKey) : -1
+  if (index === -1) {
+    return null
+  }
+
+  const nextIndex = Math.max(0, Math.min(index + offset, chapterKeys.length - 1))
+  return nextIndex === index ? null : chapterKeys[nextIndex] ?? null
+}
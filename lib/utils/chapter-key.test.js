@@ -0,0 +1,31 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getAdjacentChapterKey, getCardChapterKey } from './chapter-key.js'
+
+test('getAdjacentChapterKey steps forward and back preserving padding', () => {
+  assert.strictEqual(getAdjacentChapterKey('01', 1), '02')
+  assert.strictEqual(getAdjacentChapterKey('09', 1), '10')
+  assert.strictEqual(getAdjacentChapterKey('10', -1), '09')
+  assert.strictEqual(getAdjacentChapterKey('99', 1), '100')
+  assert.strictEqual(getAdjacentChapterKey('3', 1), '4')
+  assert.strictEqual(getAdjacentChapterKey('00', 1), '01')
+})
+
+test('getAdjacentChapterKey rejects non-numeric keys and negative results', () => {
+  assert.strictEqual(getAdjacentChapterKey('00', -1), null)
+  assert.strictEqual(getAdjacentChapterKey('intro', 1), null)
+  assert.strictEqual(getAdjacentChapterKey('', 1), null)
+  assert.strictEqual(getAdjacentChapterKey(null, 1), null)
+  assert.strictEqual(getAdjacentChapterKey(undefined, -1), null)
+})
+
+test('getCardChapterKey stops at the first and last chapter', () => {
+  const keys = ['01', '02', '03']
+  assert.strictEqual(getCardChapterKey(keys, '01', 1), '02')
+  assert.strictEqual(getCardChapterKey(keys, '02', -1), '01')
+  assert.strictEqual(getCardChapterKey(keys, '02', 5), '03')
+  assert.strictEqual(getCardChapterKey(keys, '03', 1), null)
+  assert.strictEqual(getCardChapterKey(keys, '01', -1), null)
+  assert.strictEqual(getCardChapterKey(keys, '04', 1), null)
+  assert.strictEqual(getCardChapterKey(keys, null, 1), null)
+})
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Thresholds and checks for the device diagnostics sensors.
+ */
+
+export const DEFAULT_WEAK_WIFI_THRESHOLD = -75
+export const DEFAULT_STORAGE_ALMOST_FULL_PERCENT = 10
+
+/**
+ * Check whether a Wi-Fi signal (RSSI in dBm) is at or below the weak threshold.
+ * @param {number | null | undefined} wifiStrength - Signal in dBm (e.g. -60)
+ * @param {number} [threshold=DEFAULT_WEAK_WIFI_THRESHOLD] - Weak at or below this dBm
+ * @returns {boolean} False when the signal is unknown
+ */
+export function isWeakWifi (wifiStrength, threshold = DEFAULT_WEAK_WIFI_THRESHOLD) {
+  if (typeof wifiStrength !== 'number' || !Number.isFinite(wifiStrength) || wifiStrength === 0) {
+    return false
+  }
+  return wifiStrength <= threshold
+}
+
+/**
+ * Get free storage as a percent of total storage.
+ * @param {number | null | undefined} freeBytes
+ * @param {number | null | undefined} totalBytes
+ * @returns {number | null} Percent free (0-100), or null when unknown
+ */
+export function getFreeStoragePercent (freeBytes, totalBytes) {
+  if (typeof freeBytes !== 'number' || typeof totalBytes !== 'number' ||
+      !Number.isFinite(freeBytes) || !Number.isFinite(totalBytes) || totalBytes <= 0) {
+    return null
+  }
+  return Math.max(0, Math.min((freeBytes / totalBytes) * 100, 100))
+}
+
+/**
+ * Check whether free storage is at or below the almost-full percent.
+ * @param {number | null | undefined} freeBytes
+ * @param {number | null | undefined} totalBytes
+ * @param {number} [minFreePercent=DEFAULT_STORAGE_ALMOST_FULL_PERCENT]
+ * @returns {boolean} False when storage is unknown
+ */
+export function isStorageAlmostFull (freeBytes, totalBytes, minFreePercent = DEFAULT_STORAGE_ALMOST_FULL_PERCENT) {
+  const freePercent = getFreeStoragePercent(freeBytes, totalBytes)
+  return freePercent !== null && freePercent <= minFreePercent
+}
+
+/**
+ * Detect a reboot from two uptime readings (seconds).
+ * @param {number | null | undefined} previousUptime
+ * @param {number | null | undefined} uptime
+ * @returns {boolean} True when uptime went backwards
+ */
+export function didReboot (previousUptime, uptime) {
+  if (typeof previousUptime !== 'number' || typeof uptime !== 'number' ||
+      !Number.isFinite(previousUptime) || !Number.isFinite(uptime)) {
+    return false
+  }
+  return uptime < previousUptime
+}
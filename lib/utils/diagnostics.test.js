@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  didReboot,
+  getFreeStoragePercent,
+  isStorageAlmostFull,
+  isWeakWifi,
+} from './diagnostics.js'
+
+test('isWeakWifi compares dBm against the threshold', () => {
+  assert.strictEqual(isWeakWifi(-60), false)
+  assert.strictEqual(isWeakWifi(-75), true)
+  assert.strictEqual(isWeakWifi(-82), true)
+  assert.strictEqual(isWeakWifi(-70, -65), true)
+  assert.strictEqual(isWeakWifi(0), false)
+  assert.strictEqual(isWeakWifi(null), false)
+  assert.strictEqual(isWeakWifi(Number.NaN), false)
+})
+
+test('getFreeStoragePercent and isStorageAlmostFull handle unknown values', () => {
+  assert.strictEqual(getFreeStoragePercent(50, 200), 25)
+  assert.strictEqual(getFreeStoragePercent(50, 0), null)
+  assert.strictEqual(getFreeStoragePercent(undefined, 200), null)
+  assert.strictEqual(isStorageAlmostFull(10, 200), true)
+  assert.strictEqual(isStorageAlmostFull(30, 200), false)
+  assert.strictEqual(isStorageAlmostFull(30, 200, 20), true)
+  assert.strictEqual(isStorageAlmostFull(null, null), false)
+})
+
+test('didReboot detects uptime going backwards', () => {
+  assert.strictEqual(didReboot(3600, 30), true)
+  assert.strictEqual(didReboot(30, 3600), false)
+  assert.strictEqual(didReboot(undefined, 30), false)
+  assert.strictEqual(didReboot(30, null), false)
+})
@@ -0,0 +1,10 @@
+/**
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {{ min?: number, max?: number }} [range]
+ * @returns {number}
+ */
+export function getNumberSetting (value, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const number = typeof value === 'number' && Number.isFinite(value) ? value : fallback
+  return Math.max(min, Math.min(number, max))
+}
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Helpers for combining member device state into a single device group state.
+ */
+
+import { stepsFromVolumeValue, stepsToPercent } from './volume.js'
+
+/**
+ * Combine member volumes (steps or percent) into one percent: the average of the members.
+ * @param {Array<number | null | undefined>} volumes
+ * @returns {number}
+ */
+export function getGroupVolumePercent (volumes) {
+  const percents = volumes
+    .filter(volume => typeof volume === 'number' && Number.isFinite(volume))
+    .map(volume => stepsToPercent(stepsFromVolumeValue(/** @type {number} */ (volume))))
+
+  if (percents.length === 0) {
+    return 0
+  }
+
+  const total = percents.reduce((sum, percent) => sum + percent, 0)
+  return Math.round(total / percents.length)
+}
+
+/**
+ * Combine member sleep timers: the longest time remaining on any active timer.
+ * @param {Array<{ sleepTimerActive?: boolean | null, sleepTimerSeconds?: number | null }>} playbacks
+ * @returns {number} Remaining seconds, or 0 when no member has a timer running
+ */
+export function getGroupSleepTimerSeconds (playbacks) {
+  let remaining = 0
+  for (const playback of playbacks) {
+    const seconds = playback.sleepTimerActive ? (playback.sleepTimerSeconds ?? 0) : 0
+    if (Number.isFinite(seconds) && seconds > remaining) {
+      remaining = seconds
+    }
+  }
+  return remaining
+}
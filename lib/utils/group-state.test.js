@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getGroupSleepTimerSeconds,
+  getGroupVolumePercent,
+} from './group-state.js'
+
+test('getGroupVolumePercent averages member volumes given in steps or percent', () => {
+  assert.strictEqual(getGroupVolumePercent([]), 0)
+  assert.strictEqual(getGroupVolumePercent([null, undefined, Number.NaN]), 0)
+  assert.strictEqual(getGroupVolumePercent([8]), 50)
+  assert.strictEqual(getGroupVolumePercent([8, 16]), 75)
+  assert.strictEqual(getGroupVolumePercent([0, 50]), 25)
+  assert.strictEqual(getGroupVolumePercent([4, null]), 25)
+})
+
+test('getGroupSleepTimerSeconds returns the longest active timer', () => {
+  assert.strictEqual(getGroupSleepTimerSeconds([]), 0)
+  assert.strictEqual(getGroupSleepTimerSeconds([
+    { sleepTimerActive: false, sleepTimerSeconds: 900 },
+    { sleepTimerActive: true, sleepTimerSeconds: 300 },
+    { sleepTimerActive: true, sleepTimerSeconds: 600 },
+    { sleepTimerActive: true, sleepTimerSeconds: null },
+  ]), 600)
+})
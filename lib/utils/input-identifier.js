@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Stable HomeKit InputSource identifiers for TV inputs.
+ */
+
+import { createHash } from 'node:crypto'
+
+/** Identifiers below this are reserved (1 is the Library input) */
+const MIN_INPUT_IDENTIFIER = 2
+/** Largest identifier handed out, kept inside a signed 32-bit int */
+const MAX_INPUT_IDENTIFIER = 0x7fffffff
+
+/**
+ * Get the InputSource identifier for an input subtype. The identifier is a hash of the
+ * subtype, so an input keeps it when inputs before it are added or removed.
+ * A collision with an identifier already in use moves on to the next free one.
+ * @param {string} subtype - Stable input service subtype
+ * @param {Set<number>} usedIdentifiers - Identifiers already given to other inputs
+ * @returns {number}
+ */
+export function getInputIdentifier (subtype, usedIdentifiers) {
+  const range = MAX_INPUT_IDENTIFIER - MIN_INPUT_IDENTIFIER + 1
+  const hash = createHash('sha1').update(subtype).digest().readUInt32BE(0)
+  let identifier = MIN_INPUT_IDENTIFIER + (hash % range)
+  while (usedIdentifiers.has(identifier)) {
+    identifier = identifier === MAX_INPUT_IDENTIFIER ? MIN_INPUT_IDENTIFIER : identifier + 1
+  }
+  return identifier
+}
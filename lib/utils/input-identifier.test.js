@@ -0,0 +1,15 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getInputIdentifier } from './input-identifier.js'
+
+test('getInputIdentifier is stable for a subtype whatever inputs come before it', () => {
+  const identifier = getInputIdentifier('CardInput:bedtime', new Set([1]))
+  assert.strictEqual(getInputIdentifier('CardInput:bedtime', new Set([1, 42, 7])), identifier)
+  assert.ok(identifier >= 2 && identifier <= 0x7fffffff)
+  assert.notStrictEqual(getInputIdentifier('CardInput:morning', new Set([1])), identifier)
+})
+
+test('getInputIdentifier skips identifiers already in use', () => {
+  const identifier = getInputIdentifier('LibraryInput:abc', new Set())
+  assert.strictEqual(getInputIdentifier('LibraryInput:abc', new Set([identifier])), identifier + 1)
+})
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Nightlight colour helpers: merging On/Hue/Saturation writes into one Yoto colour,
+ * colour temperature conversion and the bedtime warm shift.
+ */
+
+import convert from 'color-convert'
+import { getScheduleMinutes, isScheduleTimeBetween } from './schedule.js'
+
+export const NIGHTLIGHT_OFF_COLOR = '0x000000'
+export const DEFAULT_NIGHTLIGHT_COLOR = '0xffffff'
+// HomeKit ColorTemperature range in mireds (about 7143K to 2000K)
+export const MIN_COLOR_TEMPERATURE_MIRED = 140
+export const MAX_COLOR_TEMPERATURE_MIRED = 500
+export const DEFAULT_WARM_SHIFT_TIME = '19:30'
+export const DEFAULT_WARM_SHIFT_MINUTES = 60
+export const DEFAULT_FADE_OUT_MINUTES = 15
+
+/**
+ * @typedef {Object} NightlightWrite
+ * @property {boolean} [on]
+ * @property {number} [hue] - 0-360
+ * @property {number} [saturation] - 0-100
+ * @property {number} [brightness] - 0-100
+ * @property {string} [color] - Exact colour (0xRRGGBB), written as-is instead of hue and saturation
+ */
+
+/**
+ * Check if a colour is "off" (black or 'off' string)
+ * @param {string | null | undefined} color
+ * @returns {boolean}
+ */
+export function isNightlightColorOff (color) {
+  return !color || color === 'off' || color === '0x000000' || color === '#000000' || color === '000000'
+}
+
+/**
+ * Work out the colour to write for a batch of nightlight writes.
+ * Off wins over colour changes, then an exact colour; a hue or saturation change while off turns
+ * the light on, starting from the colour it had before it was turned off.
+ * @param {Object} params
+ * @param {string | null | undefined} params.currentColor - Colour currently on the device
+ * @param {string | null | undefined} params.restoreColor - Last colour seen while the light was on
+ * @param {NightlightWrite} params.write
+ * @returns {string | null} Colour in Yoto format (0xRRGGBB), or null when the colour does not change
+ */
+export function getNightlightWriteColor ({ currentColor, restoreColor, write }) {
+  if (write.on === false) {
+    return NIGHTLIGHT_OFF_COLOR
+  }
+  if (write.color !== undefined) {
+    return write.color
+  }
+
+  const hasColorChange = write.hue !== undefined || write.saturation !== undefined
+  const isOff = isNightlightColorOff(currentColor)
+  if (!hasColorChange && (write.on === undefined || !isOff)) {
+    return null
+  }
+
+  const baseColor = isOff
+    ? (isNightlightColorOff(restoreColor) ? DEFAULT_NIGHTLIGHT_COLOR : restoreColor)
+    : currentColor
+  const baseHex = String(baseColor).replace(/^(0x|#)/, '')
+  if (!hasColorChange) {
+    return `0x${baseHex}`
+  }
+
+  const [baseHue, baseSaturation] = convert.hex.hsv(baseHex)
+  const hue = Math.max(0, Math.min(write.hue ?? baseHue, 360))
+  const saturation = Math.max(0, Math.min(write.saturation ?? baseSaturation, 100))
+  return `0x${convert.hsv.hex([hue, saturation, 100])}`
+}
+
+/**
+ * Convert a colour temperature in mireds to an RGB colour (Tanner Helland's approximation).
+ * @param {number} mired
+ * @returns {[number, number, number]}
+ */
+function miredToRgb (mired) {
+  const clamped = Math.max(MIN_COLOR_TEMPERATURE_MIRED, Math.min(mired, MAX_COLOR_TEMPERATURE_MIRED))
+  const temperature = 1000000 / clamped / 100
+
+  const red = temperature <= 66
+    ? 255
+    : 329.698727446 * Math.pow(temperature - 60, -0.1332047592)
+  const green = temperature <= 66
+    ? 99.4708025861 * Math.log(temperature) - 161.1195681661
+    : 288.1221695283 * Math.pow(temperature - 60, -0.0755148492)
+  const blue = temperature >= 66
+    ? 255
+    : temperature <= 19 ? 0 : 138.5177312231 * Math.log(temperature - 10) - 305.0447927307
+
+  /** @param {number} value */
+  const channel = (value) => Math.round(Math.max(0, Math.min(value, 255)))
+  return [channel(red), channel(green), channel(blue)]
+}
+
+/**
+ * Check if two nightlight colours are the same, ignoring prefix and case
+ * @param {string | null | undefined} a
+ * @param {string | null | undefined} b
+ * @returns {boolean}
+ */
+export function isSameNightlightColor (a, b) {
+  /** @param {string | null | undefined} color */
+  const normalize = (color) => String(color ?? '').replace(/^(0x|#)/, '').toLowerCase()
+  return normalize(a) === normalize(b)
+}
+
+/**
+ * Hue and saturation that turn the nightlight a given colour (it always shows at full value).
+ * @param {string} color - Colour in Yoto format (0xRRGGBB)
+ * @returns {NightlightWrite}
+ */
+export function getNightlightColorWrite (color) {
+  const [hue, saturation] = convert.hex.hsv(color.replace(/^(0x|#)/, ''))
+  return { hue, saturation }
+}
+
+/**
+ * Convert a colour temperature in mireds to a nightlight colour.
+ * @param {number} mired
+ * @returns {string} Colour in Yoto format (0xRRGGBB)
+ */
+export function miredToNightlightColor (mired) {
+  return `0x${convert.rgb.hex(miredToRgb(mired))}`
+}
+
+/**
+ * Find the colour temperature closest to a nightlight colour, comparing at full brightness.
+ * @param {string | null | undefined} color
+ * @returns {number} Mireds, within the HomeKit range
+ */
+export function nightlightColorToMired (color) {
+  if (isNightlightColorOff(color)) {
+    return MIN_COLOR_TEMPERATURE_MIRED
+  }
+
+  const [hue, saturation] = convert.hex.hsv(String(color).replace(/^(0x|#)/, ''))
+  const [red, green, blue] = convert.hsv.rgb([hue, saturation, 100])
+
+  let closestMired = MIN_COLOR_TEMPERATURE_MIRED
+  let closestDistance = Number.POSITIVE_INFINITY
+  for (let mired = MIN_COLOR_TEMPERATURE_MIRED; mired <= MAX_COLOR_TEMPERATURE_MIRED; mired++) {
+    const [r, g, b] = miredToRgb(mired)
+    const distance = (r - red) ** 2 + (g - green) ** 2 + (b - blue) ** 2
+    if (distance < closestDistance) {
+      closestDistance = distance
+      closestMired = mired
+    }
+  }
+  return closestMired
+}
+
+/**
+ * Mix two nightlight colours.
+ * @param {string} from - Colour at progress 0
+ * @param {string} to - Colour at progress 1
+ * @param {number} progress - 0-1
+ * @returns {string} Colour in Yoto format (0xRRGGBB)
+ */
+export function mixNightlightColors (from, to, progress) {
+  const amount = Math.max(0, Math.min(Number.isFinite(progress) ? progress : 0, 1))
+  const fromRgb = convert.hex.rgb(from.replace(/^(0x|#)/, ''))
+  const toRgb = convert.hex.rgb(to.replace(/^(0x|#)/, ''))
+  /** @param {number} index */
+  const mix = (index) => {
+    const start = fromRgb[index] ?? 0
+    const end = toRgb[index] ?? 0
+    return Math.round(start + (end - start) * amount)
+  }
+  return `0x${convert.rgb.hex([mix(0), mix(1), mix(2)])}`
+}
+
+/**
+ * How far the warm shift has moved towards amber: 0 before the ramp starts, rising to 1 at bedtime,
+ * then 1 until wake time.
+ * @param {Object} params
+ * @param {string} params.time - Current time as HH:MM
+ * @param {string} params.bedtime - HH:MM the shift reaches amber
+ * @param {string} params.wakeTime - HH:MM the shift ends
+ * @param {number} params.minutes - Length of the ramp before bedtime
+ * @returns {number} 0-1
+ */
+export function getWarmShiftProgress ({ time, bedtime, wakeTime, minutes }) {
+  if (isScheduleTimeBetween(time, bedtime, wakeTime)) {
+    return 1
+  }
+
+  const minutesToBedtime = (getScheduleMinutes(bedtime) - getScheduleMinutes(time) + 24 * 60) % (24 * 60)
+  if (minutes <= 0 || minutesToBedtime > minutes) {
+    return 0
+  }
+  return 1 - minutesToBedtime / minutes
+}
+
+// Amber the warm shift ends on: the warmest HomeKit colour temperature
+export const WARM_SHIFT_COLOR = miredToNightlightColor(MAX_COLOR_TEMPERATURE_MIRED)
+
+/**
+ * One step of a nightlight fade out: brightness and colour both scaled down towards off.
+ * Brightness stays at 1 or above so the light is only turned off by the final step.
+ * @param {Object} params
+ * @param {string} params.color - Colour the fade started from
+ * @param {number} params.brightness - Brightness the fade started from (1-100)
+ * @param {number} params.progress - 0-1
+ * @returns {{ color: string, brightness: number }}
+ */
+export function getFadeOutWrite ({ color, brightness, progress }) {
+  const amount = Math.max(0, Math.min(Number.isFinite(progress) ? progress : 0, 1))
+  return {
+    color: mixNightlightColors(color, NIGHTLIGHT_OFF_COLOR, amount),
+    brightness: Math.max(1, Math.round(brightness * (1 - amount))),
+  }
+}
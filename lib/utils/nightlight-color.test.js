@@ -0,0 +1,119 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getFadeOutWrite,
+  getNightlightColorWrite,
+  getNightlightWriteColor,
+  getWarmShiftProgress,
+  isNightlightColorOff,
+  isSameNightlightColor,
+  MAX_COLOR_TEMPERATURE_MIRED,
+  MIN_COLOR_TEMPERATURE_MIRED,
+  miredToNightlightColor,
+  mixNightlightColors,
+  nightlightColorToMired,
+} from './nightlight-color.js'
+
+test('isNightlightColorOff treats black and off as off', () => {
+  assert.strictEqual(isNightlightColorOff('0x000000'), true)
+  assert.strictEqual(isNightlightColorOff('#000000'), true)
+  assert.strictEqual(isNightlightColorOff('off'), true)
+  assert.strictEqual(isNightlightColorOff(null), true)
+  assert.strictEqual(isNightlightColorOff('0xff0000'), false)
+})
+
+test('getNightlightWriteColor merges hue and saturation into one colour', () => {
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { hue: 240, saturation: 100 } }),
+    '0x0000FF'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { hue: 120 } }),
+    '0x00FF00'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { saturation: 0 } }),
+    '0xFFFFFF'
+  )
+})
+
+test('getNightlightWriteColor handles on and off', () => {
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { on: false, hue: 120 } }),
+    '0x000000'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0x000000', restoreColor: '0x00ff00', write: { on: true } }),
+    '0x00ff00'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0x000000', restoreColor: null, write: { on: true } }),
+    '0xffffff'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0x000000', restoreColor: '0xff0000', write: { hue: 240 } }),
+    '0x0000FF'
+  )
+})
+
+test('getNightlightWriteColor writes an exact colour as-is unless turning off', () => {
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { color: '0x400000', hue: 120 } }),
+    '0x400000'
+  )
+  assert.strictEqual(
+    getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { color: '0x400000', on: false } }),
+    '0x000000'
+  )
+})
+
+test('getNightlightWriteColor leaves the colour alone when nothing changes it', () => {
+  assert.strictEqual(getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { on: true } }), null)
+  assert.strictEqual(getNightlightWriteColor({ currentColor: '0xff0000', restoreColor: null, write: { brightness: 40 } }), null)
+})
+
+test('colour temperature converts to warm and cool nightlight colours and back', () => {
+  assert.strictEqual(miredToNightlightColor(MAX_COLOR_TEMPERATURE_MIRED), '0xFF890E')
+  assert.strictEqual(miredToNightlightColor(153), '0xFFFFFB')
+  assert.strictEqual(miredToNightlightColor(1000), miredToNightlightColor(MAX_COLOR_TEMPERATURE_MIRED))
+
+  assert.ok(nightlightColorToMired('0xFF890E') >= MAX_COLOR_TEMPERATURE_MIRED - 2)
+  assert.ok(Math.abs(nightlightColorToMired(miredToNightlightColor(300)) - 300) <= 5)
+  assert.strictEqual(nightlightColorToMired('0x000000'), MIN_COLOR_TEMPERATURE_MIRED)
+})
+
+test('isSameNightlightColor ignores prefix and case', () => {
+  assert.strictEqual(isSameNightlightColor('0xFF890E', '#ff890e'), true)
+  assert.strictEqual(isSameNightlightColor('0xff890e', '0xff890f'), false)
+})
+
+test('getNightlightColorWrite round-trips through getNightlightWriteColor', () => {
+  const write = getNightlightColorWrite('0xFF890E')
+  assert.deepStrictEqual(write, { hue: 31, saturation: 95 })
+  assert.strictEqual(getNightlightWriteColor({ currentColor: '0xffffff', restoreColor: null, write }), '0xFF8A0D')
+})
+
+test('mixNightlightColors blends between two colours', () => {
+  assert.strictEqual(mixNightlightColors('0x0000ff', '0xff0000', 0), '0x0000FF')
+  assert.strictEqual(mixNightlightColors('0x0000ff', '0xff0000', 0.5), '0x800080')
+  assert.strictEqual(mixNightlightColors('0x0000ff', '0xff0000', 2), '0xFF0000')
+})
+
+test('getWarmShiftProgress ramps up before bedtime and holds until wake time', () => {
+  const schedule = { bedtime: '19:30', wakeTime: '07:00', minutes: 60 }
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '18:00' }), 0)
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '18:30' }), 0)
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '19:00' }), 0.5)
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '19:30' }), 1)
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '02:00' }), 1)
+  assert.strictEqual(getWarmShiftProgress({ ...schedule, time: '07:00' }), 0)
+
+  const pastMidnight = getWarmShiftProgress({ bedtime: '00:15', wakeTime: '07:00', minutes: 30, time: '23:55' })
+  assert.ok(Math.abs(pastMidnight - 1 / 3) < 1e-9)
+})
+
+test('getFadeOutWrite scales colour and brightness down without turning off', () => {
+  assert.deepStrictEqual(getFadeOutWrite({ color: '0xff8000', brightness: 80, progress: 0 }), { color: '0xFF8000', brightness: 80 })
+  assert.deepStrictEqual(getFadeOutWrite({ color: '0xff8000', brightness: 80, progress: 0.5 }), { color: '0x804000', brightness: 40 })
+  assert.deepStrictEqual(getFadeOutWrite({ color: '0xff8000', brightness: 80, progress: 1 }), { color: '0x000000', brightness: 1 })
+})
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Power source and overnight charge reminder helpers.
+ */
+
+import { isScheduleTimeBetween } from './schedule.js'
+
+export const DEFAULT_CHARGE_REMINDER_TIME = '19:30'
+export const DEFAULT_CHARGE_REMINDER_PERCENT = 50
+// Used as the end of the reminder window when the device has no day start time
+export const DEFAULT_CHARGE_REMINDER_END_TIME = '07:00'
+
+/**
+ * Check whether the player is running from a dock or charger.
+ * The API reports the power source as 0 (battery) or a non-zero source, or as a
+ * name such as 'battery'. Falls back to the charging flag when it is missing.
+ * @param {unknown} powerSource
+ * @param {boolean | null | undefined} isCharging
+ * @returns {boolean}
+ */
+export function isOnExternalPower (powerSource, isCharging) {
+  if (typeof powerSource === 'number' && Number.isFinite(powerSource)) {
+    return powerSource !== 0
+  }
+  if (typeof powerSource === 'string' && powerSource.trim()) {
+    return powerSource.trim().toLowerCase() !== 'battery'
+  }
+  return Boolean(isCharging)
+}
+
+/**
+ * Check whether the "not charged overnight" alert should be raised: the player is
+ * off its charger with a battery below minPercent, between bedtime and wake time.
+ * @param {Object} params
+ * @param {boolean} params.onPower - Whether the player is on external power
+ * @param {number | null | undefined} params.batteryLevel - Battery percent
+ * @param {number} params.minPercent - Alert below this battery percent
+ * @param {string} params.time - Current device time (HH:MM)
+ * @param {string} params.bedtime - Start of the reminder window (HH:MM)
+ * @param {string} params.wakeTime - End of the reminder window (HH:MM)
+ * @returns {boolean}
+ */
+export function needsOvernightCharge ({ onPower, batteryLevel, minPercent, time, bedtime, wakeTime }) {
+  if (onPower || typeof batteryLevel !== 'number' || !Number.isFinite(batteryLevel)) {
+    return false
+  }
+  return batteryLevel < minPercent && isScheduleTimeBetween(time, bedtime, wakeTime)
+}
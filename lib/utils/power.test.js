@@ -0,0 +1,30 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  isOnExternalPower,
+  needsOvernightCharge,
+} from './power.js'
+
+test('isOnExternalPower reads numeric and named power sources', () => {
+  assert.strictEqual(isOnExternalPower(0, false), false)
+  assert.strictEqual(isOnExternalPower(1, false), true)
+  assert.strictEqual(isOnExternalPower(3, false), true)
+  assert.strictEqual(isOnExternalPower('battery', true), false)
+  assert.strictEqual(isOnExternalPower('usb-c', false), true)
+})
+
+test('isOnExternalPower falls back to the charging flag', () => {
+  assert.strictEqual(isOnExternalPower(null, true), true)
+  assert.strictEqual(isOnExternalPower(undefined, false), false)
+  assert.strictEqual(isOnExternalPower('', null), false)
+})
+
+test('needsOvernightCharge alerts off the charger below the threshold after bedtime', () => {
+  const base = { onPower: false, batteryLevel: 30, minPercent: 50, time: '20:00', bedtime: '19:30', wakeTime: '07:00' }
+  assert.strictEqual(needsOvernightCharge(base), true)
+  assert.strictEqual(needsOvernightCharge({ ...base, time: '02:00' }), true)
+  assert.strictEqual(needsOvernightCharge({ ...base, time: '12:00' }), false)
+  assert.strictEqual(needsOvernightCharge({ ...base, onPower: true }), false)
+  assert.strictEqual(needsOvernightCharge({ ...base, batteryLevel: 50 }), false)
+  assert.strictEqual(needsOvernightCharge({ ...base, batteryLevel: null }), false)
+})
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Day/night schedule helpers. Schedule times are HH:MM strings in the device's timezone.
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+export function isScheduleTime (value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+}
+
+/**
+ * Get the wall-clock time (HH:MM) of a date in a timezone.
+ * Falls back to the host timezone when the zone is missing or unknown.
+ * @param {Date} date
+ * @param {string | null | undefined} timeZone - IANA timezone (e.g. 'Europe/London')
+ * @returns {string}
+ */
+export function getScheduleTime (date, timeZone) {
+  /** @type {Intl.DateTimeFormatOptions} */
+  const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+
+  let formatter
+  try {
+    formatter = new Intl.DateTimeFormat('en-GB', timeZone ? { ...options, timeZone } : options)
+  } catch {
+    formatter = new Intl.DateTimeFormat('en-GB', options)
+  }
+
+  const parts = formatter.formatToParts(date)
+  const hour = parts.find(part => part.type === 'hour')?.value ?? '00'
+  const minute = parts.find(part => part.type === 'minute')?.value ?? '00'
+  return `${hour}:${minute}`
+}
+
+/**
+ * Minutes since midnight for an HH:MM time
+ * @param {string} time - HH:MM
+ * @returns {number}
+ */
+export function getScheduleMinutes (time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return (hours ?? 0) * 60 + (minutes ?? 0)
+}
+
+/**
+ * Compute the schedule change that switches the player into a mode now.
+ * Only the mode's start time moves to `now`; the other start time is kept. Forcing day
+ * after the usual night start therefore wraps day past midnight until the other start
+ * time comes round, so callers put the original schedule back at its next change.
+ * @param {'day' | 'night'} mode
+ * @param {string} now - Current time as HH:MM
+ * @returns {{ dayTime?: string, nightTime?: string }}
+ */
+export function getForcedScheduleUpdate (mode, now) {
+  return mode === 'night' ? { nightTime: now } : { dayTime: now }
+}
+
+/**
+ * Check whether a time falls in a window that may wrap past midnight.
+ * The window includes its start and excludes its end; equal start and end is empty.
+ * @param {string} time - HH:MM
+ * @param {string} start - HH:MM
+ * @param {string} end - HH:MM
+ * @returns {boolean}
+ */
+export function isScheduleTimeBetween (time, start, end) {
+  if (start <= end) {
+    return time >= start && time < end
+  }
+  return time >= start || time < end
+}
+
+/**
+ * Which mode a schedule puts the player in at a time
+ * @param {{ dayTime?: string | null, nightTime?: string | null }} schedule
+ * @param {string} time - HH:MM
+ * @returns {'day' | 'night' | null} null when the schedule is incomplete
+ */
+export function getScheduleMode (schedule, time) {
+  const { dayTime, nightTime } = schedule
+  if (!isScheduleTime(dayTime) || !isScheduleTime(nightTime)) {
+    return null
+  }
+  return isScheduleTimeBetween(time, dayTime, nightTime) ? 'day' : 'night'
+}
+
+/**
+ * Minutes from now until the next day or night start in a schedule (1-1440)
+ * @param {{ dayTime?: string | null, nightTime?: string | null }} schedule
+ * @param {string} now - Current time as HH:MM
+ * @returns {number | null} null when the schedule has no valid times
+ */
+export function getMinutesToNextScheduleChange (schedule, now) {
+  const times = [schedule.dayTime, schedule.nightTime].filter(isScheduleTime)
+  if (times.length === 0) {
+    return null
+  }
+  const nowMinutes = getScheduleMinutes(now)
+  return Math.min(...times.map(time => ((getScheduleMinutes(time) - nowMinutes + 24 * 60 - 1) % (24 * 60)) + 1))
+}
+
+/**
+ * Compute the change that puts back a schedule overridden by a forced mode.
+ * Times changed since the override (e.g. in Device Settings) are left alone.
+ * @param {Object} params
+ * @param {{ dayTime?: string, nightTime?: string }} params.original - Schedule before the override
+ * @param {{ dayTime?: string, nightTime?: string }} params.forced - Times the override wrote
+ * @param {{ dayTime?: string | null, nightTime?: string | null }} params.current - Schedule on the device now
+ * @returns {{ dayTime?: string, nightTime?: string }}
+ */
+export function getScheduleRestoreUpdate ({ original, forced, current }) {
+  /** @type {{ dayTime?: string, nightTime?: string }} */
+  const update = {}
+  if (original.dayTime && forced.dayTime && current.dayTime === forced.dayTime) {
+    update.dayTime = original.dayTime
+  }
+  if (original.nightTime && forced.nightTime && current.nightTime === forced.nightTime) {
+    update.nightTime = original.nightTime
+  }
+  return update
+}
@@ -0,0 +1,93 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  getForcedScheduleUpdate,
+  getMinutesToNextScheduleChange,
+  getScheduleMinutes,
+  getScheduleMode,
+  getScheduleRestoreUpdate,
+  getScheduleTime,
+  isScheduleTime,
+  isScheduleTimeBetween,
+} from './schedule.js'
+
+test('isScheduleTime accepts HH:MM only', () => {
+  assert.strictEqual(isScheduleTime('07:00'), true)
+  assert.strictEqual(isScheduleTime('23:59'), true)
+  assert.strictEqual(isScheduleTime('24:00'), false)
+  assert.strictEqual(isScheduleTime('7:00'), false)
+  assert.strictEqual(isScheduleTime(null), false)
+})
+
+test('getScheduleTime formats wall-clock time in a timezone', () => {
+  const date = new Date('2024-01-15T18:05:00Z')
+  assert.strictEqual(getScheduleTime(date, 'UTC'), '18:05')
+  assert.strictEqual(getScheduleTime(date, 'America/New_York'), '13:05')
+  assert.match(getScheduleTime(date, 'Not/AZone'), /^\d{2}:\d{2}$/)
+  assert.match(getScheduleTime(date, null), /^\d{2}:\d{2}$/)
+})
+
+test('getScheduleMinutes counts minutes since midnight', () => {
+  assert.strictEqual(getScheduleMinutes('00:00'), 0)
+  assert.strictEqual(getScheduleMinutes('07:30'), 450)
+  assert.strictEqual(getScheduleMinutes('23:59'), 1439)
+})
+
+test('getForcedScheduleUpdate moves only the requested mode start to now', () => {
+  assert.deepStrictEqual(getForcedScheduleUpdate('night', '18:10'), { nightTime: '18:10' })
+  assert.deepStrictEqual(getForcedScheduleUpdate('day', '06:15'), { dayTime: '06:15' })
+  assert.deepStrictEqual(getForcedScheduleUpdate('day', '20:30'), { dayTime: '20:30' })
+})
+
+test('forcing day after night start wraps past midnight until the original schedule is back', () => {
+  const original = { dayTime: '07:00', nightTime: '19:00' }
+  const forced = { ...original, ...getForcedScheduleUpdate('day', '22:00') }
+
+  assert.strictEqual(getScheduleMode(forced, '22:00'), 'day')
+  assert.strictEqual(getScheduleMode(forced, '23:59'), 'day')
+  assert.strictEqual(getScheduleMode(forced, '02:00'), 'day')
+  // The restore runs at the original schedule's next change: 07:00, nine hours later
+  assert.strictEqual(getMinutesToNextScheduleChange(original, '22:00'), 540)
+  assert.deepStrictEqual(
+    getScheduleRestoreUpdate({ original, forced: { dayTime: '22:00' }, current: forced }),
+    { dayTime: '07:00' }
+  )
+})
+
+test('isScheduleTimeBetween handles windows that wrap past midnight', () => {
+  assert.strictEqual(isScheduleTimeBetween('10:00', '09:00', '17:00'), true)
+  assert.strictEqual(isScheduleTimeBetween('17:00', '09:00', '17:00'), false)
+  assert.strictEqual(isScheduleTimeBetween('20:00', '19:30', '07:00'), true)
+  assert.strictEqual(isScheduleTimeBetween('03:00', '19:30', '07:00'), true)
+  assert.strictEqual(isScheduleTimeBetween('12:00', '19:30', '07:00'), false)
+  assert.strictEqual(isScheduleTimeBetween('08:00', '08:00', '08:00'), false)
+})
+
+test('getScheduleMode follows the day and night start times', () => {
+  const schedule = { dayTime: '07:00', nightTime: '19:00' }
+  assert.strictEqual(getScheduleMode(schedule, '12:00'), 'day')
+  assert.strictEqual(getScheduleMode(schedule, '19:00'), 'night')
+  assert.strictEqual(getScheduleMode(schedule, '03:00'), 'night')
+  assert.strictEqual(getScheduleMode({ dayTime: '07:00' }, '12:00'), null)
+})
+
+test('getMinutesToNextScheduleChange finds the next start, wrapping past midnight', () => {
+  const schedule = { dayTime: '07:00', nightTime: '19:00' }
+  assert.strictEqual(getMinutesToNextScheduleChange(schedule, '18:10'), 50)
+  assert.strictEqual(getMinutesToNextScheduleChange(schedule, '20:30'), 630)
+  assert.strictEqual(getMinutesToNextScheduleChange(schedule, '07:00'), 720)
+  assert.strictEqual(getMinutesToNextScheduleChange({ dayTime: '07:00' }, '07:00'), 1440)
+  assert.strictEqual(getMinutesToNextScheduleChange({}, '07:00'), null)
+})
+
+test('getScheduleRestoreUpdate puts back only the times the override still owns', () => {
+  const original = { dayTime: '07:00', nightTime: '19:00' }
+  assert.deepStrictEqual(
+    getScheduleRestoreUpdate({ original, forced: { nightTime: '06:30' }, current: { dayTime: '07:00', nightTime: '06:30' } }),
+    { nightTime: '19:00' }
+  )
+  assert.deepStrictEqual(
+    getScheduleRestoreUpdate({ original, forced: { nightTime: '18:10' }, current: { dayTime: '07:00', nightTime: '20:00' } }),
+    {}
+  )
+})
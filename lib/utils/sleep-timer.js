@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Sleep timer scaling helpers for converting between seconds, minutes and brightness percents.
+ */
+
+export const DEFAULT_SLEEP_TIMER_MINUTES = 30
+export const DEFAULT_SLEEP_TIMER_MAX_MINUTES = 60
+
+/**
+ * Convert remaining sleep timer seconds to a brightness percent of maxMinutes.
+ * Any remaining time shows as at least 1%, so a running timer never reads as off.
+ * @param {number} seconds
+ * @param {number} [maxMinutes=DEFAULT_SLEEP_TIMER_MAX_MINUTES]
+ * @returns {number}
+ */
+export function sleepSecondsToPercent (seconds, maxMinutes = DEFAULT_SLEEP_TIMER_MAX_MINUTES) {
+  if (!Number.isFinite(seconds) || seconds <= 0 || maxMinutes <= 0) {
+    return 0
+  }
+
+  const percent = Math.round((seconds / 60 / maxMinutes) * 100)
+  return Math.max(1, Math.min(percent, 100))
+}
+
+/**
+ * Convert a brightness percent of maxMinutes to whole sleep timer minutes.
+ * Any non-zero percent maps to at least 1 minute.
+ * @param {number} percent
+ * @param {number} [maxMinutes=DEFAULT_SLEEP_TIMER_MAX_MINUTES]
+ * @returns {number}
+ */
+export function percentToSleepMinutes (percent, maxMinutes = DEFAULT_SLEEP_TIMER_MAX_MINUTES) {
+  if (!Number.isFinite(percent) || percent <= 0 || maxMinutes <= 0) {
+    return 0
+  }
+
+  const minutes = Math.round((Math.min(percent, 100) / 100) * maxMinutes)
+  return Math.max(1, minutes)
+}
@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  percentToSleepMinutes,
+  sleepSecondsToPercent,
+} from './sleep-timer.js'
+
+test('sleepSecondsToPercent scales remaining seconds to percent of max minutes', () => {
+  assert.strictEqual(sleepSecondsToPercent(0), 0)
+  assert.strictEqual(sleepSecondsToPercent(-5), 0)
+  assert.strictEqual(sleepSecondsToPercent(Number.NaN), 0)
+  assert.strictEqual(sleepSecondsToPercent(30 * 60), 50)
+  assert.strictEqual(sleepSecondsToPercent(60 * 60), 100)
+  assert.strictEqual(sleepSecondsToPercent(90 * 60), 100)
+  assert.strictEqual(sleepSecondsToPercent(10), 1)
+  assert.strictEqual(sleepSecondsToPercent(45 * 60, 90), 50)
+})
+
+test('percentToSleepMinutes scales percent to whole minutes', () => {
+  assert.strictEqual(percentToSleepMinutes(0), 0)
+  assert.strictEqual(percentToSleepMinutes(Number.NaN), 0)
+  assert.strictEqual(percentToSleepMinutes(50), 30)
+  assert.strictEqual(percentToSleepMinutes(100), 60)
+  assert.strictEqual(percentToSleepMinutes(150), 60)
+  assert.strictEqual(percentToSleepMinutes(1), 1)
+  assert.strictEqual(percentToSleepMinutes(50, 120), 60)
+})
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Wake-up light helpers: how far the sunrise has got before the wake time.
+ */
+
+import { getScheduleMinutes } from './schedule.js'
+
+export const DEFAULT_SUNRISE_TIME = '07:00'
+export const DEFAULT_SUNRISE_MINUTES = 30
+export const DEFAULT_SUNRISE_COLOR = '0xffb46b'
+export const DEFAULT_SUNRISE_BRIGHTNESS = 100
+// How long after the wake time a missed finish (e.g. Homebridge restarting) still runs
+export const SUNRISE_LATE_MINUTES = 10
+// How long after the wake time the light stays at the sunrise colour before it is given back
+export const SUNRISE_HOLD_MINUTES = 60
+
+/**
+ * How far the sunrise has got: rising from 0 to 1 over `minutes` before the wake time,
+ * then 1 for a few minutes after it so a late check still finishes the routine.
+ * @param {Object} params
+ * @param {string} params.time - Current time as HH:MM
+ * @param {string} params.wakeTime - HH:MM the light reaches full colour
+ * @param {number} params.minutes - Length of the ramp
+ * @returns {number | null} 0-1, or null outside the sunrise
+ */
+export function getSunriseProgress ({ time, wakeTime, minutes }) {
+  const dayMinutes = 24 * 60
+  const minutesAfterWake = (getScheduleMinutes(time) - getScheduleMinutes(wakeTime) + dayMinutes) % dayMinutes
+  if (minutesAfterWake <= SUNRISE_LATE_MINUTES) {
+    return 1
+  }
+
+  const minutesToWake = dayMinutes - minutesAfterWake
+  if (minutes <= 0 || minutesToWake > minutes) {
+    return null
+  }
+  return 1 - minutesToWake / minutes
+}
+
+/**
+ * Whether the light should still show the sunrise colour after the wake time
+ * @param {Object} params
+ * @param {string} params.time - Current time as HH:MM
+ * @param {string} params.wakeTime - HH:MM
+ * @returns {boolean}
+ */
+export function isSunriseHolding ({ time, wakeTime }) {
+  const dayMinutes = 24 * 60
+  const minutesAfterWake = (getScheduleMinutes(time) - getScheduleMinutes(wakeTime) + dayMinutes) % dayMinutes
+  return minutesAfterWake < SUNRISE_HOLD_MINUTES
+}
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getSunriseProgress, isSunriseHolding } from './sunrise.js'
+
+test('getSunriseProgress ramps up before the wake time', () => {
+  const schedule = { wakeTime: '07:00', minutes: 30 }
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '06:00' }), null)
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '06:30' }), 0)
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '06:45' }), 0.5)
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '07:00' }), 1)
+})
+
+test('getSunriseProgress finishes late for a few minutes after the wake time', () => {
+  const schedule = { wakeTime: '07:00', minutes: 30 }
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '07:10' }), 1)
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '07:11' }), null)
+  assert.strictEqual(getSunriseProgress({ ...schedule, time: '19:00' }), null)
+})
+
+test('getSunriseProgress handles a ramp across midnight', () => {
+  assert.strictEqual(getSunriseProgress({ wakeTime: '00:10', minutes: 20, time: '23:55' }), 0.25)
+})
+
+test('isSunriseHolding keeps the sunrise colour for an hour after the wake time', () => {
+  assert.strictEqual(isSunriseHolding({ wakeTime: '07:00', time: '07:00' }), true)
+  assert.strictEqual(isSunriseHolding({ wakeTime: '07:00', time: '07:59' }), true)
+  assert.strictEqual(isSunriseHolding({ wakeTime: '07:00', time: '08:00' }), false)
+  assert.strictEqual(isSunriseHolding({ wakeTime: '23:30', time: '00:10' }), true)
+})
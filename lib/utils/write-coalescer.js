@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Debounced write coalescer: merges partial updates queued within a short window into one write.
+ */
+
+export const DEFAULT_WRITE_COALESCE_MS = 150
+
+/**
+ * Merges partial updates queued within `delayMs` of each other and hands them to `flush` as one object.
+ * Writes run one at a time: updates queued while a write is in flight go into the next write, which
+ * starts only after the current one settles, so it never races or overwrites the in-flight values.
+ * @template {Record<string, unknown>} T
+ */
+export class WriteCoalescer {
+  /** @type {(pending: Partial<T>) => Promise<void>} */ #flush
+  /** @type {number} */ #delayMs
+  /** @type {Partial<T> | null} */ #pending = null
+  /** @type {Array<{ resolve: () => void, reject: (error: unknown) => void }>} */ #waiters = []
+  /** @type {ReturnType<typeof setTimeout> | null} */ #timer = null
+  /** @type {Promise<void>} */ #inFlight = Promise.resolve()
+
+  /**
+   * @param {Object} params
+   * @param {(pending: Partial<T>) => Promise<void>} params.flush - Performs the merged write
+   * @param {number} [params.delayMs=DEFAULT_WRITE_COALESCE_MS] - Quiet period before writing
+   */
+  constructor ({ flush, delayMs = DEFAULT_WRITE_COALESCE_MS }) {
+    this.#flush = flush
+    this.#delayMs = delayMs
+  }
+
+  /**
+   * Values queued but not yet handed to a write
+   * @returns {Partial<T> | null}
+   */
+  get pending () {
+    return this.#pending
+  }
+
+  /**
+   * Queue a partial update. Later values for the same key replace earlier ones.
+   * @param {Partial<T>} update
+   * @returns {Promise<void>} Settles when the write containing this update settles
+   */
+  queue (update) {
+    this.#pending = { ...this.#pending, ...update }
+
+    if (this.#timer) {
+      clearTimeout(this.#timer)
+    }
+    this.#timer = setTimeout(() => {
+      this.#timer = null
+      this.#startWrite()
+    }, this.#delayMs)
+
+    return new Promise((resolve, reject) => {
+      this.#waiters.push({ resolve, reject })
+    })
+  }
+
+  /**
+   * Chain the merged write behind any write in flight
+   */
+  #startWrite () {
+    const pending = this.#pending
+    const waiters = this.#waiters
+    this.#pending = null
+    this.#waiters = []
+    if (!pending) return
+
+    this.#inFlight = this.#inFlight.then(async () => {
+      try {
+        await this.#flush(pending)
+        for (const waiter of waiters) waiter.resolve()
+      } catch (error) {
+        for (const waiter of waiters) waiter.reject(error)
+      }
+    })
+  }
+
+  /**
+   * Drop queued updates that have not been written yet; their callers resolve without a write.
+   */
+  stop () {
+    if (this.#timer) {
+      clearTimeout(this.#timer)
+      this.#timer = null
+    }
+    for (const waiter of this.#waiters) waiter.resolve()
+    this.#waiters = []
+    this.#pending = null
+  }
+}
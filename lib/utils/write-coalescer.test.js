@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { WriteCoalescer } from './write-coalescer.js'
+
+test('WriteCoalescer merges updates queued within the delay into one write', async () => {
+  /** @type {Array<Record<string, unknown>>} */
+  const writes = []
+  const coalescer = new WriteCoalescer({
+    delayMs: 5,
+    flush: async (pending) => { writes.push(pending) },
+  })
+
+  await Promise.all([
+    coalescer.queue({ on: true }),
+    coalescer.queue({ hue: 120 }),
+    coalescer.queue({ saturation: 50, hue: 200 }),
+  ])
+
+  assert.deepStrictEqual(writes, [{ on: true, hue: 200, saturation: 50 }])
+  assert.strictEqual(coalescer.pending, null)
+})
+
+test('WriteCoalescer waits for the in-flight write before starting the next', async () => {
+  /** @type {string[]} */
+  const events = []
+  /** @type {() => void} */
+  let releaseFirst = () => {}
+  let calls = 0
+  const coalescer = new WriteCoalescer({
+    delayMs: 1,
+    flush: async (pending) => {
+      calls += 1
+      events.push(`start ${JSON.stringify(pending)}`)
+      if (calls === 1) {
+        await new Promise(resolve => { releaseFirst = () => resolve(undefined) })
+      }
+      events.push(`end ${JSON.stringify(pending)}`)
+    },
+  })
+
+  const first = coalescer.queue({ hue: 10 })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  const second = coalescer.queue({ hue: 20 })
+  await new Promise(resolve => setTimeout(resolve, 10))
+  releaseFirst()
+  await Promise.all([first, second])
+
+  assert.deepStrictEqual(events, [
+    'start {"hue":10}',
+    'end {"hue":10}',
+    'start {"hue":20}',
+    'end {"hue":20}',
+  ])
+})
+
+test('WriteCoalescer rejects every caller in a failed write and keeps going', async () => {
+  let fail = true
+  const coalescer = new WriteCoalescer({
+    delayMs: 1,
+    flush: async () => {
+      if (fail) throw new Error('offline')
+    },
+  })
+
+  const results = await Promise.allSettled([coalescer.queue({ a: 1 }), coalescer.queue({ b: 2 })])
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected'])
+
+  fail = false
+  await coalescer.queue({ a: 3 })
+})
+
+test('WriteCoalescer.stop drops queued updates without writing', async () => {
+  let calls = 0
+  const coalescer = new WriteCoalescer({
+    delayMs: 5,
+    flush: async () => { calls += 1 },
+  })
+
+  const queued = coalescer.queue({ a: 1 })
+  coalescer.stop()
+  await queued
+  await new Promise(resolve => setTimeout(resolve, 10))
+  assert.strictEqual(calls, 0)
+})